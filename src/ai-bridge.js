@@ -1,97 +1,416 @@
 // ai-bridge.js
 // Runs in the page context (NOT the extension isolated content-script context).
-// Listens for messages from the content script (source: 'ai-content') and
-// sends responses back (source: 'ai-bridge-response').
+// Injected by page-bridge.js with a per-load nonce; the content script connects with that nonce
+// and hands over a private MessageChannel, and all requests and responses go over it (protocol in
+// page-bridge.js). Failures that mean "no on-device model here" carry code NOT_AVAILABLE so the
+// background router can fall back to a cloud provider.
 
 (() => {
-  const BRIDGE_IN = 'ai-content';
-  const BRIDGE_OUT = 'ai-bridge-response';
+  const BRIDGE_CONNECT = 'ai-bridge-connect';
+  // read and drop the nonce before anything else in the page gets a turn
+  const script = document.currentScript;
+  const nonce = script && script.dataset.nonce;
+  if (script) script.removeAttribute('data-nonce');
+  if (!nonce) return;
+  let port = null; // the content script's channel, once connected
 
-  let lmSession = null; // LanguageModel session for Prompt API
-  async function ensureSession() {
-    if (lmSession) return lmSession;
+  function unavailable(message) {
+    const err = new Error(message);
+    err.code = 'NOT_AVAILABLE';
+    return err;
+  }
 
+  // On-device model manager. A base session that is never prompted itself is cloned into one
+  // session per conversation (the `conversation` key content.js adds to every request), so one
+  // chat's context never reaches another. A conversation session that has used most of its input
+  // quota is dropped and cloned fresh from the base; beyond MAX_CONVERSATION_SESSIONS the least
+  // recently used one is dropped. A dropped session is destroyed once no prompt is running on it.
+  const MAX_CONVERSATION_SESSIONS = 4;
+  const SESSION_RESET_RATIO = 0.8; // of inputQuota
+  let baseSession = null; // Promise<LanguageModel>
+  // key -> { session: Promise<LanguageModel>, busy, dropped }, least recently used first; busy counts
+  // the withConversation() calls using the session
+  const conversationSessions = new Map();
+
+  // the model must be downloaded from the extension popup (a click there is the user gesture
+  // create() needs); pages never start the download
+  async function assertModelReady(options) {
     if (typeof LanguageModel === 'undefined') {
-      throw new Error('Prompt API (LanguageModel) not available in this context.');
+      throw unavailable('Prompt API (LanguageModel) not available in this context.');
     }
-
-    const available = await LanguageModel.availability();
+    const available = await LanguageModel.availability(options);
     if (available === 'unavailable') {
-      throw new Error('No local model available on this device (LanguageModel.availability() === unavailable).');
+      throw unavailable('No local model available on this device (LanguageModel.availability() === unavailable).');
+    }
+    if (available === 'downloading') {
+      throw unavailable('On-device model is still downloading; see its progress in the extension popup.');
+    }
+    if (available !== 'available') {
+      throw unavailable(`On-device model is ${available}; download it from the extension popup.`);
+    }
+  }
+
+  async function ensureSession() {
+    if (!baseSession) {
+      baseSession = assertModelReady().then(() => LanguageModel.create());
+      baseSession.catch(() => { baseSession = null; });
+    }
+    return baseSession;
+  }
+
+  // { inputUsage, inputQuota } of a session (older Chrome builds name them tokensSoFar / maxTokens)
+  function sessionUsage(session) {
+    return {
+      inputUsage: session.inputUsage ?? session.tokensSoFar ?? 0,
+      inputQuota: session.inputQuota ?? session.maxTokens ?? 0
+    };
+  }
+
+  function dropConversation(key) {
+    const entry = conversationSessions.get(key);
+    if (!entry) return;
+    conversationSessions.delete(key);
+    entry.dropped = true;
+    destroyIfIdle(entry);
+  }
+
+  // drop key only while it still holds entry; an evicted entry may have been replaced meanwhile
+  function dropEntry(key, entry) {
+    if (conversationSessions.get(key) === entry) dropConversation(key);
+  }
+
+  function destroyIfIdle(entry) {
+    if (entry.dropped && !entry.busy) entry.session.then(s => s.destroy(), () => {});
+  }
+
+  // the session entry of a conversation, cloned from the base on first use
+  function conversationEntry(key) {
+    let entry = conversationSessions.get(key);
+    if (entry) {
+      conversationSessions.delete(key); // re-inserted below as the most recently used
+    } else {
+      entry = { session: ensureSession().then(base => base.clone()), busy: 0, dropped: false };
+      entry.session.catch(() => { if (conversationSessions.get(key) === entry) conversationSessions.delete(key); });
+    }
+    conversationSessions.set(key, entry);
+    while (conversationSessions.size > MAX_CONVERSATION_SESSIONS) dropConversation(conversationSessions.keys().next().value);
+    return entry;
+  }
+
+  // Run fn(session) on the conversation's session. A prompt that no longer fits it
+  // (QuotaExceededError) or a session the browser has destroyed (InvalidStateError) is retried
+  // once on a fresh clone; the latter also recreates the base session.
+  async function withConversation(conversation, fn) {
+    const key = typeof conversation === 'string' ? conversation : '';
+    for (let attempt = 0; ; attempt++) {
+      const entry = conversationEntry(key);
+      entry.busy++; // before the first await, so an eviction meanwhile cannot destroy it under us
+      try {
+        const session = await entry.session;
+        const result = await fn(session);
+        const { inputUsage, inputQuota } = sessionUsage(session);
+        if (inputQuota && inputUsage >= inputQuota * SESSION_RESET_RATIO) dropEntry(key, entry);
+        return result;
+      } catch (err) {
+        const name = err && err.name;
+        if (attempt || (name !== 'QuotaExceededError' && name !== 'InvalidStateError')) throw err;
+        dropEntry(key, entry);
+        if (name === 'InvalidStateError') {
+          conversationSessions.forEach((e, k) => dropConversation(k));
+          const base = baseSession;
+          baseSession = null;
+          if (base) base.then(s => s.destroy(), () => {});
+        }
+      } finally {
+        entry.busy--;
+        destroyIfIdle(entry);
+      }
+    }
+  }
+
+  // for the popup: availability here and how full each conversation session is (no keys, they
+  // can contain names)
+  async function handleModelStatus({ requestId }) {
+    const availability = typeof LanguageModel === 'undefined' ? 'missing' : await LanguageModel.availability();
+    const sessions = await Promise.all(Array.from(conversationSessions.values(), e => e.session.then(sessionUsage, () => null)));
+    post({ requestId, success: true, text: availability, status: { availability, sessions: sessions.filter(Boolean) } });
+  }
+
+  // same transcript format as background.js formatThread()
+  function formatThread(thread) {
+    if (!Array.isArray(thread) || !thread.length) return '';
+    const lines = thread
+      .filter(m => m && typeof m.text === 'string' && m.text.trim())
+      .map(m => `${m.author === 'me' ? 'Me' : (m.name || 'Them')}: ${m.text.trim()}`);
+    return lines.length ? `Conversation so far (oldest first; "Me" is the user you are writing for):\n${lines.join('\n')}\n\n` : '';
+  }
+
+  // readable language name for prompts ("de" -> "German"), same as language.js languageName()
+  function languageName(code) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (e) {
+      return code;
+    }
+  }
+
+  // language code via the built-in LanguageDetector API; null when it is missing or not confident
+  async function detectWithApi(text) {
+    if (typeof LanguageDetector === 'undefined') return null;
+    try {
+      if (await LanguageDetector.availability() !== 'available') return null;
+      const detector = await LanguageDetector.create();
+      try {
+        const [top] = await detector.detect(text);
+        return top && top.detectedLanguage !== 'und' && top.confidence >= 0.5 ? top.detectedLanguage : null;
+      } finally {
+        detector.destroy();
+      }
+    } catch (e) {
+      console.warn('LanguageDetector failed:', e);
+      return null;
     }
+  }
 
-    // create() will start model download if necessary; a user gesture is required for download in many cases
-    lmSession = await LanguageModel.create();
-    return lmSession;
+  // translation via the built-in Translator API; null when the language pair is not available.
+  // A pair that still has to be downloaded needs a user gesture, like the Prompt API model.
+  async function translateWithApi(text, sourceLanguage, targetLanguage) {
+    if (typeof Translator === 'undefined' || !sourceLanguage || sourceLanguage === targetLanguage) return null;
+    try {
+      const pair = { sourceLanguage, targetLanguage };
+      const available = await Translator.availability(pair);
+      if (available === 'unavailable') return null;
+      if (available !== 'available' && !(navigator.userActivation && navigator.userActivation.isActive)) return null;
+      const translator = await Translator.create(pair);
+      try {
+        return await translator.translate(text);
+      } finally {
+        translator.destroy();
+      }
+    } catch (e) {
+      console.warn('Translator failed:', e);
+      return null;
+    }
+  }
+
+  // prompt and schema (ANALYSIS_SCHEMA in analysis-schema.js) come from background.js, which also
+  // validates the answer; the raw JSON text goes back so a bad answer can be repaired there
+  async function handleAnalyze({ text, prompt, schema, requestId }) {
+    const session = await ensureSession();
+    const clone = await session.clone();
+    try {
+      // omitResponseConstraintInput: the schema is enforced, the prompt already describes it
+      const [result, detected] = await Promise.all([
+        clone.prompt(prompt, { responseConstraint: schema, omitResponseConstraintInput: true }),
+        detectWithApi(text)
+      ]);
+      // the dedicated detector is more reliable than the model's guess
+      let answer = result;
+      if (detected) {
+        try { answer = JSON.stringify(Object.assign(JSON.parse(result), { language: detected })); } catch (e) { /* leave it to the repair step */ }
+      }
+      post({ requestId, success: true, text: answer });
+    } finally {
+      clone.destroy();
+    }
   }
 
-  async function handleAnalyze({ text, requestId }) {
+  // schema-constrained prompt on a throwaway clone (analysis repair)
+  async function handleJson({ prompt, schema, requestId }) {
     const session = await ensureSession();
-    // structured JSON schema output
+    const clone = await session.clone();
+    try {
+      const result = await clone.prompt(prompt, { responseConstraint: schema, omitResponseConstraintInput: true });
+      post({ requestId, success: true, text: result });
+    } finally {
+      clone.destroy();
+    }
+  }
+
+  // answers with the same {"language": "de"} JSON text the cloud providers are asked for
+  async function handleDetectLanguage({ text, conversation, requestId }) {
+    let language = await detectWithApi(text);
+    if (!language) {
+      const result = await withConversation(conversation, session => session.prompt(
+        `Which language is the following message written in? Answer with its ISO 639-1 code.\n\nMessage:\n${text}`,
+        { responseConstraint: { type: 'object', properties: { language: { type: 'string' } }, required: ['language'] }, omitResponseConstraintInput: true }
+      ));
+      try { language = JSON.parse(result).language; } catch (e) { language = null; }
+    }
+    post({ requestId, success: true, text: JSON.stringify({ language }) });
+  }
+
+  async function handleTranslate({ text, sourceLanguage, targetLanguage, conversation, requestId }) {
+    const translated = await translateWithApi(text, sourceLanguage, targetLanguage);
+    if (translated !== null) {
+      post({ requestId, success: true, text: translated });
+      return;
+    }
+    const response = await withConversation(conversation, session => session.prompt(`Translate the following text from ${languageName(sourceLanguage)} into ${languageName(targetLanguage)}. Keep the tone and formatting; reply with the translation only:\n\n${text}\n\nTranslation:`));
+    post({ requestId, success: true, text: response });
+  }
+
+  // snippet placeholders: one string property per placeholder name
+  async function handleExtract({ text, thread, placeholders, conversation, requestId }) {
+    const names = Array.isArray(placeholders) ? placeholders : [];
     const schema = {
       type: 'object',
-      properties: {
-        emotion: { type: 'string' },
-        intent: { type: 'string' },
-        suggestedAction: { type: 'string' }
-      }
+      properties: Object.fromEntries(names.map(n => [n, { type: 'string' }])),
+      required: names
     };
-
-    // Ask model to emit only JSON — omitResponseConstraintInput to avoid returning schema as text
-    const result = await session.prompt(
-      `Analyze the following message and return a JSON object containing emotion, intent and suggestedAction.\n\nMessage:\n${text}`,
+    const result = await withConversation(conversation, session => session.prompt(
+      `${formatThread(thread)}Extract values for these placeholders from the message: ${names.join(', ')}. Use an empty string when the message does not contain a value.\n\nMessage:\n${text}`,
       { responseConstraint: schema, omitResponseConstraintInput: true }
-    );
+    ));
+    // background.js parses the JSON text, same as for the cloud providers
+    post({ requestId, success: true, text: result });
+  }
+
+  const controllers = new Map(); // requestId -> AbortController for in-flight streaming prompts
+
+  // run a prompt (a string or a multimodal message list); with stream=true the deltas are posted as { requestId, chunk } before the final answer
+  async function runPrompt(session, prompt, { stream, requestId }) {
+    if (!stream) return session.prompt(prompt);
 
-    // result is a JSON string like {"emotion":"..." ...}
-    let parsed;
-    try { parsed = JSON.parse(result); } catch (e) {
-      // fallback to heuristic
-      parsed = { emotion: 'Neutral', intent: 'Statement', suggestedAction: 'Generate Reply' };
+    const controller = new AbortController();
+    controllers.set(requestId, controller);
+    try {
+      let full = '';
+      for await (const chunk of session.promptStreaming(prompt, { signal: controller.signal })) {
+        full += chunk;
+        post({ requestId, chunk });
+      }
+      return full;
+    } finally {
+      controllers.delete(requestId);
     }
+  }
 
-    post({ requestId, success: true, analysis: parsed });
+  // several alternative replies: one clone per candidate so the prompts run independently in parallel
+  async function promptCandidates(session, prompt, count) {
+    const clones = await Promise.all(Array.from({ length: count }, () => session.clone()));
+    try {
+      return await Promise.all(clones.map(c => c.prompt(prompt)));
+    } finally {
+      clones.forEach(c => c.destroy());
+    }
   }
 
-  async function handleGenerate({ text, type, context, requestId }) {
-    const session = await ensureSession();
+  async function handleGenerate({ text, type, context, thread, style, stream, candidateCount, targetLanguage, conversation, requestId }) {
+    if (type === 'translate') {
+      // the Translator API needs the source language; the model does not
+      const translated = await translateWithApi(text, await detectWithApi(text), targetLanguage);
+      if (translated !== null) {
+        post({ requestId, success: true, text: translated });
+        return;
+      }
+    }
+    const preamble = formatThread(thread) + (style ? `${style}\n\n` : '');
     let prompt = '';
     if (type === 'summarize') {
       // fallback: summarizer should be used, but keep generic prompt fallback
       prompt = `Summarize the following text in 1-2 sentences:\n\n${text}`;
+    } else if (type === 'translate') {
+      prompt = `Translate the following text into ${languageName(targetLanguage || 'en')}. Keep the tone and formatting; reply with the translation only:\n\n${text}\n\nTranslation:`;
     } else if (type === 'confirmation') {
-      prompt = `Generate a brief, friendly confirmation reply to the following message:\n\n${text}\n\nReply:`;
+      prompt = `${preamble}Generate a brief, friendly confirmation reply to the following message:\n\n${text}\n\nReply:`;
     } else if (type === 'supportive') {
-      prompt = `Generate a warm, supportive reply to the following message:\n\n${text}\n\nReply:`;
+      prompt = `${preamble}Generate a warm, supportive reply to the following message:\n\n${text}\n\nReply:`;
     } else { // 'reply' default
-      const ctx = context ? `Context: The message has a ${context.emotion || 'Neutral'} tone and appears to be a ${context.intent || 'Statement'}.\n\n` : '';
-      prompt = `${ctx}Generate a thoughtful, contextually appropriate reply to the following message. Keep it natural and conversational.\n\nMessage:\n${text}\n\nReply:`;
+      const questions = context && Array.isArray(context.questions) && context.questions.length
+        ? ` Make sure the reply answers: ${context.questions.map(q => `"${q}"`).join('; ')}.` : '';
+      const ctx = context ? `Context: The message has a ${context.emotion || 'Neutral'} tone and appears to be a ${context.intent || 'Statement'}.${questions}\n\n` : '';
+      prompt = `${preamble}${ctx}Generate a thoughtful, contextually appropriate reply to the following message. Keep it natural and conversational.\n\nMessage:\n${text}\n\nReply:`;
     }
 
-    const response = await session.prompt(prompt);
+    if (candidateCount > 1 && type !== 'summarize' && type !== 'translate') {
+      const texts = await withConversation(conversation, session => promptCandidates(session, prompt, candidateCount));
+      post({ requestId, success: true, text: texts[0], texts });
+      return;
+    }
+
+    const response = await withConversation(conversation, session => runPrompt(session, prompt, { stream, requestId }));
     post({ requestId, success: true, text: response });
   }
 
-  async function handleRefine({ text, tone, requestId }) {
+  // inline autocomplete; a throwaway clone of the base session so the keystroke-driven prompts do
+  // not pile up in the conversation's context
+  async function handleComplete({ text, thread, stream, requestId }) {
     const session = await ensureSession();
-    const toneInstructions = {
-      formal: 'rewrite to be more formal and professional',
-      friendly: 'rewrite to be more friendly and casual',
-      concise: 'rewrite to be more concise and to the point',
-      sarcastic: 'rewrite to be slightly sarcastic but appropriate'
-    };
-    const instruction = toneInstructions[tone] || `rewrite with a ${tone} tone`;
-    const prompt = `Rewrite the following message to make it ${instruction}, while preserving meaning:\n\nOriginal:\n${text}\n\nRewritten:`;
-    const response = await session.prompt(prompt);
-    post({ requestId, success: true, text: response });
+    const clone = await session.clone();
+    try {
+      const prompt = `${formatThread(thread)}Continue the user's unfinished chat message below. Reply with only the next few words (at most one short sentence) — do not repeat the draft. If the draft ends in the middle of a word, finish that word first; start with a space if the continuation begins a new word.\n\nDraft: ${text}`;
+      const response = await runPrompt(clone, prompt, { stream, requestId });
+      post({ requestId, success: true, text: response });
+    } finally {
+      clone.destroy();
+    }
+  }
+
+  // preset: the fixed instruction of a built-in tone or draft mode, or only { temperature } for the
+  // user's own presets, whose name comes as tone (background.js bridgeRefinePreset)
+  async function handleRefine({ text, tone, preset, style, stream, conversation, requestId }) {
+    const instruction = ((preset && preset.instruction) || `Rewrite the following message with a ${tone || 'different'} tone.`) + (style ? ` ${style}` : '');
+    const examples = preset && preset.examples && preset.examples.length
+      ? `\nExample phrases in this tone:\n${preset.examples.map(e => `- ${e}`).join('\n')}\n`
+      : '';
+    const prompt = `${instruction} Preserve the meaning.\n${examples}\nOriginal:\n${text}\n\nRewritten:`;
+
+    // sampling parameters are fixed per session, so a preset temperature needs its own short-lived session
+    const tuned = preset && typeof preset.temperature === 'number' ? await createTunedSession(preset.temperature) : null;
+    try {
+      const response = tuned
+        ? await runPrompt(tuned, prompt, { stream, requestId })
+        : await withConversation(conversation, session => runPrompt(session, prompt, { stream, requestId }));
+      post({ requestId, success: true, text: response });
+    } finally {
+      if (tuned) tuned.destroy();
+    }
+  }
+
+  // "data:image/png;base64,..." -> Blob; decoded by hand because page CSPs may block fetch(data:)
+  function dataUrlToBlob(dataUrl) {
+    const [head, data] = String(dataUrl).split(',');
+    const mimeType = (head.match(/^data:([^;]+)/) || [])[1] || 'image/png';
+    const binary = atob(data || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type: mimeType });
   }
 
-  async function handleSummarize({ text, requestId }) {
+  // image / transcribe tasks: the prompt is built by background.js; the image or audio (mediaType)
+  // goes in as multimodal input on a short-lived session, so it does not stay in a
+  // conversation session's context
+  async function handleMedia({ prompt, media, mediaType, stream, requestId }) {
+    const options = { expectedInputs: [{ type: 'text' }, { type: mediaType }] };
+    await assertModelReady(options);
+    const session = await LanguageModel.create(options);
+    try {
+      const input = [{ role: 'user', content: [{ type: 'text', value: prompt }, { type: mediaType, value: dataUrlToBlob(media) }] }];
+      const response = await runPrompt(session, input, { stream, requestId });
+      post({ requestId, success: true, text: response });
+    } finally {
+      session.destroy();
+    }
+  }
+
+  // a session with a given temperature; null when the API does not expose its sampling params
+  async function createTunedSession(temperature) {
+    try {
+      const params = await LanguageModel.params();
+      const t = Math.min(params.maxTemperature ?? 2, Math.max(0, temperature));
+      return await LanguageModel.create({ temperature: t, topK: params.defaultTopK });
+    } catch (e) {
+      return null;
+    }
+  }
+
+  async function handleSummarize({ text, conversation, requestId }) {
     try {
       if (typeof Summarizer !== 'undefined') {
         const avail = await Summarizer.availability();
         if (avail === 'unavailable') {
-          throw new Error('Summarizer API unavailable on this device.');
+          throw unavailable('Summarizer API unavailable on this device.');
         }
         const summ = await Summarizer.create({ length: 'short', type: 'tl;dr', format: 'text' });
         const out = await summ.summarize(text);
@@ -105,30 +424,48 @@
     }
 
     // Fallback summarization via Prompt API
-    const session = await ensureSession();
     const prompt = `Provide a concise 1-2 sentence summary of the following text:\n\n${text}`;
-    const response = await session.prompt(prompt);
+    const response = await withConversation(conversation, session => session.prompt(prompt));
     post({ requestId, success: true, text: response });
   }
 
   function post(obj) {
-    window.postMessage(Object.assign({ source: BRIDGE_OUT }, obj), '*');
+    if (port) port.postMessage(obj);
   }
 
-  // listen for messages from content script (which will post message with source 'ai-content')
-  window.addEventListener('message', (ev) => {
+  // requests from the content script, over the private channel only
+  function handleRequest(ev) {
     try {
       const msg = ev.data;
-      if (!msg || msg.source !== BRIDGE_IN) return;
+      if (!msg || typeof msg !== 'object') return;
       const { action, requestId } = msg;
+      if (action !== 'abort' && typeof requestId !== 'string') return;
+      const fail = err => post({ requestId, success: false, error: String(err && err.message || err), code: err && err.code });
       if (action === 'analyze') {
-        handleAnalyze(msg).catch(err => post({ requestId, success: false, error: String(err) }));
+        handleAnalyze(msg).catch(fail);
       } else if (action === 'generate') {
-        handleGenerate(msg).catch(err => post({ requestId, success: false, error: String(err) }));
+        handleGenerate(msg).catch(fail);
       } else if (action === 'refine') {
-        handleRefine(msg).catch(err => post({ requestId, success: false, error: String(err) }));
+        handleRefine(msg).catch(fail);
+      } else if (action === 'complete') {
+        handleComplete(msg).catch(fail);
+      } else if (action === 'extract') {
+        handleExtract(msg).catch(fail);
       } else if (action === 'summarize') {
-        handleSummarize(msg).catch(err => post({ requestId, success: false, error: String(err) }));
+        handleSummarize(msg).catch(fail);
+      } else if (action === 'json') {
+        handleJson(msg).catch(fail);
+      } else if (action === 'image' || action === 'transcribe') {
+        handleMedia(msg).catch(fail);
+      } else if (action === 'detectLanguage') {
+        handleDetectLanguage(msg).catch(fail);
+      } else if (action === 'translate') {
+        handleTranslate(msg).catch(fail);
+      } else if (action === 'modelStatus') {
+        handleModelStatus(msg).catch(fail);
+      } else if (action === 'abort') {
+        const controller = controllers.get(msg.target);
+        if (controller) controller.abort();
       } else {
         post({ requestId, success: false, error: 'Unknown action' });
       }
@@ -136,8 +473,19 @@
       // ensure no uncaught errors
       console.error('ai-bridge error', err);
     }
-  });
+  }
+
+  // One handshake: a same-origin window message with this load's nonce and the channel to use.
+  // Anything else posted on window is ignored, and the listener goes away once connected.
+  function handleConnect(ev) {
+    const msg = ev.data;
+    if (ev.source !== window || ev.origin !== window.location.origin) return;
+    if (!msg || msg.source !== BRIDGE_CONNECT || msg.nonce !== nonce || ev.ports.length !== 1) return;
+    window.removeEventListener('message', handleConnect);
+    port = ev.ports[0];
+    port.onmessage = handleRequest;
+    post({ type: 'ready' });
+  }
 
-  // small readiness ping so content script can verify injection
-  post({ requestId: 'bridge-ready', success: true, message: 'ai-bridge injected' });
+  window.addEventListener('message', handleConnect);
 })();
@@ -0,0 +1,236 @@
+// analysis-schema.js
+// The versioned message-analysis schema, loaded by background.js via importScripts. The same JSON
+// Schema is sent to the on-device model as responseConstraint (through ai-bridge.js) and, converted,
+// to Gemini as responseSchema. Whatever a provider returns is validated and normalized here;
+// background.js asks the model once to repair an answer that fails validation.
+//
+// Analysis (schemaVersion 3): { schemaVersion, emotion, intent, suggestedAction, language, urgency,
+//   sentiment, questions: [string], actionItems: [{ task, due, owner }], confidence: { emotion,
+//   intent, urgency }, events: [{ title, date, startTime, endTime, location }], valid, errors }
+// events are only asked for by "Extract events & tasks" (analysisSchema({ events: true })) and are
+// [] otherwise.
+
+const ANALYSIS_SCHEMA_VERSION = 3;
+const ANALYSIS_URGENCY = ['low', 'medium', 'high'];
+const ANALYSIS_OWNERS = ['me', 'them', 'unknown'];
+const ANALYSIS_MAX_ITEMS = 10;
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    emotion: { type: 'string', description: 'Emotional tone, e.g. Happy, Anxious, Upset, Neutral, Excited, Frustrated' },
+    intent: { type: 'string', description: 'Sender intent, e.g. Request, Question, Statement, Complaint, Invitation' },
+    suggestedAction: { type: 'string', description: 'e.g. Generate Confirmation Reply, Generate Supportive Reply, Generate Question Response' },
+    language: { type: 'string', description: 'ISO 639-1 code of the message language' },
+    urgency: { type: 'string', enum: ANALYSIS_URGENCY },
+    sentiment: { type: 'number', minimum: -1, maximum: 1, description: '-1 very negative … 1 very positive' },
+    questions: {
+      type: 'array',
+      description: 'Questions in the message that the reply needs to answer',
+      items: { type: 'string' }
+    },
+    actionItems: {
+      type: 'array',
+      description: 'Things someone has to do, with a due date when one is mentioned',
+      items: {
+        type: 'object',
+        properties: {
+          task: { type: 'string' },
+          due: { type: 'string', description: 'YYYY-MM-DD, or empty when no date is mentioned' },
+          owner: { type: 'string', enum: ANALYSIS_OWNERS }
+        },
+        required: ['task', 'due', 'owner']
+      }
+    },
+    confidence: {
+      type: 'object',
+      description: 'How sure you are of each label, 0 to 1',
+      properties: {
+        emotion: { type: 'number', minimum: 0, maximum: 1 },
+        intent: { type: 'number', minimum: 0, maximum: 1 },
+        urgency: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['emotion', 'intent', 'urgency']
+    }
+  },
+  required: ['emotion', 'intent', 'suggestedAction', 'language', 'urgency', 'sentiment', 'questions', 'actionItems', 'confidence']
+};
+
+const ANALYSIS_EVENTS_PROPERTY = {
+  type: 'array',
+  description: 'Meetings, appointments and other events proposed or agreed on',
+  items: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      date: { type: 'string', description: 'YYYY-MM-DD' },
+      startTime: { type: 'string', description: '24-hour HH:MM, or empty for an all-day event' },
+      endTime: { type: 'string', description: '24-hour HH:MM, or empty when not mentioned' },
+      location: { type: 'string', description: 'Place or meeting link, or empty' }
+    },
+    required: ['title', 'date', 'startTime', 'endTime', 'location']
+  }
+};
+
+// the schema for one request; options.events adds the (required) events list
+function analysisSchema(options = {}) {
+  if (!options.events) return ANALYSIS_SCHEMA;
+  return Object.assign({}, ANALYSIS_SCHEMA, {
+    properties: Object.assign({}, ANALYSIS_SCHEMA.properties, { events: ANALYSIS_EVENTS_PROPERTY }),
+    required: ANALYSIS_SCHEMA.required.concat('events')
+  });
+}
+
+// Gemini's responseSchema is an OpenAPI subset: upper-case type names, no minimum / maximum on
+// every model, so those ranges are left to validateAnalysis()
+function toGeminiSchema(schema) {
+  const out = { type: schema.type.toUpperCase() };
+  if (schema.description) out.description = schema.description;
+  if (schema.enum) out.enum = schema.enum.slice();
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    out.properties = {};
+    Object.keys(schema.properties).forEach(k => { out.properties[k] = toGeminiSchema(schema.properties[k]); });
+  }
+  if (schema.required) out.required = schema.required.slice();
+  return out;
+}
+
+// the field list for prompts of providers without schema support
+function describeAnalysisSchema(options = {}) {
+  const events = options.events
+    ? `,\n  "events": [{ "title": "what", "date": "YYYY-MM-DD", "startTime": "HH:MM or empty", "endTime": "HH:MM or empty", "location": "where, or empty" }]`
+    : '';
+  return `{
+  "emotion": "detected emotion",
+  "intent": "detected intent",
+  "suggestedAction": "action suggestion",
+  "language": "ISO 639-1 code",
+  "urgency": "low" | "medium" | "high",
+  "sentiment": number from -1 (very negative) to 1 (very positive),
+  "questions": ["questions the reply needs to answer"],
+  "actionItems": [{ "task": "what has to be done", "due": "YYYY-MM-DD or empty", "owner": "me" | "them" | "unknown" }],
+  "confidence": { "emotion": 0-1, "intent": 0-1, "urgency": 0-1 }${events}
+}`;
+}
+
+function isValidTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isValidIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+// Check and normalize a parsed answer. Returns { analysis, errors }: analysis always has every
+// field (defaults where the answer was unusable); errors lists what did not match the schema.
+// options.events: the events list was asked for and is required.
+function validateAnalysis(data, options = {}) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    errors.push('the answer is not a JSON object');
+    data = {};
+  }
+
+  const text = (key, fallback) => {
+    const value = typeof data[key] === 'string' ? data[key].trim() : '';
+    if (!value) errors.push(`"${key}" must be a non-empty string`);
+    return value || fallback;
+  };
+  // numbers may arrive as strings or percentages ("85", 85)
+  const number = (value, key, min, max, fallback) => {
+    let n = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof n !== 'number' || !Number.isFinite(n)) {
+      errors.push(`"${key}" must be a number between ${min} and ${max}`);
+      return fallback;
+    }
+    if (max === 1 && min === 0 && n > 1 && n <= 100) n /= 100;
+    return Math.min(max, Math.max(min, n));
+  };
+
+  const analysis = {
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    emotion: text('emotion', 'Neutral'),
+    intent: text('intent', 'Statement'),
+    suggestedAction: text('suggestedAction', 'Generate Reply'),
+    language: baseLanguage(data.language),
+    urgency: 'low',
+    sentiment: number(data.sentiment, 'sentiment', -1, 1, 0),
+    questions: [],
+    actionItems: [],
+    confidence: { emotion: 0, intent: 0, urgency: 0 },
+    events: []
+  };
+  if (data.language != null && !analysis.language) errors.push('"language" must be an ISO 639-1 code');
+
+  const urgency = String(data.urgency || '').toLowerCase();
+  if (ANALYSIS_URGENCY.includes(urgency)) analysis.urgency = urgency;
+  else errors.push(`"urgency" must be one of ${ANALYSIS_URGENCY.join(', ')}`);
+
+  if (Array.isArray(data.questions)) {
+    analysis.questions = data.questions.map(q => String(q || '').trim()).filter(Boolean).slice(0, ANALYSIS_MAX_ITEMS);
+  } else {
+    errors.push('"questions" must be an array of strings');
+  }
+
+  if (Array.isArray(data.actionItems)) {
+    data.actionItems.slice(0, ANALYSIS_MAX_ITEMS).forEach((item, i) => {
+      const task = item && typeof item.task === 'string' ? item.task.trim() : '';
+      if (!task) { errors.push(`actionItems[${i}].task must be a non-empty string`); return; }
+      let due = item.due ? String(item.due).trim() : '';
+      if (due && !isValidIsoDate(due)) {
+        errors.push(`actionItems[${i}].due must be YYYY-MM-DD or empty`);
+        due = '';
+      }
+      const owner = ANALYSIS_OWNERS.includes(item.owner) ? item.owner : 'unknown';
+      analysis.actionItems.push({ task, due: due || null, owner });
+    });
+  } else {
+    errors.push('"actionItems" must be an array');
+  }
+
+  const confidence = data.confidence && typeof data.confidence === 'object' ? data.confidence : null;
+  if (!confidence) errors.push('"confidence" must be an object with emotion, intent and urgency');
+  else {
+    ['emotion', 'intent', 'urgency'].forEach(k => {
+      analysis.confidence[k] = number(confidence[k], `confidence.${k}`, 0, 1, 0);
+    });
+  }
+
+  if (Array.isArray(data.events)) {
+    data.events.slice(0, ANALYSIS_MAX_ITEMS).forEach((event, i) => {
+      const title = event && typeof event.title === 'string' ? event.title.trim() : '';
+      const date = event && typeof event.date === 'string' ? event.date.trim() : '';
+      if (!title || !isValidIsoDate(date)) { errors.push(`events[${i}] needs a title and a YYYY-MM-DD date`); return; }
+      const time = (key) => {
+        const value = event[key] ? String(event[key]).trim() : '';
+        if (value && !isValidTime(value)) { errors.push(`events[${i}].${key} must be HH:MM or empty`); return null; }
+        return value || null;
+      };
+      const startTime = time('startTime');
+      const endTime = startTime ? time('endTime') : null;
+      analysis.events.push({ title, date, startTime, endTime, location: event.location ? String(event.location).trim() : '' });
+    });
+  } else if (options.events) {
+    errors.push('"events" must be an array');
+  }
+
+  return { analysis, errors };
+}
+
+// model text -> { analysis, errors }; the JSON may be wrapped in prose or a code fence
+function parseAnalysis(raw, options = {}) {
+  const jsonMatch = String(raw || '').match(/\{[\s\S]*\}/);
+  let data = null;
+  if (jsonMatch) {
+    try { data = JSON.parse(jsonMatch[0]); }
+    catch (e) { data = null; }
+  }
+  if (!data) {
+    const { analysis } = validateAnalysis({}, options);
+    return { analysis, errors: ['the answer is not valid JSON'] };
+  }
+  return validateAnalysis(data, options);
+}
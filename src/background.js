@@ -1,13 +1,27 @@
 // background.js
-// Service worker that calls Gemini (Google Generative Language API) using API key or optional proxy.
-// Also stores API key and proxyUrl in chrome.storage.local and tracks simple usage counts.
+// Service worker that routes AI requests through a prioritized list of providers:
+// Chrome built-in AI (on-device, via the page bridge), Gemini REST (API key), the user's proxy
+// and an OpenAI-compatible local endpoint. Falls back to the next provider when one is not
+// available or fails. Also stores provider config in chrome.storage.local (keys encrypted, see
+// key-vault.js); every call's tokens go to the usage ledger (usage-ledger.js).
+
+importScripts('tone-presets.js', 'style-profile.js', 'history-store.js', 'language.js', 'analysis-schema.js', 'response-cache.js', 'usage-ledger.js', 'redaction.js', 'site-policy.js', 'key-vault.js');
 
 const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
 const DEFAULT_MODEL = 'gemini-2.0-flash-exp'; // change if you want another model
-const SOFT_DAILY_LIMIT = 200; // soft limit for UI warning (adjust as needed)
-const USAGE_KEY = 'dailyUsage';
-const API_KEY_STORAGE = 'geminiApiKey';
 const PROXY_URL_STORAGE = 'proxyUrl';
+const LOCAL_ENDPOINT_STORAGE = 'localEndpointUrl';
+const LOCAL_MODEL_STORAGE = 'localModel';
+const PROVIDER_ORDER_STORAGE = 'providerOrder';
+const DEFAULT_LOCAL_MODEL = 'llama3.2';
+const CANDIDATE_COUNT_STORAGE = 'candidateCount';
+const DEFAULT_CANDIDATE_COUNT = 3; // reply candidates per generate call
+const MAX_CANDIDATES = 5;
+// on-device first; cloud providers are the fallback
+const DEFAULT_PROVIDER_ORDER = ['builtin', 'proxy', 'gemini', 'local'];
+const STREAM_PORT = 'ai-stream'; // content.js <-> background streaming channel
+const BUILTIN_STREAM_PORT = 'builtin-stream'; // background -> tab relay for on-device streaming
+const AUTOCOMPLETE_STORAGE = 'autocomplete'; // { enabled, allowCloud } — opt-in, set in the popup
 
 // utility: wrap chrome.storage.local.get in a Promise
 function storageGet(keys) {
@@ -21,31 +35,97 @@ function storageSet(obj) {
   });
 }
 
-// increments the simple usage counter for today
-async function incrementUsage() {
-  const now = new Date();
-  const today = now.toISOString().slice(0, 10); // YYYY-MM-DD
-  const stored = (await storageGet([USAGE_KEY]))[USAGE_KEY] || {};
-  if (stored.date !== today) {
-    stored.date = today;
-    stored.count = 0;
-  }
-  stored.count = (stored.count || 0) + 1;
-  await storageSet({ [USAGE_KEY]: stored });
-  return stored;
-}
-
-// Read API config
+// Read API config. Keys come from the key vault; lockedKeys lists the providers whose key is
+// stored but locked behind the passphrase.
 async function getApiConfig() {
-  const res = await storageGet([API_KEY_STORAGE, PROXY_URL_STORAGE]);
+  const res = await storageGet([PROXY_URL_STORAGE, LOCAL_ENDPOINT_STORAGE, LOCAL_MODEL_STORAGE, PROVIDER_ORDER_STORAGE, CANDIDATE_COUNT_STORAGE]);
+  const { secrets, locked } = await getProviderSecrets();
   return {
-    apiKey: (res[API_KEY_STORAGE] || '').trim() || null,
-    proxyUrl: (res[PROXY_URL_STORAGE] || '').trim() || null
+    apiKey: secrets.gemini || null,
+    proxyToken: secrets.proxy || null,
+    localApiKey: secrets.local || null,
+    lockedKeys: locked,
+    proxyUrl: (res[PROXY_URL_STORAGE] || '').trim() || null,
+    localEndpointUrl: (res[LOCAL_ENDPOINT_STORAGE] || '').trim() || null,
+    localModel: (res[LOCAL_MODEL_STORAGE] || '').trim() || DEFAULT_LOCAL_MODEL,
+    providerOrder: normalizeProviderOrder(res[PROVIDER_ORDER_STORAGE]),
+    candidateCount: clampCandidateCount(res[CANDIDATE_COUNT_STORAGE] ?? DEFAULT_CANDIDATE_COUNT)
   };
 }
 
-// call Gemini directly with API key
-async function callGeminiWithApiKey(apiKey, model, prompt, generationConfig = {}) {
+function clampCandidateCount(n) {
+  const count = Math.round(Number(n));
+  if (!Number.isFinite(count)) return 1;
+  return Math.min(MAX_CANDIDATES, Math.max(1, count));
+}
+
+// keep only known provider ids, without duplicates; an unset order means the default one
+function normalizeProviderOrder(order) {
+  if (!Array.isArray(order)) return DEFAULT_PROVIDER_ORDER.slice();
+  return order.filter((id, i) => PROVIDERS[id] && order.indexOf(id) === i);
+}
+
+// request headers for the proxy and the local endpoint; a stored key is sent as a bearer token
+function jsonHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+}
+
+// errors carrying a code so the router can tell "skip me" from a real failure
+function providerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Token counts of an answer into meter ({ inputTokens, outputTokens }, see usage-ledger.js):
+// Gemini's usageMetadata or an OpenAI-style usage object. Providers without either leave it empty.
+function meterUsage(meter, data) {
+  if (!meter || !data) return;
+  const gemini = data.usageMetadata;
+  const openai = data.usage;
+  if (gemini && typeof gemini.promptTokenCount === 'number') {
+    meter.inputTokens = gemini.promptTokenCount;
+    meter.outputTokens = (gemini.candidatesTokenCount || 0) + (gemini.thoughtsTokenCount || 0);
+  } else if (openai && typeof openai.prompt_tokens === 'number') {
+    meter.inputTokens = openai.prompt_tokens;
+    meter.outputTokens = openai.completion_tokens || 0;
+  }
+}
+
+// Gemini request parts: the prompt, plus the image / audio as inlineData for media tasks
+function geminiParts(prompt, media) {
+  const parts = [{ text: prompt }];
+  if (media) parts.push({ inlineData: { mimeType: media.mimeType, data: media.data } });
+  return parts;
+}
+
+// OpenAI-style message content: plain text, or text + an image_url / input_audio part for media
+// tasks. The chat-completions format only knows WAV and MP3 audio.
+function chatContent(prompt, media) {
+  if (!media) return prompt;
+  if (media.mimeType.startsWith('audio/')) {
+    const format = { 'audio/wav': 'wav', 'audio/x-wav': 'wav', 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3' }[media.mimeType];
+    if (!format) throw providerError('NOT_AVAILABLE', `The local endpoint does not accept ${media.mimeType} audio.`);
+    return [{ type: 'text', text: prompt }, { type: 'input_audio', input_audio: { data: media.data, format } }];
+  }
+  return [
+    { type: 'text', text: prompt },
+    { type: 'image_url', image_url: { url: `data:${media.mimeType};base64,${media.data}` } }
+  ];
+}
+
+// proxy body field for a media task: { image } or { audio }, each { mimeType, data }
+function proxyMedia(media) {
+  if (!media) return {};
+  return { [media.mimeType.startsWith('audio/') ? 'audio' : 'image']: media };
+}
+
+// call Gemini directly with API key. Returns the reply text, or an array of candidate texts when
+// generationConfig.candidateCount > 1. media: optional image / audio { mimeType, data (base64) };
+// meter receives the token counts (see meterUsage).
+async function callGeminiWithApiKey(apiKey, model, prompt, generationConfig = {}, media = null, meter = null) {
   const url = `${GEMINI_API_BASE}/${model}:generateContent?key=${encodeURIComponent(apiKey)}`;
 
   // Keep a conservative generationConfig if none provided
@@ -56,7 +136,7 @@ async function callGeminiWithApiKey(apiKey, model, prompt, generationConfig = {}
 
   const body = {
     contents: [{
-      parts: [{ text: prompt }]
+      parts: geminiParts(prompt, media)
     }],
     generationConfig: finalGen
   };
@@ -81,8 +161,13 @@ async function callGeminiWithApiKey(apiKey, model, prompt, generationConfig = {}
   }
 
   const data = JSON.parse(text);
+  meterUsage(meter, data);
   // Defensive: find text in candidates
-  const candidate = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  const candidates = (data?.candidates || [])
+    .map(c => c?.content?.parts?.[0]?.text)
+    .filter(Boolean);
+  if (candidates.length && finalGen.candidateCount > 1) return candidates;
+  const candidate = candidates[0];
   if (candidate) return candidate;
   // fallback: try result fields
   if (typeof data?.result === 'string') return data.result;
@@ -91,11 +176,14 @@ async function callGeminiWithApiKey(apiKey, model, prompt, generationConfig = {}
 }
 
 // call user's proxy (if set) — expects proxy to accept { prompt, model, generationConfig } and return { success: true, text }
-async function callProxy(proxyUrl, model, prompt, generationConfig = {}) {
-  const body = { prompt, model, generationConfig };
+// (plus an optional `texts` array when generationConfig.candidateCount > 1). Media tasks add
+// image or audio: { mimeType, data } for the proxy to forward to a multimodal model. A proxy that
+// passes on usageMetadata (or an OpenAI-style usage) gets exact token accounting.
+async function callProxy(proxyUrl, model, prompt, generationConfig = {}, media = null, meter = null, token = null) {
+  const body = Object.assign({ prompt, model, generationConfig }, proxyMedia(media));
   const response = await fetch(proxyUrl, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: jsonHeaders(token),
     body: JSON.stringify(body)
   });
   if (!response.ok) {
@@ -106,31 +194,957 @@ async function callProxy(proxyUrl, model, prompt, generationConfig = {}) {
   if (!data || !data.success) {
     throw new Error(`Proxy returned failure: ${JSON.stringify(data)}`);
   }
+  meterUsage(meter, data);
+  if (generationConfig.candidateCount > 1 && Array.isArray(data.texts) && data.texts.length) return data.texts;
   return data.text;
 }
 
-// wrapper: choose proxy or direct API key
-async function callBackend(model, prompt, generationConfig = {}) {
-  const { apiKey, proxyUrl } = await getApiConfig();
+// call an OpenAI-compatible endpoint (Ollama, LM Studio, llama.cpp server...) — accepts a base url
+// such as http://localhost:11434/v1 or the full /chat/completions url
+async function callLocalEndpoint(endpointUrl, model, prompt, generationConfig = {}, media = null, meter = null, apiKey = null) {
+  const url = /\/chat\/completions\/?$/.test(endpointUrl)
+    ? endpointUrl
+    : `${endpointUrl.replace(/\/+$/, '')}/chat/completions`;
+  const body = {
+    model,
+    messages: [{ role: 'user', content: chatContent(prompt, media) }],
+    temperature: generationConfig.temperature ?? 0.7,
+    max_tokens: generationConfig.maxOutputTokens ?? 512
+  };
+  if (generationConfig.candidateCount > 1) body.n = generationConfig.candidateCount;
+  // JSON tasks (analysis): the Gemini-style schema does not carry over, JSON mode does
+  if (generationConfig.responseMimeType === 'application/json') body.response_format = { type: 'json_object' };
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: jsonHeaders(apiKey),
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const txt = await response.text();
+    throw new Error(`Local endpoint error (${response.status}): ${txt}`);
+  }
+  const data = await response.json();
+  meterUsage(meter, data);
+  const texts = (data?.choices || []).map(c => c?.message?.content).filter(t => typeof t === 'string');
+  if (!texts.length) {
+    throw new Error(`Local endpoint returned no text: ${JSON.stringify(data)}`);
+  }
+  // servers that ignore `n` just return one choice
+  return generationConfig.candidateCount > 1 ? texts : texts[0];
+}
+
+// run a task on the on-device model. The Prompt API lives in the page (see ai-bridge.js), so the
+// request is relayed to the content script of the tab that asked for it.
+function callBuiltin(tabId, bridgeAction, payload) {
+  return new Promise((resolve, reject) => {
+    if (typeof tabId !== 'number') {
+      reject(providerError('NOT_AVAILABLE', 'Built-in AI needs a page context (no tab for this request).'));
+      return;
+    }
+    chrome.tabs.sendMessage(tabId, { action: 'builtinRun', bridgeAction, payload }, (res) => {
+      if (chrome.runtime.lastError) {
+        reject(providerError('NOT_AVAILABLE', chrome.runtime.lastError.message));
+        return;
+      }
+      if (!res) { reject(providerError('NOT_AVAILABLE', 'No response from page bridge')); return; }
+      if (res.error) { reject(providerError(res.code || 'FAILED', res.error)); return; }
+      if (Array.isArray(res.texts)) resolve(res.texts);
+      else resolve(typeof res.text === 'string' ? res.text : '');
+    });
+  });
+}
+
+/* ---------- Streaming calls: each takes onChunk(delta) + an AbortSignal and resolves with the full text ---------- */
+
+// read a fetch body as text pieces as they arrive
+async function readBody(response, onText) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onText(decoder.decode(value, { stream: true }));
+  }
+  const rest = decoder.decode();
+  if (rest) onText(rest);
+}
+
+// read a server-sent-events body and hand each `data:` payload to onData
+async function readSse(response, onData) {
+  let buffer = '';
+  await readBody(response, (piece) => {
+    buffer += piece;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) onData(line.slice(5).trim());
+    }
+  });
+  if (buffer.startsWith('data:')) onData(buffer.slice(5).trim());
+}
+
+async function streamGeminiWithApiKey(apiKey, model, prompt, generationConfig, onChunk, signal, media = null, meter = null) {
+  const url = `${GEMINI_API_BASE}/${model}:streamGenerateContent?alt=sse&key=${encodeURIComponent(apiKey)}`;
+  const body = {
+    contents: [{ parts: geminiParts(prompt, media) }],
+    generationConfig: Object.assign({ temperature: 0.7, maxOutputTokens: 512 }, generationConfig)
+  };
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!response.ok) {
+    const txt = await response.text();
+    throw new Error(`API call failed (${response.status}): ${txt}`);
+  }
+
+  let full = '';
+  await readSse(response, (data) => {
+    let event;
+    try { event = JSON.parse(data); } catch (e) { return; }
+    const parts = event?.candidates?.[0]?.content?.parts || [];
+    const delta = parts.map(p => p.text || '').join('');
+    if (delta) { full += delta; onChunk(delta); }
+    // every event carries the running totals; the last one wins
+    meterUsage(meter, event);
+  });
+  return full;
+}
+
+// proxy streaming: sends { ..., stream: true }. A streaming proxy answers with a plain-text chunked
+// body; a proxy that ignores the flag answers with the usual { success, text } JSON.
+async function streamProxy(proxyUrl, model, prompt, generationConfig, onChunk, signal, media = null, meter = null, token = null) {
+  const response = await fetch(proxyUrl, {
+    method: 'POST',
+    headers: jsonHeaders(token),
+    body: JSON.stringify(Object.assign({ prompt, model, generationConfig, stream: true }, proxyMedia(media))),
+    signal
+  });
+  if (!response.ok) {
+    const txt = await response.text();
+    throw new Error(`Proxy error (${response.status}): ${txt}`);
+  }
+
+  if ((response.headers.get('content-type') || '').includes('application/json')) {
+    const data = await response.json();
+    if (!data || !data.success) throw new Error(`Proxy returned failure: ${JSON.stringify(data)}`);
+    meterUsage(meter, data);
+    onChunk(data.text);
+    return data.text;
+  }
+
+  let full = '';
+  await readBody(response, (delta) => { full += delta; onChunk(delta); });
+  return full;
+}
+
+async function streamLocalEndpoint(endpointUrl, model, prompt, generationConfig, onChunk, signal, media = null, meter = null, apiKey = null) {
+  const url = /\/chat\/completions\/?$/.test(endpointUrl)
+    ? endpointUrl
+    : `${endpointUrl.replace(/\/+$/, '')}/chat/completions`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: jsonHeaders(apiKey),
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: chatContent(prompt, media) }],
+      temperature: generationConfig.temperature ?? 0.7,
+      max_tokens: generationConfig.maxOutputTokens ?? 512,
+      stream: true,
+      // token counts arrive in a last event without choices
+      stream_options: { include_usage: true }
+    }),
+    signal
+  });
+  if (!response.ok) {
+    const txt = await response.text();
+    throw new Error(`Local endpoint error (${response.status}): ${txt}`);
+  }
+
+  let full = '';
+  await readSse(response, (data) => {
+    if (data === '[DONE]') return;
+    let event;
+    try { event = JSON.parse(data); } catch (e) { return; }
+    const delta = event?.choices?.[0]?.delta?.content;
+    if (delta) { full += delta; onChunk(delta); }
+    meterUsage(meter, event);
+  });
+  return full;
+}
+
+// on-device streaming: a port to the tab's content script, which relays promptStreaming chunks
+// from the page bridge. Disconnecting the port aborts the bridge request.
+function streamBuiltin(tabId, bridgeAction, payload, onChunk, signal) {
+  return new Promise((resolve, reject) => {
+    if (typeof tabId !== 'number') {
+      reject(providerError('NOT_AVAILABLE', 'Built-in AI needs a page context (no tab for this request).'));
+      return;
+    }
+
+    const port = chrome.tabs.connect(tabId, { name: BUILTIN_STREAM_PORT });
+    let settled = false;
+    let full = '';
+    const onAbort = () => {
+      port.disconnect();
+      finish(reject, providerError('ABORTED', 'Generation stopped'));
+    };
+    function finish(fn, value) {
+      if (settled) return;
+      settled = true;
+      signal.removeEventListener('abort', onAbort);
+      fn(value);
+    }
+
+    signal.addEventListener('abort', onAbort);
+    port.onMessage.addListener((msg) => {
+      if (msg.type === 'chunk') {
+        full += msg.text;
+        onChunk(msg.text);
+      } else if (msg.type === 'done') {
+        // non-streaming bridge actions (e.g. summarize) only send the final text
+        if (!full && msg.text) onChunk(msg.text);
+        finish(resolve, msg.text || full);
+        port.disconnect();
+      } else if (msg.type === 'error') {
+        finish(reject, providerError(msg.code || 'FAILED', msg.error));
+        port.disconnect();
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      finish(reject, providerError('NOT_AVAILABLE', chrome.runtime.lastError?.message || 'Page bridge disconnected'));
+    });
+    port.postMessage({ bridgeAction, payload: Object.assign({}, payload, { stream: true }) });
+  });
+}
+
+// Provider registry. Each provider gets the task ({ action, bridgeAction, payload, model, prompt,
+// generationConfig, media? }), the stored config, the request context ({ tabId }) and a meter for
+// the token counts (see meterUsage). run() returns text, or an array of candidate texts when
+// generationConfig.candidateCount > 1; stream() additionally reports deltas through onChunk and
+// honours the AbortSignal. Throwing a NOT_AVAILABLE error means "not configured / not usable here"
+// and is never surfaced on its own — the router just moves on to the next provider.
+const PROVIDERS = {
+  builtin: {
+    label: 'Chrome built-in AI',
+    cloud: false,
+    run: (task, config, ctx) => callBuiltin(ctx.tabId, task.bridgeAction, task.payload),
+    stream: (task, config, ctx, onChunk, signal) => streamBuiltin(ctx.tabId, task.bridgeAction, task.payload, onChunk, signal)
+  },
+  proxy: {
+    label: 'Proxy',
+    cloud: true,
+    run: (task, config, ctx, meter) => {
+      if (!config.proxyUrl) throw providerError('NOT_AVAILABLE', 'No proxy URL configured.');
+      assertKeyUnlocked(config, 'proxy');
+      return callProxy(config.proxyUrl, task.model, task.prompt, task.generationConfig, task.media, meter, config.proxyToken);
+    },
+    stream: (task, config, ctx, onChunk, signal, meter) => {
+      if (!config.proxyUrl) throw providerError('NOT_AVAILABLE', 'No proxy URL configured.');
+      assertKeyUnlocked(config, 'proxy');
+      return streamProxy(config.proxyUrl, task.model, task.prompt, task.generationConfig, onChunk, signal, task.media, meter, config.proxyToken);
+    }
+  },
+  gemini: {
+    label: 'Gemini API',
+    cloud: true,
+    run: (task, config, ctx, meter) => {
+      assertKeyUnlocked(config, 'gemini');
+      if (!config.apiKey) throw providerError('NOT_AVAILABLE', 'No API key configured. Please set your Google AI Studio API key in the extension popup.');
+      return callGeminiWithApiKey(config.apiKey, task.model, task.prompt, task.generationConfig, task.media, meter);
+    },
+    stream: (task, config, ctx, onChunk, signal, meter) => {
+      assertKeyUnlocked(config, 'gemini');
+      if (!config.apiKey) throw providerError('NOT_AVAILABLE', 'No API key configured. Please set your Google AI Studio API key in the extension popup.');
+      return streamGeminiWithApiKey(config.apiKey, task.model, task.prompt, task.generationConfig, onChunk, signal, task.media, meter);
+    }
+  },
+  local: {
+    label: 'Local endpoint',
+    cloud: false,
+    run: (task, config, ctx, meter) => {
+      if (!config.localEndpointUrl) throw providerError('NOT_AVAILABLE', 'No local endpoint configured.');
+      assertKeyUnlocked(config, 'local');
+      return callLocalEndpoint(config.localEndpointUrl, config.localModel, task.prompt, task.generationConfig, task.media, meter, config.localApiKey);
+    },
+    stream: (task, config, ctx, onChunk, signal, meter) => {
+      if (!config.localEndpointUrl) throw providerError('NOT_AVAILABLE', 'No local endpoint configured.');
+      assertKeyUnlocked(config, 'local');
+      return streamLocalEndpoint(config.localEndpointUrl, config.localModel, task.prompt, task.generationConfig, onChunk, signal, task.media, meter, config.localApiKey);
+    }
+  }
+};
+
+// provider order for one call: ctx.preferOnDevice moves the on-device / local providers to the
+// front and ctx.noCloud drops the cloud ones (isCloudCall, so a remote local endpoint counts)
+function routeOrder(order, config, ctx = {}) {
+  const ids = ctx.noCloud ? order.filter(id => !isCloudCall(id, config)) : order;
+  if (!ctx.preferOnDevice) return ids;
+  return ids.filter(id => !isCloudCall(id, config)).concat(ids.filter(id => isCloudCall(id, config)));
+}
+
+// Context for a request from a tab: its id (the built-in provider reaches the page bridge through
+// it) and noCloud when the site's policy (site-policy.js) keeps its text on this device
+async function requestContext(tab) {
+  const policy = tab && tab.url ? await loadSitePolicy(tab.url) : null;
+  return { tabId: tab?.id, noCloud: !!(policy && policy.noCloud) };
+}
+
+// a provider whose key is stored but locked (key-vault.js) is skipped too; the router reports it
+// with code LOCKED when no other provider answers
+function assertKeyUnlocked(config, id) {
+  if (config.lockedKeys.includes(id)) throw providerError('LOCKED', KEY_VAULT_LOCKED_MESSAGE);
+}
+
+// a provider whose token limit is used up (usage-ledger.js) is skipped like an unconfigured one,
+// but the reason is reported if no other provider answers. The overall limits only count and
+// block cloud calls (isCloudCall), so on-device inference keeps working once they are reached.
+async function assertWithinLimits(id, config) {
+  const cloudProviders = Object.keys(PROVIDERS).filter(p => isCloudCall(p, config));
+  const blocked = await checkUsageLimit(id, PROVIDERS[id].label, isCloudCall(id, config) ? cloudProviders : null);
+  if (blocked) throw providerError('LIMIT_REACHED', blocked);
+}
+
+// loopback, private network and .local hosts: a local endpoint there keeps text off the internet
+function isPrivateEndpoint(url) {
+  let host;
+  try { host = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, ''); } catch (e) { return false; }
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host === '::1') return true;
+  if (/^f[cd][0-9a-f]{2}:/.test(host)) return true; // IPv6 unique local
+  const m = /^(\d+)\.(\d+)\.\d+\.\d+$/.exec(host);
+  if (!m) return false;
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  return a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31) || (a === 169 && b === 254);
+}
+
+// whether a call to provider id leaves this machine / network: the local provider can be pointed
+// at any URL, so it counts as cloud unless its endpoint is private (an unset one is never called)
+function isCloudCall(id, config) {
+  if (id === 'local') return !!config.localEndpointUrl && !isPrivateEndpoint(config.localEndpointUrl);
+  return PROVIDERS[id].cloud;
+}
+
+// Cloud calls (isCloudCall) get the prompt with personal details replaced by placeholders
+// (redaction.js). ctx.redaction is the request's session, shared by all of its calls so a value
+// keeps its placeholder; redactionSummary(ctx.redaction) is what the page shows. Returns null
+// when nothing needed replacing, else { task, session } with the redacted copy of the task.
+async function redactForProvider(id, task, ctx, config) {
+  if (!isCloudCall(id, config)) return null;
+  const settings = await loadRedactionSettings();
+  if (!settings.enabled) return null;
+  const session = ctx.redaction || (ctx.redaction = createRedactionSession());
+  const prompt = redactText(task.prompt, settings, session);
+  if (prompt === task.prompt) return null;
+  const note = 'Some personal details below were replaced with placeholders such as [EMAIL_1] or [NAME_1]. Keep any placeholder you use exactly as written.';
+  return { session, task: Object.assign({}, task, { prompt: `${note}\n\n${prompt}` }) };
+}
+
+// images and audio cannot be redacted; one that went to a cloud provider is noted in the
+// request's redaction session so the page's badge says so
+async function noteMediaSent(id, task, ctx, config) {
+  if (!task.media || !isCloudCall(id, config) || !(await loadRedactionSettings()).enabled) return;
+  noteUnredactedMedia(ctx.redaction || (ctx.redaction = createRedactionSession()), task.media.mimeType.split('/')[0]);
+}
+
+// ledger entry for a finished call; estimated from the text when the provider reported no counts
+function recordCall(id, task, output, meter) {
+  if (typeof meter.inputTokens === 'number') {
+    return recordUsage(id, task.action, { inputTokens: meter.inputTokens, outputTokens: meter.outputTokens || 0 });
+  }
+  return recordUsage(id, task.action, { inputTokens: estimateTokens(task.prompt), outputTokens: estimateTokens(output), estimated: true });
+}
+
+// the error once every provider has been tried — prefer reporting a real failure over
+// "not configured" noise; LIMIT_REACHED / LOCKED when limits or the key vault are all that stood in the way
+function routerError(failures, ctx = {}) {
+  const real = failures.filter(f => f.code !== 'NOT_AVAILABLE');
+  if (real.length) {
+    const err = new Error(real.map(f => `${PROVIDERS[f.id].label}: ${f.message}`).join(' | '));
+    if (real.every(f => f.code === 'LIMIT_REACHED')) err.code = 'LIMIT_REACHED';
+    if (real.every(f => f.code === 'LOCKED')) err.code = 'LOCKED';
+    return err;
+  }
+  if (ctx.noCloud) return providerError('NOT_AVAILABLE', 'Only on-device providers are allowed here, and none is available. Enable Chrome built-in AI or configure a local endpoint on this device or network in the extension popup.');
+  return providerError('NOT_AVAILABLE', 'No AI provider is available. Enable Chrome built-in AI or configure an API key, proxy or local endpoint in the extension popup.');
+}
+
+// walk the configured provider order and return the first successful answer as
+// { text, texts, provider } — texts holds every candidate, text the first one
+async function callBackend(task, ctx = {}) {
+  const config = await getApiConfig();
+  const failures = [];
+
+  for (const id of routeOrder(config.providerOrder, config, ctx)) {
+    let output = ''; // the answer, for the estimate when the provider reports no counts
+    let sent = false; // the provider was called: what it used is recorded even if the call fails
+    const meter = {};
+    try {
+      await assertWithinLimits(id, config);
+      const redacted = await redactForProvider(id, task, ctx, config);
+      sent = true;
+      const out = await PROVIDERS[id].run(redacted ? redacted.task : task, config, ctx, meter);
+      let texts = Array.isArray(out) ? out : [out];
+      if (redacted) texts = texts.map(t => restoreText(t, redacted.session));
+      output = texts.join('');
+      await noteMediaSent(id, task, ctx, config);
+      return { text: texts[0], texts, provider: id };
+    } catch (err) {
+      // not set up, locked or unreachable: refused before a request went out
+      if (err.code === 'NOT_AVAILABLE' || err.code === 'LOCKED') sent = false;
+      if (!['NOT_AVAILABLE', 'LIMIT_REACHED', 'LOCKED'].includes(err.code)) console.warn(`provider ${id} failed, trying next`, err);
+      failures.push({ id, code: err.code || 'FAILED', message: err.message || String(err) });
+    } finally {
+      if (sent) await recordCall(id, task, output, meter);
+    }
+  }
+
+  throw routerError(failures, ctx);
+}
+
+// streaming variant of callBackend. Falls back like callBackend, but only while nothing has been
+// emitted yet — once a provider has produced output its failure is final (no mixed answers).
+async function callBackendStream(task, ctx, onChunk, signal) {
+  const config = await getApiConfig();
+  const failures = [];
+
+  for (const id of routeOrder(config.providerOrder, config, ctx)) {
+    if (signal.aborted) throw providerError('ABORTED', 'Generation stopped');
+    let emitted = false;
+    let output = ''; // what reached the page, for the estimate when the stream stops or fails
+    let sent = false; // the provider was called: what it used is recorded however the stream ends
+    const meter = {};
+    const relay = (delta) => { emitted = true; output += delta; onChunk(delta); };
+    try {
+      await assertWithinLimits(id, config);
+      const redacted = await redactForProvider(id, task, ctx, config);
+      // placeholders are restored chunk by chunk, so the page never sees them
+      const restorer = redacted ? createRestoreStream(redacted.session, relay) : null;
+      sent = true;
+      const raw = await PROVIDERS[id].stream(redacted ? redacted.task : task, config, ctx, restorer ? (d) => restorer.push(d) : relay, signal, meter);
+      if (restorer) restorer.flush();
+      const text = redacted ? restoreText(raw, redacted.session) : raw;
+      output = text;
+      await noteMediaSent(id, task, ctx, config);
+      return { text, provider: id };
+    } catch (err) {
+      // not set up, locked or unreachable: refused before a request went out
+      if (err.code === 'NOT_AVAILABLE' || err.code === 'LOCKED') sent = false;
+      if (signal.aborted || err.name === 'AbortError') throw providerError('ABORTED', 'Generation stopped');
+      if (emitted) throw err;
+      if (!['NOT_AVAILABLE', 'LIMIT_REACHED', 'LOCKED'].includes(err.code)) console.warn(`provider ${id} failed, trying next`, err);
+      failures.push({ id, code: err.code || 'FAILED', message: err.message || String(err) });
+    } finally {
+      if (sent) await recordCall(id, task, output, meter);
+    }
+  }
+
+  throw routerError(failures, ctx);
+}
+
+// Save a finished generate / refine answer to the reply history; best-effort, never fails the request
+async function recordHistory(task, request, result, tab) {
+  try {
+    let site = '';
+    try { site = tab && tab.url ? new URL(tab.url).hostname : ''; } catch (e) {}
+    return await addHistoryEntry({
+      site,
+      action: task.action,
+      type: task.payload.type || null,
+      tone: task.payload.tone || null,
+      provider: result.provider,
+      sourceText: request.text,
+      text: result.text,
+      candidates: result.candidates
+    });
+  } catch (err) {
+    console.warn('history write failed', err);
+    return null;
+  }
+}
+
+// Summaries and translations have one right answer, so they come from the response cache
+// (response-cache.js) when the same prompt was answered recently; replies are meant to vary.
+// compute() makes the call, counts the usage and writes the history entry, and resolves with
+// { text, texts, provider, historyId } on both the one-shot and the streaming path, so either can
+// reuse the other's answer; a hit has cached: true and links to the same history entry.
+function cachedGenerate(task, compute) {
+  const type = task.payload.type;
+  if (task.action !== 'generate' || (type !== 'summarize' && type !== 'translate')) return compute();
+  return withResponseCache(type, { prompt: task.prompt, model: task.model }, compute, { keep: out => !!String(out.text || '').trim() });
+}
+
+// relative dates in an analysis are resolved against the local day, so that is part of its cache key
+function cachedAnalysis(request, ctx) {
+  const input = { text: request.text, thread: request.thread || [], extractEvents: !!request.extractEvents, day: new Date().toLocaleDateString('en-CA') };
+  return withResponseCache('analyze', input, () => runAnalysis(request, ctx), { keep: result => result.analysis.valid });
+}
+
+/* ---------- Task builders (shared by one-shot messages and streaming ports) ---------- */
+
+const THREAD_MAX_MESSAGES = 10;
+
+// Render the conversation extracted by thread.js ([{ author: 'me' | 'them', name, text }], oldest
+// first) as a transcript so the model sees the multi-turn context, not just the selected line.
+function formatThread(thread) {
+  if (!Array.isArray(thread)) return '';
+  const lines = thread
+    .filter(m => m && typeof m.text === 'string' && m.text.trim())
+    .slice(-THREAD_MAX_MESSAGES)
+    .map(m => `${m.author === 'me' ? 'Me' : (String(m.name || '').trim() || 'Them')}: ${m.text.trim()}`);
+  if (!lines.length) return '';
+  return `Conversation so far (oldest first; "Me" is the user you are writing for):
+${lines.join('\n')}
+
+`;
+}
+
+// "Today is Monday, 2026-10-19, 14:05" in the user's time zone, to resolve relative dates against
+function describeNow() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  const weekday = now.toLocaleDateString('en-US', { weekday: 'long' });
+  return `Today is ${weekday}, ${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}, ${pad(now.getHours())}:${pad(now.getMinutes())} local time`;
+}
+
+// The analysis answer follows ANALYSIS_SCHEMA (analysis-schema.js): enforced as responseSchema on
+// Gemini and responseConstraint on-device, spelled out in the prompt for everyone else.
+// request.extractEvents also asks for calendar events ("Extract events & tasks" in content.js).
+function buildAnalyzeTask(request) {
+  const options = { events: !!request.extractEvents };
+  const schema = analysisSchema(options);
+  const events = options.events
+    ? ' List every meeting or appointment that is proposed or agreed on as an event, with date, start and end time and location when mentioned.'
+    : '';
+  const prompt = `${formatThread(request.thread)}Analyze the following message. ${describeNow()}; resolve relative dates ("tomorrow", "Thursday") against it.
+Report the emotional tone, the sender's intent, a suggested action, the message language, how urgent a reply is, the overall sentiment, the questions the reply has to answer, any action items with due dates, and how confident you are in the emotion, intent and urgency labels.${events}
+
+Respond in JSON format:
+${describeAnalysisSchema(options)}
+
+Message: "${request.text}"`;
+  return {
+    action: 'analyze',
+    bridgeAction: 'analyze',
+    payload: { text: request.text, thread: request.thread || [], prompt, schema },
+    model: DEFAULT_MODEL,
+    prompt,
+    options,
+    generationConfig: { temperature: 0.0, maxOutputTokens: options.events ? 2048 : 1024, responseMimeType: 'application/json', responseSchema: toGeminiSchema(schema) }
+  };
+}
+
+// second chance for an answer that failed validation: show the model its answer and the problems
+function buildAnalysisRepairTask(request, raw, errors) {
+  const prompt = `Your analysis of the message below does not match the required JSON format.
+
+Problems:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Your answer:
+${String(raw || '').slice(0, 4000)}
+
+Message: "${request.text}"
 
-  if (proxyUrl) {
-    return await callProxy(proxyUrl, model, prompt, generationConfig);
+Return only the corrected JSON object, in this format:
+${describeAnalysisSchema({ events: !!request.extractEvents })}`;
+  const task = buildAnalyzeTask(request);
+  return Object.assign(task, {
+    bridgeAction: 'json',
+    payload: { prompt, schema: task.payload.schema },
+    prompt
+  });
+}
+
+// analyze with validation: an answer that does not match the schema is sent back once for repair;
+// if that does not help either the best-effort analysis is returned with valid: false and the errors
+async function runAnalysis(request, ctx) {
+  const task = buildAnalyzeTask(request);
+  const { text: raw, provider } = await callBackend(task, ctx);
+  let result = parseAnalysis(raw, task.options);
+  if (result.errors.length) {
+    try {
+      const repaired = parseAnalysis((await callBackend(buildAnalysisRepairTask(request, raw, result.errors), ctx)).text, task.options);
+      if (repaired.errors.length < result.errors.length) result = repaired;
+    } catch (err) {
+      console.warn('analysis repair failed', err);
+    }
   }
+  if (result.errors.length) console.warn('analysis does not match the schema', result.errors);
+  return { analysis: Object.assign(result.analysis, { valid: !result.errors.length, errors: result.errors }), provider };
+}
 
-  if (!apiKey) throw new Error('No API key configured. Please set your Google AI Studio API key in the extension popup.');
+/* ---------- Language: detection, translation, reply language (see language.js) ---------- */
 
-  return await callGeminiWithApiKey(apiKey, model, prompt, generationConfig);
+function buildDetectLanguageTask(text) {
+  return {
+    action: 'detectLanguage',
+    bridgeAction: 'detectLanguage',
+    payload: { text },
+    model: DEFAULT_MODEL,
+    prompt: `Which language is the following message written in?
+
+Respond in JSON format:
+{ "language": "ISO 639-1 code, e.g. en, de, es" }
+
+Message: "${text}"`,
+    generationConfig: { temperature: 0.0, maxOutputTokens: 32 }
+  };
+}
+
+// ISO code of the text's language, or null when it cannot be told; never throws
+async function detectLanguage(text, ctx) {
+  if (!String(text || '').trim()) return null;
+  try {
+    const { text: raw } = await callBackend(buildDetectLanguageTask(String(text).slice(0, 1000)), ctx);
+    return parseLanguageCode(raw);
+  } catch (err) {
+    console.warn('language detection failed', err);
+    return null;
+  }
+}
+
+function buildTranslateTask(text, sourceLanguage, targetLanguage) {
+  return {
+    action: 'translate',
+    bridgeAction: 'translate',
+    payload: { text, sourceLanguage, targetLanguage },
+    model: DEFAULT_MODEL,
+    prompt: `Translate the following text from ${languageName(sourceLanguage)} into ${languageName(targetLanguage)}. Keep the tone and formatting; reply with the translation only:
+
+${text}
+
+Translation:`,
+    generationConfig: { temperature: 0.0, maxOutputTokens: 512 }
+  };
+}
+
+// Reply language for a generate request: the site / global preference, where 'auto' means the
+// sender's language (from the pre-analysis, else detected now). null for summaries / translations.
+async function resolveReplyLanguage(request, tab, ctx) {
+  const type = request.type || 'reply';
+  if (type === 'summarize' || type === 'translate') return null;
+  const settings = await loadLanguageSettings();
+  let host = '';
+  try { host = tab && tab.url ? new URL(tab.url).hostname : ''; } catch (e) {}
+  const preference = siteReplyLanguage(settings, host);
+  if (preference === 'ui') return uiLanguage();
+  if (preference && preference !== 'auto') return baseLanguage(preference);
+  return baseLanguage(request.context && request.context.language) || detectLanguage(request.text, ctx);
+}
+
+// Glosses for replies written in another language than GLOSS_LANGUAGE (one per text, '' when a
+// translation failed), or null when glosses are off or not needed
+async function glossReplies(texts, language, ctx) {
+  if (!language || language === GLOSS_LANGUAGE || !texts.length) return null;
+  const settings = await loadLanguageSettings();
+  if (!settings.showGloss) return null;
+  return Promise.all(texts.map(async (text) => {
+    try {
+      return String((await callBackend(buildTranslateTask(text, language, GLOSS_LANGUAGE), ctx)).text).trim();
+    } catch (err) {
+      console.warn('gloss translation failed', err);
+      return '';
+    }
+  }));
+}
+
+// options.candidateCount asks for several alternative replies in one call; options.style is the
+// personal style line from style-profile.js and options.replyLanguage the language code to answer
+// in (replies only)
+function buildGenerateTask(request, options = {}) {
+  let instructions;
+  const type = request.type || 'reply';
+  // summaries and translations have one right answer: no style line, no alternatives
+  const factual = type === 'summarize' || type === 'translate';
+  const history = formatThread(request.thread);
+  const replyLanguage = !factual && options.replyLanguage ? languageName(options.replyLanguage) : null;
+  const guidance = [options.style && !factual ? options.style : '', replyLanguage ? `Write the reply in ${replyLanguage}.` : '']
+    .filter(Boolean).join(' ');
+  const style = guidance ? `${guidance}\n\n` : '';
+  const targetLanguage = type === 'translate' ? (baseLanguage(request.targetLanguage) || uiLanguage()) : null;
+  if (type === 'reply') {
+    const context = request.context || {};
+    const ctx = context.emotion ? `Tone: ${context.emotion}.` : '';
+    const it = context.intent ? `Intent: ${context.intent}.` : '';
+    // open questions from the pre-analysis (analysis-schema.js) should not go unanswered
+    const questions = Array.isArray(context.questions) && context.questions.length
+      ? ` Make sure the reply answers: ${context.questions.map(q => `"${q}"`).join('; ')}.` : '';
+    instructions = `${history}${style}Generate a thoughtful, contextually appropriate reply to the following message. Keep it natural and conversational. ${ctx} ${it}${questions}
+
+Message:
+${request.text}
+
+Reply:`;
+  } else if (type === 'summarize') {
+    instructions = `Provide a concise summary (1-2 sentences) of the following text:
+
+${request.text}
+
+Summary:`;
+  } else if (type === 'translate') {
+    instructions = `Translate the following text into ${languageName(targetLanguage)}. Keep the tone and formatting; reply with the translation only:
+
+${request.text}
+
+Translation:`;
+  } else if (type === 'confirmation') {
+    instructions = `${history}${style}Generate a brief, friendly confirmation reply to the following message:
+
+${request.text}
+
+Reply:`;
+  } else if (type === 'supportive') {
+    instructions = `${history}${style}Generate a warm, supportive reply to the following message:
+
+${request.text}
+
+Reply:`;
+  } else {
+    instructions = `${history}${style}Generate a reply:\n${request.text}\n\nReply:`;
+  }
+
+  const candidateCount = factual ? 1 : clampCandidateCount(options.candidateCount || 1);
+  const generationConfig = { temperature: 0.7, maxOutputTokens: 512 };
+  if (candidateCount > 1) {
+    generationConfig.candidateCount = candidateCount;
+    generationConfig.temperature = 0.9; // a little more spread between the alternatives
+  }
+
+  return {
+    action: 'generate',
+    bridgeAction: type === 'summarize' ? 'summarize' : 'generate',
+    // the page bridge gets the language line but not the personal style (see bridgeRefinePreset)
+    payload: { text: request.text, type, context: request.context || null, thread: request.thread || [], style: replyLanguage ? `Write the reply in ${replyLanguage}.` : '', candidateCount, targetLanguage, replyLanguage },
+    model: DEFAULT_MODEL,
+    prompt: instructions,
+    generationConfig,
+    candidateCount
+  };
+}
+
+// What the page bridge gets of a preset. ai-bridge.js runs in the page's own JavaScript world, and
+// the page can read every request sent to it (see page-bridge.js), so it only gets the extension's
+// fixed instructions. A user's own preset is reduced to its name and temperature, and the personal
+// style line is never sent.
+function bridgeRefinePreset(preset) {
+  if (preset.builtin) return { tone: preset.id, preset: { instruction: preset.instruction, examples: [], temperature: preset.temperature } };
+  return { tone: preset.name.toLowerCase(), preset: { temperature: preset.temperature } };
+}
+
+// preset comes from resolveTonePreset() (tone-presets.js) or DRAFT_MODES
+function buildRefineTask(request, preset, style = '') {
+  const examples = preset.examples.length
+    ? `\nExample phrases in this tone:\n${preset.examples.map(e => `- ${e}`).join('\n')}\n`
+    : '';
+  const instruction = `${preset.instruction}${style ? ` ${style}` : ''}
+${examples}
+Original:
+${request.text}
+
+Rewritten:`;
+  return {
+    action: 'refine',
+    bridgeAction: 'refine',
+    payload: Object.assign({ text: request.text }, bridgeRefinePreset(preset)),
+    model: DEFAULT_MODEL,
+    prompt: instruction,
+    generationConfig: { temperature: preset.temperature, maxOutputTokens: 512 }
+  };
+}
+
+// Inline autocomplete: a short continuation of the draft being typed (content.js ghost text)
+function buildCompleteTask(request) {
+  const prompt = `${formatThread(request.thread)}Continue the user's unfinished chat message below. Reply with only the next few words (at most one short sentence) — do not repeat the draft. If the draft ends in the middle of a word, finish that word first; start with a space if the continuation begins a new word.
+
+Draft: ${request.text}`;
+  return {
+    action: 'complete',
+    bridgeAction: 'complete',
+    payload: { text: request.text, thread: request.thread || [] },
+    model: DEFAULT_MODEL,
+    prompt,
+    generationConfig: { temperature: 0.2, maxOutputTokens: 24 }
+  };
+}
+
+// What to do with an image (content.js showImagePanel / the image context menu)
+const IMAGE_MODES = {
+  describe: 'Describe this image in 2-3 sentences: what it shows and any text in it.',
+  ask: 'Answer the question about this image. Be concise.',
+  reply: 'Someone sent this image (a photo, screenshot or meme) in a chat. Write a natural, friendly reply to it, as a chat message.'
+};
+
+const MEDIA_FETCH_MAX_BYTES = 15 * 1024 * 1024;
+
+// kind: 'image' | 'audio'; returns the raw file as a data URL
+async function fetchMediaAsDataUrl(url, kind) {
+  if (!/^https?:/i.test(String(url || ''))) throw new Error(`Only http(s) ${kind} links can be fetched.`);
+  // without cookies: a page must not be able to make the extension read the user's signed-in
+  // resources on other sites; same-origin media is read by the content script itself
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) throw new Error(`Could not load the ${kind} (${response.status}).`);
+  const blob = await response.blob();
+  // voice notes come as audio/*, video/webm or octet-stream; content.js decodes them, which is the real check
+  if (kind === 'image' && !blob.type.startsWith('image/')) throw new Error('That link is not an image.');
+  if (blob.size > MEDIA_FETCH_MAX_BYTES) throw new Error(`The ${kind} is too large.`);
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+// "data:image/png;base64,...." -> { mimeType, data } when it is of the given kind; null otherwise.
+// Parameters such as ";codecs=opus" are dropped from the MIME type.
+function parseMediaDataUrl(dataUrl, kind) {
+  const m = /^data:([a-z]+\/[a-z0-9.+-]+)(?:;[^;,]+=[^;,]+)*;base64,([a-z0-9+/=]+)$/i.exec(String(dataUrl || ''));
+  return m && m[1].toLowerCase().startsWith(`${kind}/`) ? { mimeType: m[1].toLowerCase(), data: m[2] } : null;
+}
+
+// request: { mode, image (data URL), question, text (alt text / caption, optional), thread }
+function buildImageTask(request, style = '') {
+  const image = parseMediaDataUrl(request.image, 'image');
+  if (!image) throw providerError('FAILED', 'No usable image — right-click an image or paste a screenshot.');
+  const mode = IMAGE_MODES[request.mode] ? request.mode : 'describe';
+  const question = String(request.question || '').trim();
+  if (mode === 'ask' && !question) throw providerError('FAILED', 'Type a question about the image first.');
+  const caption = String(request.text || '').trim();
+  const buildPrompt = (styleLine) => `${mode === 'reply' ? formatThread(request.thread) : ''}${mode === 'reply' && styleLine ? `${styleLine}\n\n` : ''}${IMAGE_MODES[mode]}${caption ? `\nThe page describes the image as: "${caption}".` : ''}${mode === 'ask' ? `\n\nQuestion: ${question}` : ''}`;
+  const prompt = buildPrompt(style);
+  return {
+    action: 'image',
+    bridgeAction: 'image',
+    payload: { type: mode, prompt: buildPrompt(''), media: request.image, mediaType: 'image' }, // no style line for the page
+    model: DEFAULT_MODEL,
+    prompt,
+    media: image,
+    generationConfig: { temperature: mode === 'reply' ? 0.7 : 0.2, maxOutputTokens: 512 }
+  };
+}
+
+// Voice note -> text. request: { audio (data URL) }; the transcript then goes through the usual
+// analyze / generate flow in content.js as if it had been selected
+function buildTranscribeTask(request) {
+  const audio = parseMediaDataUrl(request.audio, 'audio');
+  if (!audio) throw providerError('FAILED', 'No usable audio — right-click a voice note or audio player.');
+  const prompt = 'Transcribe this voice message word for word, in the language it is spoken in. Reply with the transcript only; write [inaudible] for parts you cannot make out.';
+  return {
+    action: 'transcribe',
+    bridgeAction: 'transcribe',
+    payload: { type: 'transcribe', prompt, media: request.audio, mediaType: 'audio' },
+    model: DEFAULT_MODEL,
+    prompt,
+    media: audio,
+    generationConfig: { temperature: 0.0, maxOutputTokens: 2048 }
+  };
+}
+
+// Draft rewrite modes offered by the composer control in content.js. They run as refine tasks
+// with a fixed instruction instead of a tone preset; applyStyle: false skips the personal style line.
+const DRAFT_MODES = {
+  improve: { name: 'Improve', instruction: 'Improve the following draft message: make it clearer and more natural while keeping its meaning, language and voice.', temperature: 0.4 },
+  grammar: { name: 'Fix grammar', instruction: 'Fix spelling, grammar and punctuation in the following draft message. Do not change the wording otherwise.', temperature: 0, applyStyle: false },
+  shorten: { name: 'Shorten', instruction: 'Shorten the following draft message, keeping every important point and the same language.', temperature: 0.3 },
+  expand: { name: 'Expand', instruction: 'Expand the following draft message with a little more detail and warmth, in the same language. Do not invent facts.', temperature: 0.6 }
+};
+
+// refine task for a request with either a draft mode or a tone
+async function resolveRefineTask(request) {
+  const mode = DRAFT_MODES[request.mode];
+  const preset = mode
+    ? { id: request.mode, name: mode.name, instruction: mode.instruction, examples: [], temperature: mode.temperature, builtin: true }
+    : await resolveTonePreset(request.tone || 'formal');
+  const style = mode && mode.applyStyle === false ? '' : await getStyleInstruction();
+  return buildRefineTask(request, preset, style);
+}
+
+// Extract values for a snippet's {{placeholders}} from the selected message (snippets.js);
+// placeholders the message does not mention come back empty so the user fills them in
+function buildSnippetFillTask(request) {
+  const placeholders = (Array.isArray(request.placeholders) ? request.placeholders : []).map(String).slice(0, 20);
+  const prompt = `${formatThread(request.thread)}Extract values for these placeholders from the message below: ${placeholders.map(p => `"${p}"`).join(', ')}.
+Only use information that is actually in the message or the conversation; use an empty string when a value is not there.
+
+Respond in JSON format with exactly these keys, for example:
+${JSON.stringify(Object.fromEntries(placeholders.map(p => [p, '...'])))}
+
+Message: "${request.text}"`;
+  return {
+    action: 'snippetFill',
+    bridgeAction: 'extract',
+    payload: { text: request.text, thread: request.thread || [], placeholders },
+    model: DEFAULT_MODEL,
+    prompt,
+    generationConfig: { temperature: 0.0, maxOutputTokens: 256 }
+  };
+}
+
+// keep only the requested placeholders, as trimmed strings
+function parseSnippetValues(raw, placeholders) {
+  const jsonMatch = String(raw || '').match(/\{[\s\S]*\}/);
+  let parsed = {};
+  if (jsonMatch) {
+    try { parsed = JSON.parse(jsonMatch[0]) || {}; }
+    catch (e) { parsed = {}; }
+  }
+  const values = {};
+  placeholders.forEach(p => {
+    const v = parsed[p];
+    values[p] = (typeof v === 'string' || typeof v === 'number') ? String(v).trim() : '';
+  });
+  return values;
+}
+
+// Keys and the vault are only managed from the popup and the settings page. Content scripts run
+// on every site, so a message from one must not write keys, change the unlock time or try
+// passphrases; their sender.url is the page's, never one of these.
+const KEY_VAULT_ACTIONS = ['saveApiKey', 'unlockKeyVault', 'lockKeyVault', 'setKeyVaultPassphrase', 'setKeyVaultLockAfter'];
+const SETTINGS_PAGES = ['popup.html', 'options.html'];
+
+function isSettingsPage(sender) {
+  if (!sender || sender.id !== chrome.runtime.id || !sender.url) return false;
+  const url = sender.url.split(/[?#]/)[0];
+  return SETTINGS_PAGES.some(page => url === chrome.runtime.getURL(page));
 }
 
 // message handler
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   (async () => {
     try {
-      // save API key
+      if (KEY_VAULT_ACTIONS.includes(request.action) && !isSettingsPage(sender)) {
+        sendResponse({ error: 'Keys can only be changed from the extension popup or settings page.' });
+        return;
+      }
+
+      // save a provider key (gemini by default) into the key vault — never echoed back
       if (request.action === 'saveApiKey') {
-        // store but **do not** echo back key value
-        await storageSet({ [API_KEY_STORAGE]: request.apiKey });
-        sendResponse({ success: true });
+        try {
+          const vault = await setProviderSecret(request.provider || 'gemini', request.apiKey);
+          sendResponse({ success: true, vault });
+        } catch (err) {
+          sendResponse({ error: err.message || String(err), code: err.code });
+        }
+        return;
+      }
+
+      // key vault (key-vault.js): status, unlock / lock, passphrase and unlock time
+      if (request.action === 'getKeyVaultStatus') {
+        sendResponse({ success: true, vault: await getKeyVaultStatus() });
+        return;
+      }
+      if (KEY_VAULT_ACTIONS.includes(request.action)) {
+        try {
+          let vault;
+          if (request.action === 'unlockKeyVault') vault = await unlockKeyVault(request.passphrase, request.minutes);
+          else if (request.action === 'lockKeyVault') vault = await lockKeyVault();
+          else if (request.action === 'setKeyVaultPassphrase') {
+            vault = await setKeyVaultPassphrase(request.passphrase, { currentPassphrase: request.currentPassphrase, lockAfterMinutes: request.lockAfterMinutes });
+          } else vault = await setKeyVaultLockAfter(request.minutes);
+          sendResponse({ success: true, vault });
+        } catch (err) {
+          sendResponse({ error: err.message || String(err), code: err.code });
+        }
         return;
       }
 
@@ -141,94 +1155,184 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return;
       }
 
-      // get config (for popup)
-      if (request.action === 'getConfig') {
-        const res = await getApiConfig();
-        const usage = (await storageGet([USAGE_KEY]))[USAGE_KEY] || { date: null, count: 0 };
-        sendResponse({ success: true, apiKeySet: !!res.apiKey, proxyUrl: res.proxyUrl || '', usage, softLimit: SOFT_DAILY_LIMIT });
+      // provider routing: priority order + local endpoint, and reply candidates per call
+      if (request.action === 'setProviderConfig') {
+        await storageSet({
+          [PROVIDER_ORDER_STORAGE]: normalizeProviderOrder(request.providerOrder),
+          [LOCAL_ENDPOINT_STORAGE]: request.localEndpointUrl || '',
+          [LOCAL_MODEL_STORAGE]: request.localModel || '',
+          [CANDIDATE_COUNT_STORAGE]: clampCandidateCount(request.candidateCount)
+        });
+        sendResponse({ success: true });
         return;
       }
 
-      // analyze
-      if (request.action === 'analyze') {
-        const prompt = `Analyze the following message and provide:
-1. The emotional tone (e.g., Happy, Anxious, Upset, Neutral, Excited, Frustrated)
-2. The sender's intent (e.g., Request, Question, Statement, Complaint, Invitation)
-3. A suggested action (e.g., "Generate Confirmation Reply", "Generate Supportive Reply", "Generate Question Response")
+      // personal style profile (style-profile.js) — samples and summary stay in local storage
+      if (request.action === 'styleCollect') {
+        const state = await addStyleSamples(request.samples);
+        sendResponse({ success: true, sampleCount: state.samples.length });
+        return;
+      }
+      if (request.action === 'getStyleProfile' || request.action === 'setStyleProfile' || request.action === 'resetStyleProfile') {
+        let state;
+        if (request.action === 'setStyleProfile') state = await setStyleProfile(request);
+        else if (request.action === 'resetStyleProfile') state = await resetStyleProfile();
+        else state = await readStyleState();
+        sendResponse({
+          success: true,
+          enabled: state.enabled,
+          summary: state.profile?.summary || '',
+          edited: !!state.profile?.edited,
+          sampleCount: state.samples.length,
+          minSamples: MIN_STYLE_SAMPLES
+        });
+        return;
+      }
 
-Respond in JSON format:
-{
-  "emotion": "detected emotion",
-  "intent": "detected intent",
-  "suggestedAction": "action suggestion"
-}
+      // reply history (history-store.js)
+      if (request.action === 'historyList') {
+        const entries = await listHistory({
+          query: request.query,
+          favoritesOnly: !!request.favoritesOnly,
+          favoritesFirst: request.favoritesFirst !== false,
+          limit: request.limit
+        });
+        sendResponse({ success: true, entries });
+        return;
+      }
+      if (request.action === 'historyUpdate') {
+        // only the fields the UI is allowed to change
+        const patch = {};
+        if (typeof request.favorite === 'boolean') patch.favorite = request.favorite;
+        if (typeof request.insertedText === 'string') { patch.insertedText = request.insertedText; patch.insertedAt = Date.now(); }
+        const entry = await updateHistoryEntry(request.id, patch);
+        sendResponse(entry ? { success: true, entry } : { error: 'History entry not found' });
+        return;
+      }
+      if (request.action === 'historyDelete') {
+        await deleteHistoryEntry(request.id);
+        sendResponse({ success: true });
+        return;
+      }
+      if (request.action === 'historyClear') {
+        await clearHistory({ keepFavorites: request.keepFavorites !== false });
+        sendResponse({ success: true });
+        return;
+      }
 
-Message: "${request.text}"`;
+      // content scripts cannot open the options page themselves
+      if (request.action === 'openOptions') {
+        chrome.runtime.openOptionsPage();
+        sendResponse({ success: true });
+        return;
+      }
+
+      // images / audio on other origins: the content script cannot read them (CORS), the extension can
+      if (request.action === 'fetchMedia') {
         try {
-          const raw = await callBackend(DEFAULT_MODEL, prompt, { temperature: 0.0, maxOutputTokens: 256 });
-          // attempt to parse JSON from response
-          const jsonMatch = raw.match(/\{[\s\S]*\}/);
-          let analysis;
-          if (jsonMatch) {
-            try { analysis = JSON.parse(jsonMatch[0]); }
-            catch (e) { analysis = null; }
-          }
-          if (!analysis) {
-            analysis = { emotion: 'Neutral', intent: 'Statement', suggestedAction: 'Generate Reply' };
-          }
-          // increment usage
-          await incrementUsage();
-          sendResponse({ success: true, analysis });
+          sendResponse({ success: true, dataUrl: await fetchMediaAsDataUrl(request.url, request.kind === 'audio' ? 'audio' : 'image') });
         } catch (err) {
-          console.error('analyze error', err);
           sendResponse({ error: err.message || String(err) });
         }
         return;
       }
 
-      // generate
-      if (request.action === 'generate') {
-        try {
-          let instructions;
-          const type = request.type || 'reply';
-          if (type === 'reply') {
-            const context = request.context || {};
-            const ctx = context.emotion ? `Tone: ${context.emotion}.` : '';
-            const it = context.intent ? `Intent: ${context.intent}.` : '';
-            instructions = `Generate a thoughtful, contextually appropriate reply to the following message. Keep it natural and conversational. ${ctx} ${it}
-
-Message:
-${request.text}
-
-Reply:`;
-          } else if (type === 'summarize') {
-            instructions = `Provide a concise summary (1-2 sentences) of the following text:
-
-${request.text}
+      // token ledger and limits (usage-ledger.js): the popup chart, CSV export and the options editor
+      if (request.action === 'getUsageSummary') {
+        // the overall limits count cloud calls only, so the popup shows those against them
+        const config = await getApiConfig();
+        const cloudProviders = Object.keys(PROVIDERS).filter(id => isCloudCall(id, config));
+        sendResponse(Object.assign({ success: true, cloudProviders }, await getUsageSummary(request.days || 30)));
+        return;
+      }
+      if (request.action === 'exportUsageCsv') {
+        sendResponse({ success: true, csv: await usageLedgerCsv() });
+        return;
+      }
+      if (request.action === 'clearUsageLedger') {
+        await clearUsageLedger(request.today ? [localDay()] : null);
+        sendResponse({ success: true });
+        return;
+      }
 
-Summary:`;
-          } else if (type === 'confirmation') {
-            instructions = `Generate a brief, friendly confirmation reply to the following message:
+      // response cache (response-cache.js), shown and cleared from the popup
+      if (request.action === 'getCacheStats') {
+        sendResponse(Object.assign({ success: true }, await getResponseCacheStats()));
+        return;
+      }
+      if (request.action === 'clearResponseCache') {
+        await clearResponseCache();
+        sendResponse(Object.assign({ success: true }, await getResponseCacheStats()));
+        return;
+      }
 
-${request.text}
+      // get config (for popup)
+      if (request.action === 'getConfig') {
+        const res = await getApiConfig();
+        const vault = await getKeyVaultStatus();
+        const providers = Object.keys(PROVIDERS).map(id => ({ id, label: PROVIDERS[id].label, cloud: isCloudCall(id, res) }));
+        sendResponse({
+          success: true,
+          apiKeySet: vault.stored.gemini,
+          vault,
+          proxyUrl: res.proxyUrl || '',
+          localEndpointUrl: res.localEndpointUrl || '',
+          localModel: res.localModel,
+          providerOrder: res.providerOrder,
+          providers,
+          candidateCount: res.candidateCount
+        });
+        return;
+      }
 
-Reply:`;
-          } else if (type === 'supportive') {
-            instructions = `Generate a warm, supportive reply to the following message:
+      // where the request came from — the built-in provider needs the tab to reach the page bridge,
+      // and the site's policy may rule out cloud providers
+      const callCtx = await requestContext(sender.tab);
 
-${request.text}
+      // analyze
+      if (request.action === 'analyze') {
+        try {
+          // repeated selections of the same message are answered from the cache without a call
+          const { analysis, provider, cached } = await cachedAnalysis(request, callCtx);
+          sendResponse({ success: true, analysis, provider, cached: !!cached, redacted: redactionSummary(callCtx.redaction) });
+        } catch (err) {
+          console.error('analyze error', err);
+          sendResponse({ error: err.message || String(err), code: err.code });
+        }
+        return;
+      }
 
-Reply:`;
-          } else {
-            instructions = `Generate a reply:\n${request.text}\n\nReply:`;
-          }
+      // fill snippet placeholders from the selected message
+      if (request.action === 'snippetFill') {
+        try {
+          const task = buildSnippetFillTask(request);
+          const { text: raw, provider } = await callBackend(task, callCtx);
+          sendResponse({ success: true, values: parseSnippetValues(raw, task.payload.placeholders), provider, redacted: redactionSummary(callCtx.redaction) });
+        } catch (err) {
+          console.error('snippetFill error', err);
+          sendResponse({ error: err.message || String(err), code: err.code });
+        }
+        return;
+      }
 
-          const raw = await callBackend(DEFAULT_MODEL, instructions, { temperature: 0.7, maxOutputTokens: 512 });
-          await incrementUsage();
-          sendResponse({ success: true, text: raw.trim() });
+      // generate
+      if (request.action === 'generate') {
+        try {
+          const { candidateCount } = await getApiConfig();
+          const style = await getStyleInstruction();
+          const replyLanguage = await resolveReplyLanguage(request, sender.tab, callCtx);
+          const task = buildGenerateTask(request, { candidateCount: request.candidates ?? candidateCount, style, replyLanguage });
+          const { texts: candidates, provider, historyId, cached } = await cachedGenerate(task, async () => {
+            const out = await callBackend(task, callCtx);
+            const texts = out.texts.map(t => String(t).trim()).filter(Boolean);
+            const id = await recordHistory(task, request, { text: texts[0] || '', candidates: texts, provider: out.provider }, sender.tab);
+            return { text: texts[0] || '', texts, provider: out.provider, historyId: id };
+          });
+          const glosses = await glossReplies(candidates, replyLanguage, callCtx);
+          sendResponse({ success: true, text: candidates[0] || '', candidates, provider, historyId, language: replyLanguage, glosses, cached: !!cached, redacted: redactionSummary(callCtx.redaction) });
         } catch (err) {
           console.error('generate error', err);
-          sendResponse({ error: err.message || String(err) });
+          sendResponse({ error: err.message || String(err), code: err.code });
         }
         return;
       }
@@ -236,25 +1340,16 @@ Reply:`;
       // refine
       if (request.action === 'refine') {
         try {
-          const tone = request.tone || 'formal';
-          const toneInstructions = {
-            formal: 'Rewrite the following message to be more formal and professional.',
-            friendly: 'Rewrite the following message to be more friendly and casual.',
-            concise: 'Rewrite the following message to be more concise and to the point.',
-            sarcastic: 'Rewrite the following message to be slightly sarcastic while remaining appropriate.'
-          };
-          const instruction = `${toneInstructions[tone] || 'Rewrite with a different tone.'}
-
-Original:
-${request.text}
-
-Rewritten:`;
-          const raw = await callBackend(DEFAULT_MODEL, instruction, { temperature: 0.4, maxOutputTokens: 512 });
-          await incrementUsage();
-          sendResponse({ success: true, text: raw.trim() });
+          const task = await resolveRefineTask(request);
+          const { text: raw, provider } = await callBackend(task, callCtx);
+          // request.language: the language of the reply being rewritten, when it has a gloss
+          const language = baseLanguage(request.language);
+          const glosses = await glossReplies([raw.trim()], language, callCtx);
+          const historyId = await recordHistory(task, request, { text: raw.trim(), provider }, sender.tab);
+          sendResponse({ success: true, text: raw.trim(), provider, historyId, language, glosses, redacted: redactionSummary(callCtx.redaction) });
         } catch (err) {
           console.error('refine error', err);
-          sendResponse({ error: err.message || String(err) });
+          sendResponse({ error: err.message || String(err), code: err.code });
         }
         return;
       }
@@ -268,10 +1363,182 @@ Rewritten:`;
   return true; // keep channel open for async response
 });
 
+// streaming generation: one request per port. The content script sends { action, ...request } and
+// gets back { type: 'chunk', text } messages followed by { type: 'done', text, candidates, provider,
+// language, glosses, redacted } or
+// { type: 'error', error, code }. Multi-candidate replies skip the chunks and arrive in 'done'. Sending { type: 'stop' } or disconnecting aborts upstream.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_PORT) return;
+  const controller = new AbortController();
+  let open = true;
+  const send = (msg) => { if (open) port.postMessage(msg); };
+  port.onDisconnect.addListener(() => { open = false; controller.abort(); });
+
+  port.onMessage.addListener(async (request) => {
+    if (request.type === 'stop') { controller.abort(); return; }
+    try {
+      const ctx = await requestContext(port.sender?.tab);
+      if (request.action === 'complete') {
+        const settings = (await storageGet([AUTOCOMPLETE_STORAGE]))[AUTOCOMPLETE_STORAGE] || {};
+        if (!settings.enabled) throw providerError('NOT_AVAILABLE', 'Autocomplete is turned off.');
+        // on-device first; cloud providers only when allowed for autocomplete. Not kept in the
+        // history — these are fired while typing.
+        const task = buildCompleteTask(request);
+        const route = Object.assign({}, ctx, { preferOnDevice: true, noCloud: ctx.noCloud || !settings.allowCloud });
+        const { text, provider } = await callBackendStream(task, route, () => {}, controller.signal);
+        send({ type: 'done', text, provider });
+        return;
+      }
+      if (request.action === 'image') {
+        const task = buildImageTask(request, request.mode === 'reply' ? await getStyleInstruction() : '');
+        const { text, provider } = await callBackendStream(task, ctx, (delta) => send({ type: 'chunk', text: delta }), controller.signal);
+        // the image itself is not kept in the history, only what was asked about it
+        const source = { text: `[Image] ${request.question || request.text || ''}`.trim() };
+        const historyId = await recordHistory(task, source, { text: text.trim(), provider }, port.sender?.tab);
+        send({ type: 'done', text: text.trim(), provider, historyId, redacted: redactionSummary(ctx.redaction) });
+        return;
+      }
+      if (request.action === 'transcribe') {
+        // a transcript is not a reply: not kept in the history
+        const { text, provider } = await callBackendStream(buildTranscribeTask(request), ctx, (delta) => send({ type: 'chunk', text: delta }), controller.signal);
+        send({ type: 'done', text: text.trim(), provider, redacted: redactionSummary(ctx.redaction) });
+        return;
+      }
+      if (request.action === 'refine') {
+        const task = await resolveRefineTask(request);
+        const { text, provider } = await callBackendStream(task, ctx, (delta) => send({ type: 'chunk', text: delta }), controller.signal);
+        const language = baseLanguage(request.language);
+        const glosses = await glossReplies([text.trim()], language, ctx);
+        const historyId = await recordHistory(task, request, { text: text.trim(), provider }, port.sender?.tab);
+        send({ type: 'done', text: text.trim(), provider, historyId, language, glosses, redacted: redactionSummary(ctx.redaction) });
+        return;
+      }
+
+      const { candidateCount } = await getApiConfig();
+      const style = await getStyleInstruction();
+      const replyLanguage = await resolveReplyLanguage(request, port.sender?.tab, ctx);
+      const task = buildGenerateTask(request, { candidateCount: request.candidates ?? candidateCount, style, replyLanguage });
+      if (task.candidateCount > 1) {
+        // alternatives come back together in one call; nothing to stream
+        const { texts, provider } = await callBackend(task, ctx);
+        if (controller.signal.aborted) return;
+        const candidates = texts.map(t => String(t).trim()).filter(Boolean);
+        const glosses = await glossReplies(candidates, replyLanguage, ctx);
+        const historyId = await recordHistory(task, request, { text: candidates[0] || '', candidates, provider }, port.sender?.tab);
+        send({ type: 'done', text: candidates[0] || '', candidates, provider, historyId, language: replyLanguage, glosses, redacted: redactionSummary(ctx.redaction) });
+        return;
+      }
+      // a cached summary / translation arrives whole in 'done', without chunks
+      const { text, provider, historyId, cached } = await cachedGenerate(task, async () => {
+        const out = await callBackendStream(task, ctx, (delta) => send({ type: 'chunk', text: delta }), controller.signal);
+        const trimmed = out.text.trim();
+        const id = await recordHistory(task, request, { text: trimmed, provider: out.provider }, port.sender?.tab);
+        return { text: trimmed, texts: [trimmed], provider: out.provider, historyId: id };
+      });
+      // the gloss follows the streamed reply in the 'done' message
+      const glosses = await glossReplies([text], replyLanguage, ctx);
+      send({ type: 'done', text, candidates: [text], provider, historyId, language: replyLanguage, glosses, cached: !!cached, redacted: redactionSummary(ctx.redaction) });
+    } catch (err) {
+      if (err.code !== 'ABORTED') console.error('stream error', err);
+      send({ type: 'error', error: err.message || String(err), code: err.code });
+    }
+  });
+});
+
+/* ---------- Context menus ---------- */
+
+// Right-click entries for selections, editable fields, images and audio. A click is forwarded to the tab's
+// content script, which runs it through the same generate / refine / analyze messages as its own UI.
+const CONTEXT_MENU_ROOT = 'ai-copilot';
+
+async function rebuildContextMenus() {
+  await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
+  const presets = await loadTonePresets();
+  const add = (props) => chrome.contextMenus.create(props, () => void chrome.runtime.lastError);
+
+  add({ id: CONTEXT_MENU_ROOT, title: 'AI Chat Co-Pilot', contexts: ['selection', 'editable', 'image', 'audio', 'video'] });
+  // selected text
+  add({ id: 'selection:analyze', parentId: CONTEXT_MENU_ROOT, title: '🔍 Analyze "%s"', contexts: ['selection'] });
+  add({ id: 'selection:reply', parentId: CONTEXT_MENU_ROOT, title: '💬 Generate reply', contexts: ['selection'] });
+  add({ id: 'selection:summarize', parentId: CONTEXT_MENU_ROOT, title: '📝 Summarize', contexts: ['selection'] });
+  add({ id: 'selection:translate', parentId: CONTEXT_MENU_ROOT, title: '🌐 Translate', contexts: ['selection'] });
+  add({ id: 'selection:events', parentId: CONTEXT_MENU_ROOT, title: '📅 Extract events & tasks', contexts: ['selection'] });
+  add({ id: 'selection-tones', parentId: CONTEXT_MENU_ROOT, title: '✨ Rewrite selection', contexts: ['selection'] });
+  presets.forEach(p => add({ id: `selection:tone:${p.id}`, parentId: 'selection-tones', title: p.name, contexts: ['selection'] }));
+  // the draft in a message box, rewritten in place
+  add({ id: 'draft-tones', parentId: CONTEXT_MENU_ROOT, title: '✏️ Rewrite my draft', contexts: ['editable'] });
+  presets.forEach(p => add({ id: `draft:tone:${p.id}`, parentId: 'draft-tones', title: p.name, contexts: ['editable'] }));
+  add({ id: 'draft:translate', parentId: CONTEXT_MENU_ROOT, title: '🌐 Translate my draft', contexts: ['editable'] });
+  // images
+  add({ id: 'image:reply', parentId: CONTEXT_MENU_ROOT, title: '💬 Reply to this image', contexts: ['image'] });
+  add({ id: 'image:describe', parentId: CONTEXT_MENU_ROOT, title: '🖼️ Describe this image', contexts: ['image'] });
+  add({ id: 'image:ask', parentId: CONTEXT_MENU_ROOT, title: '❓ Ask about this image…', contexts: ['image'] });
+  // voice notes (some players are <video> elements without a picture)
+  add({ id: 'audio:transcribe', parentId: CONTEXT_MENU_ROOT, title: '🎙️ Transcribe', contexts: ['audio', 'video'] });
+}
+
+// Tabs opened before the extension was installed or updated have no content script yet
+async function ensureContentScript(tabId) {
+  const files = chrome.runtime.getManifest().content_scripts[0].js;
+  await chrome.scripting.executeScript({ target: { tabId }, files });
+}
+
+function sendToTab(tabId, message) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, message, (res) => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(res);
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  if (!tab || typeof tab.id !== 'number') return;
+  // switched off for this site (site-policy.js): the content script attached nothing to take it
+  if ((await loadSitePolicy(tab.url || '')).mode === 'deny') return;
+  // ids look like "<scope>:<command>[:<tone id>]"
+  const [scope, command, ...rest] = String(info.menuItemId).split(':');
+  const message = {
+    action: 'contextMenu',
+    scope,
+    command,
+    tone: rest.join(':') || null,
+    selectionText: info.selectionText || '',
+    srcUrl: info.srcUrl || null
+  };
+  try {
+    await sendToTab(tab.id, message);
+  } catch (err) {
+    try {
+      await ensureContentScript(tab.id);
+      await sendToTab(tab.id, message);
+    } catch (e) {
+      console.warn('context menu action could not reach the page', e);
+    }
+  }
+});
+
+// presets are part of the menu, so rebuild it when they change
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'sync' && changes[TONE_PRESETS_KEY]) rebuildContextMenus();
+});
+
+// keyboard shortcuts (manifest "commands", rebindable at chrome://extensions/shortcuts): the
+// actions live in the page, so just tell the active tab's content script which one to run
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab || typeof tab.id !== 'number') return;
+  if ((await loadSitePolicy(tab.url || '')).mode === 'deny') return;
+  chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command }, () => {
+    // pages without the content script (chrome:// URLs, the Web Store) cannot take shortcuts
+    if (chrome.runtime.lastError) console.warn(`command ${command} not delivered`, chrome.runtime.lastError.message);
+  });
+});
+
 // initialize storage defaults
 chrome.runtime.onInstalled.addListener(async () => {
-  const cur = await storageGet([USAGE_KEY]);
-  if (!cur[USAGE_KEY]) {
-    await storageSet({ [USAGE_KEY]: { date: new Date().toISOString().slice(0,10), count: 0 } });
-  }
+  rebuildContextMenus();
+  // creates the key vault, moving a plain-text key of an earlier version into it
+  await getKeyVaultStatus();
+  // the request counter of earlier versions; usage is in the token ledger now
+  chrome.storage.local.remove('dailyUsage');
 });
@@ -0,0 +1,117 @@
+// calendar.js
+// iCalendar (.ics) and task-list export for "Extract events & tasks" in content.js. The events and
+// action items come from the analyze message (analysis-schema.js) and are confirmed and edited by
+// the user before anything is exported.
+//
+// Event: { title, date: 'YYYY-MM-DD', startTime: 'HH:MM' | null, endTime: 'HH:MM' | null, location }
+// Task:  { task, due: 'YYYY-MM-DD' | null, owner }
+
+const ICS_PRODUCT_ID = '-//AI Chat Co-Pilot//Event Export//EN';
+const DEFAULT_EVENT_MINUTES = 60; // length of an event without an end time
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped (RFC 5545 3.3.11)
+function icsEscape(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// content lines are folded at 75 octets; continuation lines start with a space
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const bytes = encoder.encode(ch).length;
+    const limit = parts.length ? 74 : 75;
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// 20261019
+function icsDate(date) {
+  return `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}`;
+}
+
+// 20261019T120000Z
+function icsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// local Date for 'YYYY-MM-DD' and optional 'HH:MM'
+function localDate(day, time) {
+  const [y, m, d] = day.split('-').map(Number);
+  const [hh, mm] = time ? time.split(':').map(Number) : [0, 0];
+  return new Date(y, m - 1, d, hh, mm);
+}
+
+// { start, end, allDay }: times are the user's local time; an end before the start runs past midnight
+function eventRange(event) {
+  const start = localDate(event.date, event.startTime);
+  if (!event.startTime) {
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    return { start, end, allDay: true };
+  }
+  let end = event.endTime ? localDate(event.date, event.endTime) : new Date(start.getTime() + DEFAULT_EVENT_MINUTES * 60000);
+  if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60000);
+  return { start, end, allDay: false };
+}
+
+// One VCALENDAR with a VEVENT per event. options.description is added to every event (the source
+// message), options.now is the DTSTAMP.
+function buildIcs(events, options = {}) {
+  const now = options.now || new Date();
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  events.forEach((event, i) => {
+    const { start, end, allDay } = eventRange(event);
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${now.getTime().toString(36)}-${i}-${Math.random().toString(36).slice(2, 10)}@ai-chat-copilot`);
+    lines.push(`DTSTAMP:${icsUtc(now)}`);
+    if (allDay) {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(start)}`);
+      lines.push(`DTEND;VALUE=DATE:${icsDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${icsUtc(start)}`);
+      lines.push(`DTEND:${icsUtc(end)}`);
+    }
+    lines.push(`SUMMARY:${icsEscape(event.title)}`);
+    if (event.location) lines.push(`LOCATION:${icsEscape(event.location)}`);
+    if (options.description) lines.push(`DESCRIPTION:${icsEscape(options.description)}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// "lunch-with-sam.ics", or "events-2026-10-19.ics" for several
+function icsFilename(events) {
+  if (events.length === 1) {
+    const slug = events[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+    if (slug) return `${slug}.ics`;
+  }
+  return `events-${new Date().toISOString().slice(0, 10)}.ics`;
+}
+
+// Markdown checklist, pastes as a task list into most notes and task apps
+function formatTaskList(tasks) {
+  return tasks.map(t => {
+    const meta = [t.due ? `due ${t.due}` : '', t.owner === 'them' ? 'them' : ''].filter(Boolean).join(', ');
+    return `- [ ] ${t.task}${meta ? ` (${meta})` : ''}`;
+  }).join('\n');
+}
@@ -3,20 +3,86 @@
 // Fixed selection / UI race issues so menu, preview, and insert reliably work.
 
 let selectedText = '';
+let selectedThread = []; // earlier messages around the selection (see thread.js)
 let currentContext = null;
 let currentInputBox = null;
 let shadowHost = null;
 let shadowRoot = null;
 let generatedReplyText = '';
-let selectedImageDataUrl = null; // reserved for future image handling
+let replyCandidates = []; // alternatives from the last generate call
+let selectedCandidate = 0; // index into replyCandidates; generatedReplyText mirrors it
+let currentHistoryId = null; // history entry of the reply in the preview (see history-store.js)
+let replyLanguage = null; // language code of the replies in the preview when not the gloss language
+let replyGlosses = []; // English glosses, parallel to replyCandidates ('' = none)
+let styleProfileEnabled = false; // opt-in: collect my own sent messages for the style profile
+const STYLE_ENABLED_STORAGE = 'styleProfileEnabled';
+let tonePresets = BUILTIN_TONE_PRESETS.slice(); // refreshed from chrome.storage.sync (see tone-presets.js)
+let snippets = DEFAULT_SNIPPETS.slice(); // refreshed from chrome.storage.local (see snippets.js)
+let selectedImage = null; // <img> inside the current selection, when there is one
+let selectedImageDataUrl = null; // the image in the image panel (see loadImageDataUrl)
+const IMAGE_MAX_SIDE = 1536; // larger images are scaled down before they are sent
+const AUDIO_SAMPLE_RATE = 16000; // voice notes are re-encoded as 16 kHz mono WAV
+const AUDIO_MAX_SECONDS = 600;
+let transcribeChipTimer = null;
+let contextMenuTarget = null; // editable element under the last right-click (draft rewrites)
+let draftControlTimer = null;
+
+// inline autocomplete (ghost text) — opt-in from the popup, with latency and rate budgets
+const AUTOCOMPLETE_STORAGE = 'autocomplete'; // { enabled, allowCloud }
+const AUTOCOMPLETE_DEBOUNCE_MS = 450;
+const AUTOCOMPLETE_TIMEOUT_MS = 1500; // a suggestion that arrives later than this is useless
+const AUTOCOMPLETE_MAX_PER_MINUTE = 12;
+const AUTOCOMPLETE_MIN_CHARS = 4;
+let autocompleteEnabled = false;
+let ghost = null; // { el, text, node } — the suggestion currently shown
+let ghostRequest = null; // { stream, timer } — the request in flight
+let ghostTimer = null;
+const ghostRequestTimes = []; // start times within the last minute
+let imeComposing = false;
+
+const STREAM_PORT = 'ai-stream';
+const BUILTIN_STREAM_PORT = 'builtin-stream';
+let activeStream = null; // { stop } for the generation currently filling the preview
+let previewRequest = null; // { message, options } of the stream that opened the preview, replayed by Regenerate
+
+// site policy (site-policy.js): what this origin allows, and the listener sets it decides about
+let sitePolicy = { mode: 'allow', noCloud: false };
+let siteAllowedOnce = false; // "This time" on an ask-first site, until the page is reloaded
+let copilotListeners = null; // AbortController for the page listeners while the co-pilot runs
+let consentListeners = null; // AbortController for the ask-first mouseup listener
 
 // UI interaction guard: when true, content scripts won't hide UI even if selection empties.
 // We toggle this when pointerdown/up occurs inside our shadow DOM.
 window.__aiCopilotIgnoreHide = false;
 
-// Initialize extension (create shadow DOM + handlers)
-function init() {
-  // create host & shadow root
+// Initialize extension: the site policy (site-policy.js) decides whether anything is attached to the page
+async function init() {
+  watchCustomSiteAdapters();
+  applySitePolicy(await loadSitePolicy(location.href));
+  // the popup and the options page change policies while the page is open
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[SITE_POLICIES_KEY]) {
+      applySitePolicy(sitePolicyFor(normalizeSitePolicies(changes[SITE_POLICIES_KEY].newValue), siteOrigin(location.href)));
+    }
+  });
+}
+
+// allow: run; ask: only a mouseup listener that asks on the first selection; deny: nothing on the page
+function applySitePolicy(policy) {
+  sitePolicy = policy;
+  if (policy.mode === 'allow' || (policy.mode === 'ask' && siteAllowedOnce)) {
+    stopAsking();
+    startCopilot();
+  } else {
+    stopCopilot();
+    if (policy.mode === 'ask') askBeforeStarting();
+    else stopAsking();
+  }
+}
+
+// create host & shadow root (once; stopCopilot() removes them again)
+function ensureShadowHost() {
+  if (shadowRoot) return shadowRoot;
   shadowHost = document.createElement('div');
   shadowHost.id = 'ai-copilot-shadow-host';
   shadowHost.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
@@ -33,36 +99,322 @@ function init() {
     // small delay so downstream click handlers run before we clear the guard
     setTimeout(() => { window.__aiCopilotIgnoreHide = false; }, 120);
   }, { capture: true });
+  return shadowRoot;
+}
+
+// Attach the page handlers. Every page listener goes through copilotListeners.signal so that
+// stopCopilot() can take them all off when the site is switched off.
+function startCopilot() {
+  if (copilotListeners) return;
+  copilotListeners = new AbortController();
+  const { signal } = copilotListeners;
+  ensureShadowHost();
 
   // listen for selection / mouseup on the page
-  document.addEventListener('mouseup', handleTextSelection);
+  document.addEventListener('mouseup', handleTextSelection, { signal });
   // selectionchange for keyboard selection (debounced)
   document.addEventListener('selectionchange', () => {
     clearTimeout(window.__aiSelectionTimer);
     window.__aiSelectionTimer = setTimeout(() => {
-      // if the user is interacting with our UI, don't hide
-      if (window.__aiCopilotIgnoreHide) return;
+      // if the user is interacting with our UI, don't hide; focusing the palette input also
+      // empties the page selection
+      if (window.__aiCopilotIgnoreHide || shadowRoot.querySelector('.ai-copilot-palette')) return;
       const selection = window.getSelection();
       if (!selection || !selection.toString().trim()) hideAllUI();
     }, 200);
+  }, { signal });
+
+  loadCustomSiteAdapters();
+  loadTonePresets().then(presets => { tonePresets = presets; });
+  loadSnippets().then(list => { snippets = list; });
+  chrome.storage.local.get([STYLE_ENABLED_STORAGE, AUTOCOMPLETE_STORAGE], (res) => {
+    styleProfileEnabled = !!(res && res[STYLE_ENABLED_STORAGE]);
+    autocompleteEnabled = !!(res && res[AUTOCOMPLETE_STORAGE] && res[AUTOCOMPLETE_STORAGE].enabled);
   });
+  chrome.storage.onChanged.addListener(handleSettingsChange);
+  // composer observer: what I send feeds the style profile (only when opted in)
+  document.addEventListener('keydown', handleComposerKeydown, { capture: true, signal });
+  // snippet keywords expand on Tab / Space in any editable field
+  document.addEventListener('keydown', handleSnippetKeydown, { capture: true, signal });
+  // composer control for rewriting my own draft; follows the box as it grows or the page scrolls
+  document.addEventListener('input', scheduleDraftControl, { capture: true, signal });
+  document.addEventListener('focusin', scheduleDraftControl, { capture: true, signal });
+  window.addEventListener('resize', scheduleDraftControl, { signal });
+  window.addEventListener('scroll', scheduleDraftControl, { capture: true, signal });
+  // ghost-text autocomplete; registered after the snippet handler so an expanded keyword wins the Tab
+  document.addEventListener('input', handleAutocompleteInput, { capture: true, signal });
+  document.addEventListener('keydown', handleAutocompleteKeydown, { capture: true, signal });
+  document.addEventListener('compositionstart', () => { imeComposing = true; clearGhost(); }, { capture: true, signal });
+  document.addEventListener('compositionend', (e) => { imeComposing = false; handleAutocompleteInput(e); }, { capture: true, signal });
+  document.addEventListener('focusout', () => clearGhost(), { capture: true, signal });
+  document.addEventListener('mousedown', () => clearGhost(), { capture: true, signal });
+  window.addEventListener('scroll', () => clearGhost(), { capture: true, signal });
+  // "Transcribe" chip on audio players
+  document.addEventListener('pointerover', handleAudioHover, { capture: true, signal });
+  // the context menu click arrives later through the background; remember which field it was for
+  document.addEventListener('contextmenu', (e) => {
+    const el = e.target instanceof Element ? e.target.closest('input, textarea, [contenteditable=""], [contenteditable="true"]') : null;
+    contextMenuTarget = el && isEditableElement(el) ? el : null;
+  }, { capture: true, signal });
+  injectPageBridge(); // on-device Prompt API calls are relayed through ai-bridge.js
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+  chrome.runtime.onConnect.addListener(handleRuntimeConnect);
 
   console.log('AI Chat Co-Pilot initialized with Shadow DOM (fixed selection race)');
 }
 
+// Take everything startCopilot() attached off the page again (the site was switched off). The
+// bridge script stays in the page; a later start reuses it.
+function stopCopilot() {
+  if (!copilotListeners) return;
+  hideAllUI();
+  clearGhost();
+  copilotListeners.abort();
+  copilotListeners = null;
+  chrome.storage.onChanged.removeListener(handleSettingsChange);
+  chrome.runtime.onMessage.removeListener(handleRuntimeMessage);
+  chrome.runtime.onConnect.removeListener(handleRuntimeConnect);
+  [window.__aiSelectionTimer, draftControlTimer, transcribeChipTimer, ghostTimer].forEach(t => clearTimeout(t));
+  draftControlTimer = transcribeChipTimer = ghostTimer = null;
+  shadowHost.remove();
+  shadowHost = null;
+  shadowRoot = null;
+}
+
+function handleSettingsChange(changes, area) {
+  if (area === 'sync' && changes[TONE_PRESETS_KEY]) tonePresets = mergeTonePresets(changes[TONE_PRESETS_KEY].newValue);
+  if (area === 'local' && changes[STYLE_ENABLED_STORAGE]) styleProfileEnabled = !!changes[STYLE_ENABLED_STORAGE].newValue;
+  if (area === 'local' && changes[SNIPPETS_KEY]) loadSnippets().then(list => { snippets = list; });
+  if (area === 'local' && changes[AUTOCOMPLETE_STORAGE]) {
+    autocompleteEnabled = !!(changes[AUTOCOMPLETE_STORAGE].newValue && changes[AUTOCOMPLETE_STORAGE].newValue.enabled);
+    if (!autocompleteEnabled) clearGhost();
+  }
+}
+
+/* ---------- Ask-first sites ---------- */
+
+// Until the user says yes, an 'ask' site gets one mouseup listener (a selection asks) and commands
+// from the background (shortcuts, context menu) ask too — and run once allowed.
+function askBeforeStarting() {
+  if (consentListeners) return;
+  consentListeners = new AbortController();
+  document.addEventListener('mouseup', (e) => {
+    if (shadowHost && typeof e.composedPath === 'function' && e.composedPath().includes(shadowHost)) return;
+    const selection = window.getSelection();
+    if (!selection || !selection.toString().trim()) { removeSiteConsent(); return; }
+    let rect = { left: e.clientX, bottom: e.clientY };
+    try { rect = selection.getRangeAt(0).getBoundingClientRect(); } catch (err) { /* keep the pointer position */ }
+    showSiteConsent(rect, null);
+  }, { signal: consentListeners.signal });
+  chrome.runtime.onMessage.addListener(handleConsentMessage);
+}
+
+function stopAsking() {
+  if (!consentListeners) return;
+  consentListeners.abort();
+  consentListeners = null;
+  chrome.runtime.onMessage.removeListener(handleConsentMessage);
+  removeSiteConsent();
+  // the host was only there for the question
+  if (!copilotListeners && shadowHost) {
+    shadowHost.remove();
+    shadowHost = null;
+    shadowRoot = null;
+  }
+}
+
+function handleConsentMessage(request, sender, sendResponse) {
+  if (request && (request.action === 'runCommand' || request.action === 'contextMenu')) {
+    showSiteConsent({ left: window.innerWidth / 2 - 150, bottom: 80 }, request);
+    sendResponse({ success: true });
+  }
+  return false;
+}
+
+function removeSiteConsent() {
+  const chip = shadowRoot && shadowRoot.querySelector('.ai-copilot-consent');
+  if (chip) chip.remove();
+}
+
+// "Use AI Co-Pilot on <site>?" next to the selection. pending is the background command that
+// asked, run once the site is allowed; without one the selection gets the action button.
+function showSiteConsent(rect, pending) {
+  const root = ensureShadowHost();
+  removeSiteConsent();
+  const origin = siteOrigin(location.href);
+  const chip = document.createElement('div');
+  chip.className = 'ai-copilot-consent';
+  chip.innerHTML = `
+    <span>Use AI Co-Pilot on ${escapeHtml(location.hostname || 'this page')}?</span>
+    <button data-choice="once">This time</button>
+    ${origin ? '<button data-choice="always">Always</button><button data-choice="never" class="secondary">Never</button>' : ''}
+  `;
+  chip.style.left = `${Math.max(8, rect.left)}px`;
+  chip.style.top = `${Math.min(window.innerHeight - 60, rect.bottom + 6)}px`;
+  root.appendChild(chip);
+
+  chip.addEventListener('click', async (ev) => {
+    const choice = ev.target.dataset && ev.target.dataset.choice;
+    if (!choice) return;
+    ev.stopPropagation();
+    chip.remove();
+    if (choice === 'never') {
+      applySitePolicy(sitePolicyFor(await setSitePolicy(origin, { mode: 'deny', noCloud: sitePolicy.noCloud }), origin));
+      return;
+    }
+    if (choice === 'once') {
+      siteAllowedOnce = true;
+      applySitePolicy(sitePolicy);
+    } else {
+      applySitePolicy(sitePolicyFor(await setSitePolicy(origin, { mode: 'allow', noCloud: sitePolicy.noCloud }), origin));
+    }
+    if (pending) handleRuntimeMessage(pending, null, () => {});
+    else handleTextSelection(null);
+  });
+}
+
+// One built-in provider task through the page bridge client (page-bridge.js), in the session of
+// the open conversation (thread.js conversationKey); unknown tasks are refused here
+function runBuiltinTask(bridgeAction, payload, options) {
+  if (!Object.prototype.hasOwnProperty.call(pageBridge, bridgeAction)) {
+    return Promise.resolve({ error: `Unknown on-device task "${bridgeAction}"`, code: 'FAILED' });
+  }
+  return pageBridge[bridgeAction](Object.assign({ conversation: conversationKey() }, payload), options);
+}
+
+// Messages from the background: the built-in provider runs its tasks here. The popup asks for the
+// model status the same way.
+function handleRuntimeMessage(request, sender, sendResponse) {
+  if (request && request.action === 'builtinRun') {
+    runBuiltinTask(request.bridgeAction, request.payload).then(sendResponse);
+    return true; // async response
+  }
+  if (request && request.action === 'runCommand') {
+    runCommand(request.command);
+    sendResponse({ success: true });
+  }
+  if (request && request.action === 'contextMenu') {
+    runContextMenu(request);
+    sendResponse({ success: true });
+  }
+  return false;
+}
+
+// Streaming relay for the built-in provider: background opens a port per request
+function handleRuntimeConnect(port) {
+  if (port.name !== BUILTIN_STREAM_PORT) return;
+  const controller = new AbortController();
+  let open = true;
+  port.onDisconnect.addListener(() => { open = false; controller.abort(); });
+  port.onMessage.addListener(async ({ bridgeAction, payload }) => {
+    const res = await runBuiltinTask(bridgeAction, payload, {
+      signal: controller.signal,
+      onChunk: (text) => { if (open) port.postMessage({ type: 'chunk', text }); }
+    });
+    if (!open) return;
+    if (res.error) port.postMessage({ type: 'error', error: res.error, code: res.code });
+    else port.postMessage({ type: 'done', text: res.text });
+  });
+}
+
 // Inject minimal styles
 function injectStyles() {
   const styleSheet = document.createElement('style');
   styleSheet.textContent = `
     * { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; box-sizing: border-box; }
     .ai-copilot-action-btn { position: fixed; z-index: 2147483647; }
+    .ai-copilot-consent { position: fixed; z-index: 2147483647; display:flex; align-items:center; gap:6px; background:white; border-radius:12px; padding:8px 10px; box-shadow:0 6px 18px rgba(0,0,0,0.18); font-size:13px; color:#111; }
+    .ai-copilot-consent button { border:none; border-radius:12px; padding:4px 10px; cursor:pointer; font-size:12px; font-weight:600; background:linear-gradient(135deg,#667eea 0%,#764ba2 100%); color:#fff; }
+    .ai-copilot-consent button.secondary { background:#e5e7eb; color:#111; }
     .ai-action-primary { background: linear-gradient(135deg,#667eea 0%,#764ba2 100%); color: #fff; border: none; padding: 8px 12px; border-radius: 18px; cursor: pointer; font-weight:700; }
-    .ai-copilot-analysis { margin-top:8px; background:white; border-radius:12px; padding:10px; box-shadow:0 6px 18px rgba(0,0,0,0.12); min-width:200px; }
+    .ai-copilot-analysis { margin-top:8px; background:white; border-radius:12px; padding:10px; box-shadow:0 6px 18px rgba(0,0,0,0.12); min-width:200px; max-width:340px; }
+    .analysis-confidence { margin-left:4px; font-size:11px; font-weight:400; color:#888; }
+    .analysis-urgency { margin-left:6px; padding:1px 8px; border-radius:10px; font-size:11px; font-weight:600; text-transform:capitalize; }
+    .urgency-low { background:#ecfdf5; color:#047857; }
+    .urgency-medium { background:#fffbeb; color:#b45309; }
+    .urgency-high { background:#fef2f2; color:#b91c1c; }
+    .analysis-sentiment { display:flex; align-items:center; gap:6px; margin-top:8px; font-size:12px; }
+    .analysis-sentiment-bar { position:relative; flex:1; height:6px; border-radius:3px; background:linear-gradient(90deg,#f87171,#e5e7eb,#34d399); }
+    .analysis-sentiment-bar i { position:absolute; top:-3px; width:4px; height:12px; margin-left:-2px; border-radius:2px; background:#374151; }
+    .analysis-section { margin-top:8px; font-size:12px; }
+    .analysis-section ul { margin:4px 0 0; padding-left:18px; }
+    .analysis-due, .analysis-owner { font-size:11px; color:#764ba2; }
+    .analysis-warning { margin-top:8px; font-size:11px; color:#b45309; }
     .ai-copilot-menu { position: fixed; background: white; border-radius:12px; padding:8px; box-shadow:0 6px 20px rgba(0,0,0,0.15); min-width:180px; z-index:2147483647; }
     .menu-item { display:block; padding:8px 12px; border:none; background:transparent; cursor:pointer; text-align:left; border-radius:8px; }
     .ai-copilot-reply-preview { position: fixed; top:50%; left:50%; transform: translate(-50%,-50%) scale(0.95); background:white; border-radius:12px; padding:16px; box-shadow:0 10px 40px rgba(0,0,0,0.3); max-width:520px; width:90%; z-index:2147483647; opacity:0; transition:all 180ms ease; }
     .ai-copilot-reply-preview.show { transform: translate(-50%,-50%) scale(1); opacity:1; }
     .reply-preview-content { background:#f8f9fa; border-radius:10px; padding:12px; max-height:300px; overflow:auto; white-space:pre-wrap; cursor:pointer; }
+    .ai-copilot-reply-preview.streaming .reply-preview-content { cursor:default; color:#444; }
+    .ai-copilot-reply-preview.streaming .reply-preview-content::after { content:'▍'; color:#764ba2; }
+    .ai-copilot-reply-preview button:disabled { opacity:0.5; cursor:not-allowed; }
+    .ai-copilot-reply-preview.has-candidates { max-width:760px; }
+    .reply-candidates { display:grid; grid-template-columns:repeat(auto-fit, minmax(180px, 1fr)); gap:8px; white-space:normal; background:transparent; padding:0; max-height:360px; cursor:default; }
+    .reply-candidate { display:flex; flex-direction:column; justify-content:space-between; gap:8px; background:#f8f9fa; border:2px solid transparent; border-radius:10px; padding:10px; cursor:pointer; }
+    .reply-candidate.selected { border-color:#764ba2; background:#f5f3ff; }
+    .reply-candidate.busy { opacity:0.5; pointer-events:none; }
+    .candidate-text { white-space:pre-wrap; font-size:14px; }
+    .reply-gloss { margin-top:6px; padding:6px 8px; border-left:3px solid #c4b5fd; color:#555; font-size:12px; white-space:pre-wrap; }
+    .reply-gloss:empty { display:none; }
+    .redaction-badge { display:inline-block; margin:0 0 6px; padding:2px 8px; border-radius:10px; background:#ecfdf5; color:#047857; font-size:11px; font-weight:600; }
+    .redaction-badge:empty { display:none; }
+    .redaction-badge.unredacted { background:#fffbeb; color:#b45309; }
+    .reply-gloss::before { content:'In English: '; font-weight:700; }
+    .ai-copilot-history, .ai-copilot-snippets, .ai-copilot-image, .ai-copilot-events { position: fixed; top: 18px; right: 18px; bottom: 18px; width: 360px; max-width: calc(100vw - 36px); display:flex; flex-direction:column; gap:8px; background:white; border-radius:12px; padding:12px; box-shadow:0 10px 40px rgba(0,0,0,0.3); z-index:2147483647; }
+    .history-header { display:flex; justify-content:space-between; align-items:center; }
+    .history-close { border:none; background:transparent; cursor:pointer; font-size:14px; }
+    .history-search { width:100%; padding:8px; border-radius:8px; border:1px solid #ddd; font-size:13px; }
+    .history-fav-toggle { font-size:12px; color:#555; }
+    .history-list { flex:1; overflow:auto; display:flex; flex-direction:column; gap:6px; }
+    .history-empty { font-size:13px; color:#888; padding:12px; text-align:center; }
+    .history-item { background:#f8f9fa; border-radius:10px; padding:8px 10px; }
+    .history-meta { font-size:11px; color:#888; }
+    .history-text { font-size:13px; white-space:pre-wrap; margin-top:4px; }
+    .history-source { font-size:11px; color:#777; margin-top:4px; font-style:italic; }
+    .history-actions { display:flex; gap:4px; margin-top:6px; }
+    .history-actions button { padding:3px 8px; border-radius:6px; border:1px solid #ddd; background:white; font-size:12px; cursor:pointer; }
+    .history-actions button.on { color:#d97706; border-color:#fcd34d; }
+    .ai-copilot-palette { position: fixed; top: 12vh; left: 50%; transform: translateX(-50%); width: 520px; max-width: calc(100vw - 36px); background:white; border-radius:12px; padding:10px; box-shadow:0 10px 40px rgba(0,0,0,0.3); z-index:2147483647; }
+    .palette-input { width:100%; padding:10px; border-radius:8px; border:1px solid #ddd; font-size:14px; outline:none; }
+    .palette-input:focus { border-color:#764ba2; }
+    .palette-list { max-height:320px; overflow:auto; margin-top:6px; }
+    .palette-item { display:flex; justify-content:space-between; gap:8px; padding:7px 10px; border-radius:8px; font-size:13px; cursor:pointer; }
+    .palette-item.active { background:#f5f3ff; color:#4c1d95; }
+    .palette-group { font-size:11px; color:#888; white-space:nowrap; }
+    .palette-hint { font-size:11px; color:#888; margin-top:6px; }
+    .ai-copilot-transcribe-btn { position: fixed; padding:4px 10px; border-radius:14px; border:none; background:linear-gradient(135deg,#667eea 0%,#764ba2 100%); color:#fff; font-size:12px; cursor:pointer; box-shadow:0 2px 8px rgba(0,0,0,0.2); z-index:2147483647; }
+    .ai-copilot-draft-btn { position: fixed; width:28px; height:28px; border-radius:50%; border:none; background:linear-gradient(135deg,#667eea 0%,#764ba2 100%); color:#fff; font-size:13px; cursor:pointer; box-shadow:0 2px 8px rgba(0,0,0,0.2); z-index:2147483647; }
+    .ai-copilot-draft { position: fixed; width: 440px; max-width: calc(100vw - 16px); background:white; border-radius:12px; padding:12px; box-shadow:0 10px 40px rgba(0,0,0,0.3); z-index:2147483647; display:flex; flex-direction:column; gap:8px; }
+    .draft-diff { background:#f8f9fa; border-radius:10px; padding:10px; max-height:220px; overflow:auto; white-space:pre-wrap; font-size:13px; }
+    .draft-diff del { background:#fee2e2; color:#991b1b; }
+    .draft-diff ins { background:#dcfce7; color:#166534; text-decoration:none; }
+    .ai-copilot-draft .refine-bar { margin-top:0; }
+    .ai-copilot-ghost { position: fixed; color:#9ca3af; white-space:pre; overflow:hidden; text-overflow:ellipsis; pointer-events:none; z-index:2147483647; }
+    .snippet-keyword { font-family:ui-monospace, Menlo, Consolas, monospace; font-size:11px; color:#764ba2; margin-left:6px; }
+    .snippet-item { cursor:pointer; }
+    .snippet-item:hover { background:#f5f3ff; }
+    .snippet-field { display:block; font-size:12px; color:#555; margin-top:6px; }
+    .snippet-field input { display:block; width:100%; margin-top:2px; padding:6px 8px; border-radius:8px; border:1px solid #ddd; font-size:13px; }
+    .snippet-preview { background:#f8f9fa; border-radius:10px; padding:10px; font-size:13px; white-space:pre-wrap; }
+    .snippet-fill { padding:6px 10px; border-radius:8px; border:1px solid #ddd6fe; background:#f5f3ff; color:#764ba2; font-size:12px; cursor:pointer; }
+    .snippet-fill:disabled { opacity:0.5; cursor:not-allowed; }
+    .event-item { display:flex; flex-direction:column; gap:4px; }
+    .event-item input[type="text"], .event-item input[type="date"], .event-item input[type="time"] { padding:4px 6px; border-radius:6px; border:1px solid #ddd; font-size:12px; min-width:0; }
+    .event-row { display:flex; align-items:center; gap:4px; }
+    .event-row .event-grow { flex:1; }
+    .event-item.off { opacity:0.5; }
+    .image-drop { display:flex; flex-direction:column; align-items:center; justify-content:center; gap:6px; min-height:140px; border:2px dashed #ddd6fe; border-radius:10px; padding:8px; outline:none; }
+    .image-drop:focus { border-color:#764ba2; }
+    .image-drop img { max-width:100%; max-height:45vh; border-radius:8px; object-fit:contain; }
+    .image-actions { display:flex; gap:6px; }
+    .image-actions .snippet-fill { flex:1; }
+    .refine-bar { display:flex; flex-wrap:wrap; align-items:center; gap:4px; margin-top:8px; }
+    .refine-label { font-size:12px; color:#666; margin-right:2px; }
+    .refine-chip { padding:4px 10px; border-radius:14px; border:1px solid #ddd; background:white; font-size:12px; cursor:pointer; }
+    .refine-chip:hover { border-color:#764ba2; color:#764ba2; }
+    .ai-copilot-reply-preview.streaming .refine-chip { opacity:0.5; pointer-events:none; }
+    .candidate-actions { display:flex; flex-wrap:wrap; gap:4px; }
+    .candidate-actions button, .candidate-actions select { padding:4px 8px; border-radius:6px; border:1px solid #ddd; background:white; font-size:12px; cursor:pointer; }
     .ai-copilot-loader { position: fixed; top: 18px; right: 18px; padding:10px 14px; background:white; border-radius:10px; box-shadow:0 8px 30px rgba(0,0,0,0.12); z-index:2147483647; }
     .ai-copilot-error { position: fixed; top: 18px; right: 18px; background:#ff5252; color:white; padding:10px 14px; border-radius:10px; z-index:2147483647; }
     .ai-copilot-success { position: fixed; top: 18px; right: 18px; background:#10b981; color:white; padding:10px 14px; border-radius:10px; z-index:2147483647; }
@@ -84,12 +436,21 @@ function handleTextSelection(e) {
 
   const selection = window.getSelection();
   const text = selection ? selection.toString().trim() : '';
-  selectedImageDataUrl = null; // reserved for image handling later
+  selectedImage = findSelectedImage(selection);
 
-  if (text.length > 0) {
+  if (!text && selectedImage) {
+    // an image on its own: the menu's "Image" entry takes it from here
+    selectedText = imageCaption(selectedImage);
+    selectedThread = extractThread(selectedImage);
+    currentContext = null;
+    showActionButton(selectedImage.getBoundingClientRect());
+  } else if (text.length > 0) {
     selectedText = text;
+    selectedThread = [];
     try {
       const range = selection.getRangeAt(0);
+      selectedThread = extractThread(range.commonAncestorContainer);
+      collectStyleSamples(selectedThread.filter(m => m.author === 'me').map(m => m.text));
       const rect = range.getBoundingClientRect();
       showActionButton(rect);
     } catch (err) {
@@ -98,7 +459,7 @@ function handleTextSelection(e) {
       const y = (e && e.clientY) ? e.clientY : window.innerHeight / 2;
       showActionButton({ left: x, top: y, bottom: y, right: x });
     }
-    performPreAnalysis(text);
+    performPreAnalysis(text, selectedThread);
   } else {
     // If ignore flag is set (we're interacting with UI), don't hide
     if (window.__aiCopilotIgnoreHide) return;
@@ -135,35 +496,78 @@ function showActionButton(rect) {
   }
 }
 
+// Send my own messages to the style profile; a no-op unless the user opted in
+function collectStyleSamples(samples) {
+  if (!styleProfileEnabled || !samples.length) return;
+  chrome.runtime.sendMessage({ action: 'styleCollect', samples }, () => void chrome.runtime.lastError);
+}
+
+// Enter in the chat composer sends the message on most sites — capture the draft just before that
+function handleComposerKeydown(e) {
+  if (!styleProfileEnabled || e.key !== 'Enter' || e.shiftKey || e.isComposing) return;
+  const target = e.target;
+  if (!isEditableElement(target)) return;
+  const composer = findChatInputBox();
+  if (!composer || (composer !== target && !composer.contains(target))) return;
+  const text = ('value' in composer && typeof composer.value === 'string' ? composer.value : composer.innerText || '').trim();
+  if (text) collectStyleSamples([text]);
+}
+
 // Query background to get analysis (pre-analysis)
-function performPreAnalysis(text) {
-  chrome.runtime.sendMessage({ action: 'analyze', text }, (response) => {
+function performPreAnalysis(text, thread) {
+  chrome.runtime.sendMessage({ action: 'analyze', text, thread }, (response) => {
     if (!response) { showError('No response from background'); return; }
     if (response.error) { showError(response.error); return; }
     if (response.success) {
       currentContext = response.analysis;
-      showAnalysisOverlay(currentContext);
+      showAnalysisOverlay(currentContext, response.redacted);
     }
   });
 }
 
-// Show analysis overlay appended to action button
-function showAnalysisOverlay(analysis) {
+// Show analysis overlay appended to action button; redacted is the background's redaction summary
+function showAnalysisOverlay(analysis, redacted = null) {
   // Remove old overlay
   const existing = shadowRoot.querySelector('.ai-copilot-analysis');
   if (existing) existing.remove();
 
   const overlay = document.createElement('div');
   overlay.className = 'ai-copilot-analysis';
+  // confidence (0-1) as a small percentage next to a label; fields from analysis-schema.js
+  const confidence = (key) => analysis.confidence && typeof analysis.confidence[key] === 'number'
+    ? `<span class="analysis-confidence" title="Model confidence">${Math.round(analysis.confidence[key] * 100)}%</span>` : '';
+  const sentiment = typeof analysis.sentiment === 'number' ? analysis.sentiment : null;
+  const questions = Array.isArray(analysis.questions) ? analysis.questions : [];
+  const actionItems = Array.isArray(analysis.actionItems) ? analysis.actionItems : [];
   overlay.innerHTML = `
-    <div style="font-weight:700;margin-bottom:6px">Quick Analysis</div>
+    <div class="redaction-badge"></div>
+    <div style="font-weight:700;margin-bottom:6px">Quick Analysis
+      ${analysis.urgency ? `<span class="analysis-urgency urgency-${escapeHtml(analysis.urgency)}">${escapeHtml(analysis.urgency)} urgency</span>` : ''}${confidence('urgency')}
+    </div>
     <div style="display:flex;gap:8px;font-size:13px">
-      <div><strong>Tone</strong><div>${escapeHtml(analysis.emotion || 'Neutral')}</div></div>
-      <div><strong>Intent</strong><div>${escapeHtml(analysis.intent || 'Statement')}</div></div>
+      <div><strong>Tone</strong><div>${escapeHtml(analysis.emotion || 'Neutral')}${confidence('emotion')}</div></div>
+      <div><strong>Intent</strong><div>${escapeHtml(analysis.intent || 'Statement')}${confidence('intent')}</div></div>
+      ${analysis.language ? `<div><strong>Language</strong><div>${escapeHtml(languageName(analysis.language))}</div></div>` : ''}
     </div>
-    <div style="margin-top:8px"><button class="ai-quick-action">${escapeHtml(analysis.suggestedAction || 'Generate Reply')}</button></div>
+    ${sentiment !== null ? `
+      <div class="analysis-sentiment" title="Sentiment ${sentiment.toFixed(2)} (-1 negative … 1 positive)">
+        <span>😟</span><div class="analysis-sentiment-bar"><i style="left:${Math.round((sentiment + 1) * 50)}%"></i></div><span>😊</span>
+      </div>` : ''}
+    ${questions.length ? `
+      <div class="analysis-section"><strong>Needs an answer</strong>
+        <ul>${questions.map(q => `<li>${escapeHtml(q)}</li>`).join('')}</ul>
+      </div>` : ''}
+    ${actionItems.length ? `
+      <div class="analysis-section"><strong>Action items</strong>
+        <ul>${actionItems.map(a => `<li>${escapeHtml(a.task)}${a.due ? ` <span class="analysis-due">📅 ${escapeHtml(a.due)}</span>` : ''}${a.owner && a.owner !== 'unknown' ? ` <span class="analysis-owner">${a.owner === 'me' ? 'you' : 'them'}</span>` : ''}</li>`).join('')}</ul>
+      </div>` : ''}
+    ${analysis.valid === false ? '<div class="analysis-warning" title="The model\'s answer did not match the analysis format, even after a retry">⚠️ Partial analysis — some fields may be guesses</div>' : ''}
+    <div style="margin-top:8px"><button class="ai-quick-action">${escapeHtml(analysis.suggestedAction || 'Generate Reply')}</button>
+      ${actionItems.length ? '<button class="ai-quick-action analysis-events" title="Extract events & tasks">📅</button>' : ''}</div>
   `;
 
+  updateRedactionBadge(overlay.querySelector('.redaction-badge'), redacted);
+
   // Append overlay next to the action button if available, else append to root
   const actionBtnWrapper = shadowRoot.querySelector('.ai-copilot-action-btn');
   if (actionBtnWrapper) actionBtnWrapper.appendChild(overlay);
@@ -177,6 +581,11 @@ function showAnalysisOverlay(analysis) {
     ev.stopPropagation();
     handleGeneration(getActionType(analysis.suggestedAction));
   });
+  const events = overlay.querySelector('.analysis-events');
+  if (events) events.addEventListener('click', (ev) => {
+    ev.stopPropagation();
+    extractEvents();
+  });
 }
 
 function getActionType(suggestion) {
@@ -197,6 +606,11 @@ function showMainMenu(rect) {
   menu.innerHTML = `
     <button class="menu-item" data-action="reply">💬 Generate Reply</button>
     <button class="menu-item" data-action="summarize">📝 Summarize Text</button>
+    <button class="menu-item" data-action="translate">🌐 Translate</button>
+    <button class="menu-item" data-action="events">📅 Extract events & tasks</button>
+    <button class="menu-item" data-action="image">🖼️ Image / Screenshot</button>
+    <button class="menu-item" data-action="snippets">📋 Snippets</button>
+    <button class="menu-item" data-action="history">🕘 Reply History</button>
   `;
 
   // position safely (use same left/top as the button)
@@ -215,7 +629,11 @@ function showMainMenu(rect) {
     item.addEventListener('click', (e) => {
       e.stopPropagation();
       const action = e.currentTarget.dataset.action;
-      handleGeneration(action);
+      if (action === 'history') showHistoryPanel();
+      else if (action === 'image') openImagePanelFor(selectedImage);
+      else if (action === 'events') extractEvents();
+      else if (action === 'snippets') showSnippetPanel({ source: { text: selectedText, thread: selectedThread } });
+      else handleGeneration(action);
       menu.remove();
     });
   });
@@ -240,43 +658,154 @@ function showMainMenu(rect) {
   }, 80);
 }
 
-// Handle generation (send request to background)
+const GENERATION_TITLES = { summarize: '📝 Summary', translate: '🌐 Translation' };
+
+// Handle generation: stream the answer from the background into the preview modal
 function handleGeneration(type) {
-  showLoadingState();
   // store best-effort input box
   currentInputBox = findChatInputBox();
+  showReplyPreview('', { streaming: true, title: GENERATION_TITLES[type] || '💬 Generated Reply' });
+  streamIntoPreview({ action: 'generate', text: selectedText, type, context: currentContext, thread: selectedThread });
+}
 
-  chrome.runtime.sendMessage({ action: 'generate', text: selectedText, type, context: currentContext }, (response) => {
-    hideLoadingState();
-    if (!response) { showError('No response from background'); return; }
-    if (response.error) { showError(response.error); return; }
-    if (response.success) {
-      if (type === 'summarize') showSummary(response.text);
-      else {
-        generatedReplyText = response.text;
-        showReplyPreview(response.text);
+// Refine bar: rewrite the current reply with a tone preset. With candidates the selected card is
+// rewritten in place; a single reply is streamed back into the preview.
+function handleRefine(tone) {
+  const preview = shadowRoot.querySelector('.ai-copilot-reply-preview');
+  if (!preview || activeStream || !generatedReplyText) return;
+  if (preview.classList.contains('has-candidates')) {
+    const card = preview.querySelector(`.reply-candidate[data-index="${selectedCandidate}"]`);
+    if (card) refineCandidate(selectedCandidate, tone, card);
+    return;
+  }
+  const original = generatedReplyText;
+  setPreviewStreaming(preview);
+  // with the language the background glosses the rewritten reply again
+  streamIntoPreview({ action: 'refine', text: original, tone, language: replyLanguage }, { fallbackText: original });
+}
+
+// Run a streaming request whose output becomes the preview's reply (or candidate cards).
+// options.fallbackText is restored if the request fails before producing anything; options.onDone
+// runs after a successful answer has been shown.
+function streamIntoPreview(message, options = {}) {
+  if (!previewRequest) previewRequest = { message, options };
+  generatedReplyText = '';
+  replyCandidates = [];
+  replyGlosses = [];
+  selectedCandidate = 0;
+  updateReplyGloss();
+  updateRedactionBadge(shadowRoot.querySelector('.ai-copilot-reply-preview .redaction-badge'), null);
+
+  activeStream = streamRequest(message, {
+    onChunk: (delta) => {
+      generatedReplyText += delta;
+      updateReplyPreview(generatedReplyText);
+    },
+    onDone: (response) => {
+      activeStream = null;
+      currentHistoryId = response.historyId ?? null;
+      replyCandidates = (response.candidates && response.candidates.length) ? response.candidates : [response.text];
+      replyLanguage = response.language || null;
+      replyGlosses = response.glosses || [];
+      selectedCandidate = 0;
+      generatedReplyText = replyCandidates[0];
+      if (replyCandidates.length > 1) renderReplyCandidates();
+      else updateReplyPreview(generatedReplyText);
+      updateReplyGloss();
+      updateRedactionBadge(shadowRoot.querySelector('.ai-copilot-reply-preview .redaction-badge'), response.redacted);
+      finishReplyPreview();
+      if (options.onDone) options.onDone(response);
+    },
+    onError: (response) => {
+      activeStream = null;
+      if (!generatedReplyText && options.fallbackText) {
+        generatedReplyText = options.fallbackText;
+        replyCandidates = [generatedReplyText];
+        updateReplyPreview(generatedReplyText);
       }
+      if (response.code === 'ABORTED') { finishReplyPreview(); return; }
+      if (!generatedReplyText) {
+        const preview = shadowRoot.querySelector('.ai-copilot-reply-preview');
+        if (preview) preview.remove();
+      } else {
+        finishReplyPreview();
+      }
+      showError(response.error || 'Generation failed');
     }
   });
 }
 
-// Show reply preview modal / box
-function showReplyPreview(text) {
+// Open a streaming port to the background; returns { stop } which aborts the request upstream
+function streamRequest(message, { onChunk, onDone, onError }) {
+  let settled = false;
+  let port;
+  try {
+    port = chrome.runtime.connect({ name: STREAM_PORT });
+  } catch (err) {
+    onError({ error: 'Extension was reloaded — refresh the page and try again.' });
+    return { stop() {} };
+  }
+
+  port.onMessage.addListener((msg) => {
+    if (settled) return;
+    if (msg.type === 'chunk') { onChunk(msg.text); return; }
+    settled = true;
+    port.disconnect();
+    if (msg.type === 'done') onDone(msg);
+    else onError(msg);
+  });
+  port.onDisconnect.addListener(() => {
+    if (settled) return;
+    settled = true;
+    onError({ error: 'No response from background' });
+  });
+  port.postMessage(message);
+
+  return {
+    stop() {
+      if (settled) return;
+      port.postMessage({ type: 'stop' });
+      settled = true;
+      port.disconnect();
+      onError({ error: 'Generation stopped', code: 'ABORTED' });
+    }
+  };
+}
+
+function stopActiveStream() {
+  if (!activeStream) return;
+  const stream = activeStream;
+  activeStream = null;
+  stream.stop();
+}
+
+// Show reply preview modal / box. With options.streaming the text fills in via updateReplyPreview()
+// and the actions stay disabled (Stop shown instead) until finishReplyPreview().
+function showReplyPreview(text, options = {}) {
   // remove existing preview
   const prev = shadowRoot.querySelector('.ai-copilot-reply-preview');
   if (prev) prev.remove();
+  previewRequest = null;
 
   const preview = document.createElement('div');
   preview.className = 'ai-copilot-reply-preview';
   preview.innerHTML = `
-    <div style="font-weight:800;margin-bottom:8px">💬 Generated Reply</div>
+    <div style="font-weight:800;margin-bottom:8px">${escapeHtml(options.title || '💬 Generated Reply')}</div>
+    <div class="redaction-badge"></div>
     <div class="reply-preview-content" id="reply-text">${escapeHtml(text)}</div>
+    <div class="reply-gloss" title="Translation for reference only; the reply above is what gets inserted"></div>
     <div style="margin-top:8px;display:flex;gap:8px">
       <button id="insert-reply" style="flex:1;padding:10px;border-radius:8px;border:none;background:linear-gradient(90deg,#667eea,#764ba2);color:white;font-weight:700">Insert to Chat</button>
+      <button id="stop-reply" style="display:none;padding:10px;border-radius:8px;border:none;background:#ef4444;color:white">⏹ Stop</button>
       <button id="regenerate-reply" style="padding:10px;border-radius:8px;border:none;background:#764ba2;color:white">🔄 Regenerate</button>
       <button id="close-preview" style="padding:10px;border-radius:8px;border:1px solid #ddd;background:white">Cancel</button>
     </div>
-    <div style="margin-top:8px;font-size:12px;color:#666">Click the reply text to insert into your message box</div>
+    <div class="refine-bar">
+      <span class="refine-label">Refine:</span>
+      ${tonePresets.map(p => `<button class="refine-chip" data-tone="${escapeAttr(p.id)}" title="${escapeAttr(p.instruction)}">${escapeHtml(p.name)}</button>`).join('')}
+      <button class="refine-chip refine-edit" title="Create or edit tone presets">✏️ Presets</button>
+    </div>
+    <div class="reply-preview-hint" style="margin-top:8px;font-size:12px;color:#666">Click the reply text to insert into your message box</div>
   `;
   shadowRoot.appendChild(preview);
 
@@ -289,6 +818,8 @@ function showReplyPreview(text) {
   const replyDiv = preview.querySelector('#reply-text');
   replyDiv.addEventListener('click', (e) => {
     e.stopPropagation();
+    // while streaming there is nothing final to insert; with candidates the cards handle clicks
+    if (preview.classList.contains('streaming') || preview.classList.contains('has-candidates')) return;
     // re-find input at click time
     currentInputBox = findChatInputBox() || document.activeElement;
     insertReplyToChat(generatedReplyText);
@@ -301,18 +832,163 @@ function showReplyPreview(text) {
     insertReplyToChat(generatedReplyText);
   });
 
-  // regenerate
+  // stop streaming (keeps what has arrived so far)
+  preview.querySelector('#stop-reply').addEventListener('click', (e) => {
+    e.stopPropagation();
+    stopActiveStream();
+  });
+
+  // refine bar
+  preview.querySelectorAll('.refine-chip').forEach(chip => {
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (chip.classList.contains('refine-edit')) {
+        chrome.runtime.sendMessage({ action: 'openOptions' });
+        return;
+      }
+      handleRefine(chip.dataset.tone);
+    });
+  });
+
+  // regenerate: run the request that opened the preview again (a reply, a description, a
+  // transcript, ...), not a refinement made in it since
   preview.querySelector('#regenerate-reply').addEventListener('click', (e) => {
     e.stopPropagation();
-    preview.remove();
-    handleGeneration('reply');
+    const request = previewRequest;
+    if (!request) return;
+    showReplyPreview('', { streaming: true, title: options.title });
+    streamIntoPreview(request.message, request.options);
   });
 
   // close
   preview.querySelector('#close-preview').addEventListener('click', (e) => {
     e.stopPropagation();
+    stopActiveStream();
     preview.remove();
   });
+
+  if (options.streaming) setPreviewStreaming(preview);
+  return preview;
+}
+
+// Put the preview into streaming mode: placeholder text, actions disabled, Stop visible
+function setPreviewStreaming(preview) {
+  preview.classList.add('streaming');
+  preview.querySelector('.reply-preview-content').textContent = 'AI is thinking...';
+  preview.querySelector('#insert-reply').disabled = true;
+  preview.querySelector('#regenerate-reply').disabled = true;
+  preview.querySelector('#stop-reply').style.display = '';
+}
+
+// Show the alternatives as side-by-side cards, each with its own insert / refine / copy actions.
+// Clicking a card selects it for the main "Insert to Chat" button.
+function renderReplyCandidates() {
+  const preview = shadowRoot.querySelector('.ai-copilot-reply-preview');
+  if (!preview) return;
+  const container = preview.querySelector('.reply-preview-content');
+  preview.classList.add('has-candidates');
+  container.classList.add('reply-candidates');
+  const toneOptions = tonePresets.map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(p.name)}</option>`).join('');
+  container.innerHTML = replyCandidates.map((text, i) => `
+    <div class="reply-candidate${i === selectedCandidate ? ' selected' : ''}" data-index="${i}">
+      <div class="candidate-text">${escapeHtml(text)}</div>
+      <div class="reply-gloss">${escapeHtml(replyGlosses[i] || '')}</div>
+      <div class="candidate-actions">
+        <button data-act="insert">Insert</button>
+        <button data-act="copy">Copy</button>
+        <select data-act="tone">${toneOptions}</select>
+        <button data-act="refine">✨ Refine</button>
+      </div>
+    </div>
+  `).join('');
+  const hint = preview.querySelector('.reply-preview-hint');
+  if (hint) hint.textContent = 'Pick a card, or use its own Insert / Copy / Refine buttons';
+
+  container.querySelectorAll('.reply-candidate').forEach(card => {
+    const index = Number(card.dataset.index);
+    card.addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectedCandidate = index;
+      generatedReplyText = replyCandidates[index];
+      container.querySelectorAll('.reply-candidate').forEach(c => c.classList.toggle('selected', c === card));
+    });
+    card.querySelector('select').addEventListener('click', (e) => e.stopPropagation());
+    card.querySelectorAll('button').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const act = btn.dataset.act;
+        if (act === 'insert') {
+          currentInputBox = findChatInputBox() || document.activeElement;
+          insertReplyToChat(replyCandidates[index]);
+        } else if (act === 'copy') {
+          navigator.clipboard.writeText(replyCandidates[index])
+            .then(() => showSuccess('Copied to clipboard'))
+            .catch(() => showError('Could not copy to clipboard'));
+        } else if (act === 'refine') {
+          refineCandidate(index, card.querySelector('select').value, card);
+        }
+      });
+    });
+  });
+}
+
+// Rewrite one candidate in place with the chosen tone
+function refineCandidate(index, tone, card) {
+  card.classList.add('busy');
+  chrome.runtime.sendMessage({ action: 'refine', text: replyCandidates[index], tone, language: replyLanguage }, (response) => {
+    card.classList.remove('busy');
+    if (!response) { showError('No response from background'); return; }
+    if (response.error) { showError(response.error); return; }
+    replyCandidates[index] = response.text;
+    replyGlosses[index] = (response.glosses && response.glosses[0]) || '';
+    currentHistoryId = response.historyId ?? currentHistoryId;
+    if (index === selectedCandidate) generatedReplyText = response.text;
+    renderReplyCandidates();
+  });
+}
+
+// Replace the preview text while a stream is running
+function updateReplyPreview(text) {
+  const replyDiv = shadowRoot.querySelector('.ai-copilot-reply-preview .reply-preview-content');
+  if (!replyDiv) return;
+  replyDiv.textContent = text;
+  replyDiv.scrollTop = replyDiv.scrollHeight;
+}
+
+// Show the gloss of a single reply under the preview text; candidate cards render their own
+// "🛡️ Redacted: 2 emails, 1 phone number" — what the background replaced with placeholders before
+// a cloud call (redaction.js) — and "⚠️ Image sent unredacted" for media that cannot be; empty when
+// there is nothing to say
+function updateRedactionBadge(badge, redacted) {
+  if (!badge) return;
+  const list = Array.isArray(redacted) ? redacted : [];
+  const replaced = list.filter(r => !r.unredacted);
+  const media = list.filter(r => r.unredacted).map(r => r.label);
+  const parts = [];
+  if (replaced.length) parts.push(`🛡️ Redacted: ${replaced.map(r => `${r.count} ${r.label}${r.count === 1 ? '' : 's'}`).join(', ')}`);
+  if (media.length) parts.push(`⚠️ ${media.join(' and ').replace(/^./, c => c.toUpperCase())} sent unredacted`);
+  badge.textContent = parts.join(' · ');
+  badge.classList.toggle('unredacted', media.length > 0);
+  badge.title = media.length
+    ? `Personal details in the ${media.join(' and ')} cannot be replaced: it went to the cloud provider as it is`
+    : 'Replaced with placeholders before the text went to a cloud provider, and put back in the answer';
+}
+
+function updateReplyGloss() {
+  const preview = shadowRoot.querySelector('.ai-copilot-reply-preview');
+  if (!preview) return;
+  const gloss = preview.querySelector(':scope > .reply-gloss');
+  gloss.textContent = replyCandidates.length > 1 ? '' : (replyGlosses[0] || '');
+}
+
+// Streaming finished (or stopped): enable the actions again
+function finishReplyPreview() {
+  const preview = shadowRoot.querySelector('.ai-copilot-reply-preview');
+  if (!preview) return;
+  preview.classList.remove('streaming');
+  preview.querySelector('#insert-reply').disabled = !generatedReplyText;
+  preview.querySelector('#regenerate-reply').disabled = !previewRequest;
+  preview.querySelector('#stop-reply').style.display = 'none';
 }
 
 // Insert generated text into the page input (robust)
@@ -334,40 +1010,23 @@ async function insertReplyToChat(text) {
   }
 
   try {
-    const tag = (currentInputBox.tagName || '').toUpperCase();
-    if (tag === 'INPUT' || tag === 'TEXTAREA') {
-      setNativeValue(currentInputBox, text);
-      currentInputBox.dispatchEvent(new Event('input', { bubbles: true }));
-      currentInputBox.dispatchEvent(new Event('change', { bubbles: true }));
-      if (typeof currentInputBox.selectionStart === 'number') {
-        currentInputBox.selectionStart = currentInputBox.selectionEnd = text.length;
-      }
-    } else if (currentInputBox.isContentEditable) {
-      currentInputBox.focus();
-      // clear & insert text node (avoid HTML)
-      currentInputBox.innerHTML = '';
-      currentInputBox.appendChild(document.createTextNode(text));
-      // move caret to end
-      const range = document.createRange();
-      range.selectNodeContents(currentInputBox);
-      range.collapse(false);
-      const sel = window.getSelection();
-      sel.removeAllRanges();
-      sel.addRange(range);
-      // dispatch input events
-      const inputEvent = new InputEvent('input', { bubbles: true, cancelable: true, composed: true, data: text, inputType: 'insertText' });
-      currentInputBox.dispatchEvent(inputEvent);
-      // lightweight key to enable send in some apps
-      try { currentInputBox.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: 'a' })); } catch (e) {}
-    } else {
-      currentInputBox.textContent = text;
-      currentInputBox.focus();
-      currentInputBox.dispatchEvent(new Event('input', { bubbles: true }));
+    const adapter = getSiteAdapter();
+    const strategy = (adapter && adapter.insert) || 'auto';
+    if (strategy === 'clipboard') {
+      await navigator.clipboard.writeText(text);
+      showSuccess('Text copied to clipboard. Paste (Ctrl+V) into the chat box to send.');
+      return;
     }
+    insertWithStrategy(currentInputBox, text, strategy);
 
     currentInputBox.focus();
     const preview = shadowRoot.querySelector('.ai-copilot-reply-preview');
     if (preview) preview.remove();
+    // remember what was actually sent for the history entry
+    if (currentHistoryId !== null) {
+      chrome.runtime.sendMessage({ action: 'historyUpdate', id: currentHistoryId, insertedText: text }, () => void chrome.runtime.lastError);
+      currentHistoryId = null;
+    }
     showSuccess('Reply inserted — you can edit or press send.');
     hideAllUI();
   } catch (err) {
@@ -381,6 +1040,1392 @@ async function insertReplyToChat(text) {
   }
 }
 
+// Write text into an editable element. 'auto' picks by element type; adapters can force one:
+// 'native-setter' (React-controlled inputs), 'contenteditable' (text node + InputEvent) or
+// 'exec-command' (execCommand('insertText') — what rich editors like Lexical/Draft/Slate listen to).
+function insertWithStrategy(el, text, strategy = 'auto') {
+  const tag = (el.tagName || '').toUpperCase();
+  const isField = tag === 'INPUT' || tag === 'TEXTAREA';
+
+  if (strategy === 'exec-command') {
+    el.focus();
+    // select the current draft so insertText replaces it
+    if (isField) el.select();
+    else {
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      const sel = window.getSelection();
+      sel.removeAllRanges();
+      sel.addRange(range);
+    }
+    // execCommand is deprecated but still the only way to go through the editor's own input pipeline
+    if (document.execCommand('insertText', false, text)) return;
+    // editor refused — fall through to the direct paths below
+  }
+
+  if (isField) {
+    setNativeValue(el, text);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    if (typeof el.selectionStart === 'number') {
+      el.selectionStart = el.selectionEnd = text.length;
+    }
+    return;
+  }
+
+  if (el.isContentEditable) {
+    el.focus();
+    // clear & insert text node (avoid HTML)
+    el.innerHTML = '';
+    el.appendChild(document.createTextNode(text));
+    // move caret to end
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    range.collapse(false);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+    // dispatch input events
+    const inputEvent = new InputEvent('input', { bubbles: true, cancelable: true, composed: true, data: text, inputType: 'insertText' });
+    el.dispatchEvent(inputEvent);
+    // lightweight key to enable send in some apps
+    try { el.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, cancelable: true, key: 'a' })); } catch (e) {}
+    return;
+  }
+
+  el.textContent = text;
+  el.focus();
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/* ---------- Reply history panel ---------- */
+
+// Searchable list of past replies (stored by the background in IndexedDB) with favorites and
+// one-click re-insert. Not part of hideAllUI(): it stays open until closed.
+function showHistoryPanel() {
+  const prev = shadowRoot.querySelector('.ai-copilot-history');
+  if (prev) prev.remove();
+
+  const panel = document.createElement('div');
+  panel.className = 'ai-copilot-history';
+  panel.innerHTML = `
+    <div class="history-header">
+      <strong>🕘 Reply History</strong>
+      <button class="history-close" title="Close">✕</button>
+    </div>
+    <input class="history-search" type="search" placeholder="Search replies…" />
+    <label class="history-fav-toggle"><input type="checkbox" class="history-fav-only" /> ★ Favorites only</label>
+    <div class="history-list"><div class="history-empty">Loading…</div></div>
+  `;
+  shadowRoot.appendChild(panel);
+
+  // keep the page's own shortcuts away from the search box
+  panel.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+  panel.addEventListener('keydown', (ev) => ev.stopPropagation());
+
+  const search = panel.querySelector('.history-search');
+  const favOnly = panel.querySelector('.history-fav-only');
+  let searchTimer = null;
+  const reload = () => loadHistoryEntries(panel, search.value, favOnly.checked);
+  search.addEventListener('input', () => { clearTimeout(searchTimer); searchTimer = setTimeout(reload, 200); });
+  favOnly.addEventListener('change', reload);
+  panel.querySelector('.history-close').addEventListener('click', (e) => { e.stopPropagation(); panel.remove(); });
+
+  reload();
+  search.focus();
+}
+
+function loadHistoryEntries(panel, query, favoritesOnly) {
+  chrome.runtime.sendMessage({ action: 'historyList', query, favoritesOnly }, (response) => {
+    const list = panel.querySelector('.history-list');
+    if (!response || response.error) { list.innerHTML = `<div class="history-empty">${escapeHtml((response && response.error) || 'Could not load history')}</div>`; return; }
+    if (!response.entries.length) { list.innerHTML = '<div class="history-empty">No replies yet.</div>'; return; }
+
+    list.innerHTML = response.entries.map(entry => `
+      <div class="history-item" data-id="${escapeAttr(entry.id)}">
+        <div class="history-meta">${escapeHtml(entry.site || 'unknown site')} · ${escapeHtml(entry.tone || entry.type || entry.action)} · ${escapeHtml(new Date(entry.createdAt).toLocaleString())}</div>
+        <div class="history-text">${escapeHtml(entry.insertedText || entry.text)}</div>
+        ${entry.sourceText ? `<div class="history-source">↪ ${escapeHtml(entry.sourceText.slice(0, 140))}</div>` : ''}
+        <div class="history-actions">
+          <button data-act="insert">Insert</button>
+          <button data-act="favorite" class="${entry.favorite ? 'on' : ''}" title="Pin to favorites">${entry.favorite ? '★' : '☆'}</button>
+          <button data-act="delete" title="Delete">🗑</button>
+        </div>
+      </div>
+    `).join('');
+
+    list.querySelectorAll('.history-item').forEach(item => {
+      const entry = response.entries.find(e => String(e.id) === item.dataset.id);
+      item.querySelectorAll('button').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const act = btn.dataset.act;
+          if (act === 'insert') {
+            currentHistoryId = null;
+            currentInputBox = findChatInputBox() || document.activeElement;
+            insertReplyToChat(entry.insertedText || entry.text);
+            panel.remove();
+          } else if (act === 'favorite') {
+            chrome.runtime.sendMessage({ action: 'historyUpdate', id: entry.id, favorite: !entry.favorite }, () => loadHistoryEntries(panel, query, favoritesOnly));
+          } else if (act === 'delete') {
+            chrome.runtime.sendMessage({ action: 'historyDelete', id: entry.id }, () => loadHistoryEntries(panel, query, favoritesOnly));
+          }
+        });
+      });
+    });
+  });
+}
+
+/* ---------- Events & tasks ---------- */
+
+// Run the analysis with the events list for the selection, then let the user confirm and edit
+// what was found before exporting it (see calendar.js)
+function extractEvents() {
+  if (!selectedText) { showError('Select a message first'); return; }
+  const source = { text: selectedText, thread: selectedThread };
+  showLoadingState();
+  chrome.runtime.sendMessage({ action: 'analyze', text: source.text, thread: source.thread, extractEvents: true }, (response) => {
+    hideLoadingState();
+    if (!response) { showError('No response from background'); return; }
+    if (response.error) { showError(response.error); return; }
+    currentContext = response.analysis;
+    showEventsPanel(response.analysis, source, response.redacted);
+  });
+}
+
+// Confirmation panel: every event and task can be edited or unticked; the ticked events download
+// as one .ics file and the ticked tasks copy as a checklist. Stays open like the history panel.
+function showEventsPanel(analysis, source, redacted = null) {
+  const prev = shadowRoot.querySelector('.ai-copilot-events');
+  if (prev) prev.remove();
+
+  const events = analysis.events || [];
+  const tasks = analysis.actionItems || [];
+  const panel = document.createElement('div');
+  panel.className = 'ai-copilot-events';
+  panel.innerHTML = `
+    <div class="history-header">
+      <strong>📅 Events & Tasks</strong>
+      <button class="history-close" title="Close">✕</button>
+    </div>
+    <div class="redaction-badge"></div>
+    <div class="history-list">
+      <div class="history-meta">Events</div>
+      ${events.length ? events.map((ev, i) => `
+        <div class="history-item event-item" data-event="${i}">
+          <div class="event-row">
+            <input type="checkbox" data-field="include" checked title="Include in the .ics file" />
+            <input type="text" class="event-grow" data-field="title" value="${escapeAttr(ev.title)}" placeholder="Title" />
+          </div>
+          <div class="event-row">
+            <input type="date" data-field="date" value="${escapeAttr(ev.date)}" />
+            <input type="time" data-field="startTime" value="${escapeAttr(ev.startTime || '')}" title="Start (empty for all day)" />
+            <input type="time" data-field="endTime" value="${escapeAttr(ev.endTime || '')}" title="End" />
+          </div>
+          <input type="text" data-field="location" value="${escapeAttr(ev.location)}" placeholder="Location" />
+        </div>
+      `).join('') : '<div class="history-empty">No events found.</div>'}
+      <div class="history-meta">Tasks</div>
+      ${tasks.length ? tasks.map((t, i) => `
+        <div class="history-item event-item" data-task="${i}">
+          <div class="event-row">
+            <input type="checkbox" data-field="include" checked title="Include in the task list" />
+            <input type="text" class="event-grow" data-field="task" value="${escapeAttr(t.task)}" />
+          </div>
+          <div class="event-row">
+            <input type="date" data-field="due" value="${escapeAttr(t.due || '')}" title="Due date" />
+            ${t.owner && t.owner !== 'unknown' ? `<span class="analysis-owner">${t.owner === 'me' ? 'you' : 'them'}</span>` : ''}
+          </div>
+        </div>
+      `).join('') : '<div class="history-empty">No tasks found.</div>'}
+      ${analysis.valid === false ? '<div class="analysis-warning">⚠️ Partial result — check the dates before exporting</div>' : ''}
+    </div>
+    <div class="image-actions">
+      <button class="snippet-fill" data-act="ics" ${events.length ? '' : 'disabled'}>📅 Download .ics</button>
+      <button class="snippet-fill" data-act="tasks" ${tasks.length ? '' : 'disabled'}>📋 Copy task list</button>
+    </div>
+  `;
+  shadowRoot.appendChild(panel);
+  panel.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+  panel.addEventListener('keydown', (ev) => ev.stopPropagation());
+  updateRedactionBadge(panel.querySelector('.redaction-badge'), redacted);
+
+  const field = (item, name) => item.querySelector(`[data-field="${name}"]`);
+  panel.querySelectorAll('.event-item').forEach(item => {
+    field(item, 'include').addEventListener('change', (e) => item.classList.toggle('off', !e.target.checked));
+  });
+  const checked = (attr) => Array.from(panel.querySelectorAll(`.event-item[${attr}]`)).filter(item => field(item, 'include').checked);
+
+  panel.querySelector('.history-close').addEventListener('click', (e) => { e.stopPropagation(); panel.remove(); });
+  panel.querySelector('[data-act="ics"]').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const picked = checked('data-event').map(item => ({
+      title: field(item, 'title').value.trim(),
+      date: field(item, 'date').value,
+      startTime: field(item, 'startTime').value || null,
+      endTime: field(item, 'endTime').value || null,
+      location: field(item, 'location').value.trim()
+    }));
+    if (!picked.length) { showError('Tick at least one event'); return; }
+    if (picked.some(ev => !ev.title || !ev.date)) { showError('Every event needs a title and a date'); return; }
+    downloadFile(icsFilename(picked), buildIcs(picked, { description: source.text }), 'text/calendar');
+    showSuccess(picked.length === 1 ? 'Event downloaded' : `${picked.length} events downloaded`);
+  });
+  panel.querySelector('[data-act="tasks"]').addEventListener('click', (e) => {
+    e.stopPropagation();
+    const picked = checked('data-task').map(item => ({
+      task: field(item, 'task').value.trim(),
+      due: field(item, 'due').value || null,
+      owner: tasks[Number(item.dataset.task)].owner
+    })).filter(t => t.task);
+    if (!picked.length) { showError('Tick at least one task'); return; }
+    navigator.clipboard.writeText(formatTaskList(picked))
+      .then(() => showSuccess('Task list copied'))
+      .catch(() => showError('Could not copy to clipboard'));
+  });
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* ---------- Keyboard: shortcuts and command palette ---------- */
+
+// chrome.commands shortcut from the background (see manifest "commands")
+function runCommand(command) {
+  const focused = isEditableElement(document.activeElement) ? saveCaret(document.activeElement) : null;
+  if (command === 'open-command-palette') { showCommandPalette(); return; }
+  if (command === 'insert-last-reply') { insertLastReply(focused); return; }
+  if (command === 'refine-reply') {
+    if (!shadowRoot.querySelector('.ai-copilot-reply-preview') || !generatedReplyText) { showError('Generate a reply first'); return; }
+    showCommandPalette({ query: 'refine ' });
+    return;
+  }
+  if (!captureSelection()) { showError('Select a message first'); return; }
+  if (command === 'analyze-selection') analyzeSelection();
+  else if (command === 'generate-reply') handleGeneration('reply');
+  else if (command === 'summarize-selection') handleGeneration('summarize');
+}
+
+// Keyboard entry points have no mouseup: take the page selection now, or fall back to the newest
+// incoming message of the open conversation. Returns false when there is nothing to work on.
+function captureSelection() {
+  const selection = window.getSelection();
+  const text = selection ? selection.toString().trim() : '';
+  if (text) {
+    selectedText = text;
+    try { selectedThread = extractThread(selection.getRangeAt(0).commonAncestorContainer); }
+    catch (e) { selectedThread = []; }
+    return true;
+  }
+  const thread = extractLatestThread();
+  const last = thread.slice().reverse().find(m => m.author === 'them');
+  if (last) {
+    selectedText = last.text;
+    selectedThread = thread;
+  }
+  return !!selectedText;
+}
+
+// analysis overlay for a keyboard-made selection, anchored at the selection (or the composer)
+function analyzeSelection() {
+  let rect = null;
+  const selection = window.getSelection();
+  if (selection && selection.rangeCount && selection.toString().trim()) rect = selection.getRangeAt(0).getBoundingClientRect();
+  const box = rect ? null : findChatInputBox();
+  if (box) {
+    const r = box.getBoundingClientRect();
+    rect = { left: r.left, top: r.top - 40, bottom: r.top - 40, right: r.left };
+  }
+  if (!rect) rect = { left: window.innerWidth / 2, top: window.innerHeight / 3, bottom: window.innerHeight / 3, right: window.innerWidth / 2 };
+  showActionButton(rect);
+  performPreAnalysis(selectedText, selectedThread);
+}
+
+// The reply from this page if there is one, otherwise the newest reply in the history
+function insertLastReply(target) {
+  const insert = (text) => {
+    currentInputBox = (target && isElementInDOM(target.el) ? target.el : null) || findChatInputBox() || document.activeElement;
+    insertReplyToChat(text);
+  };
+  if (generatedReplyText && !activeStream) { insert(generatedReplyText); return; }
+  chrome.runtime.sendMessage({ action: 'historyList', favoritesFirst: false, limit: 1 }, (response) => {
+    const entry = response && response.entries && response.entries[0];
+    if (!entry) { showError('No reply to insert yet'); return; }
+    currentHistoryId = null;
+    insert(entry.insertedText || entry.text);
+  });
+}
+
+// Everything the palette can run: actions, refine presets (while a reply is shown) and snippets.
+// target is the caret the palette was opened from, so inserts land where the user was typing.
+function buildPaletteItems(target) {
+  const needsText = (fn) => () => {
+    if (!selectedText) { showError('Select a message first'); return; }
+    fn();
+  };
+  const items = [
+    { icon: '💬', label: 'Generate reply', group: 'Action', run: needsText(() => handleGeneration('reply')) },
+    { icon: '✅', label: 'Generate confirmation reply', group: 'Action', run: needsText(() => handleGeneration('confirmation')) },
+    { icon: '🤗', label: 'Generate supportive reply', group: 'Action', run: needsText(() => handleGeneration('supportive')) },
+    { icon: '📝', label: 'Summarize selection', group: 'Action', run: needsText(() => handleGeneration('summarize')) },
+    { icon: '🌐', label: 'Translate selection', group: 'Action', run: needsText(() => handleGeneration('translate')) },
+    { icon: '🔍', label: 'Analyze selection', group: 'Action', run: needsText(analyzeSelection) },
+    { icon: '📅', label: 'Extract events & tasks', group: 'Action', run: needsText(extractEvents) },
+    { icon: '📥', label: 'Insert last reply', group: 'Action', run: () => insertLastReply(target) },
+    { icon: '🖼️', label: 'Ask about an image (paste a screenshot)', group: 'Action', run: () => openImagePanelFor(selectedImage) },
+    { icon: '🎙️', label: 'Transcribe voice note', group: 'Action', run: () => { const el = findVoiceNote(); runTranscription(el && (el.currentSrc || el.src), el); } },
+    { icon: '📋', label: 'Browse snippets', group: 'Action', run: () => showSnippetPanel({ target, source: selectedText ? { text: selectedText, thread: selectedThread } : null }) },
+    { icon: '🕘', label: 'Reply history', group: 'Action', run: showHistoryPanel },
+    { icon: '⚙️', label: 'Open settings', group: 'Action', run: () => chrome.runtime.sendMessage({ action: 'openOptions' }) }
+  ];
+  if (shadowRoot.querySelector('.ai-copilot-reply-preview') && generatedReplyText && !activeStream) {
+    tonePresets.forEach(p => items.push({ icon: '✨', label: `Refine: ${p.name}`, group: 'Tone', run: () => handleRefine(p.id) }));
+  }
+  snippets.forEach(sn => items.push({
+    icon: '📋',
+    label: `Snippet: ${sn.name}`,
+    group: sn.keyword ? `Snippet · ${sn.keyword}` : 'Snippet',
+    run: () => showSnippetPanel({ snippet: sn, target, source: selectedText ? { text: selectedText, thread: selectedThread } : null })
+  }));
+  return items;
+}
+
+// Subsequence match: -1 when a query character is missing, otherwise higher is better. Runs of
+// consecutive characters and matches at word starts score extra, so "gr" ranks "Generate reply" first.
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (!q) return 0;
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, from);
+    if (found < 0) return -1;
+    score += 1;
+    if (found === prev + 1) score += 2;
+    if (found === 0 || /[\s:·-]/.test(t[found - 1])) score += 3;
+    prev = found;
+    from = found + 1;
+  }
+  return score - t.length * 0.01; // shorter labels win ties
+}
+
+// Keyboard-driven palette: type to filter, ↑/↓ to move, Enter to run, Esc to close (and go back to
+// the composer). options.query pre-fills the filter.
+function showCommandPalette(options = {}) {
+  const prev = shadowRoot.querySelector('.ai-copilot-palette');
+  if (prev) prev.remove();
+
+  // remember the composer caret before the palette input takes focus (contenteditable loses it)
+  const returnTo = isEditableElement(document.activeElement) ? saveCaret(document.activeElement) : null;
+  captureSelection();
+  const items = buildPaletteItems(returnTo);
+
+  const palette = document.createElement('div');
+  palette.className = 'ai-copilot-palette';
+  palette.innerHTML = `
+    <input class="palette-input" type="text" placeholder="Type an action, tone or snippet…" />
+    <div class="palette-list"></div>
+    <div class="palette-hint">↑↓ move · Enter run · Esc close</div>
+  `;
+  shadowRoot.appendChild(palette);
+  palette.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+
+  const input = palette.querySelector('.palette-input');
+  const list = palette.querySelector('.palette-list');
+  let matches = [];
+  let active = 0;
+
+  const render = () => {
+    matches = items
+      .map((item, i) => ({ item, i, score: fuzzyScore(input.value, item.label) }))
+      .filter(m => m.score >= 0)
+      .sort((a, b) => (b.score - a.score) || (a.i - b.i));
+    active = Math.min(active, Math.max(0, matches.length - 1));
+    list.innerHTML = matches.length
+      ? matches.map((m, i) => `
+        <div class="palette-item${i === active ? ' active' : ''}" data-index="${i}">
+          <span>${m.item.icon} ${escapeHtml(m.item.label)}</span>
+          <span class="palette-group">${escapeHtml(m.item.group)}</span>
+        </div>
+      `).join('')
+      : '<div class="history-empty">No matching commands.</div>';
+    const current = list.querySelector('.palette-item.active');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+    list.querySelectorAll('.palette-item').forEach(el => {
+      el.addEventListener('click', (e) => { e.stopPropagation(); run(Number(el.dataset.index)); });
+    });
+  };
+
+  const close = (restoreFocus) => {
+    document.removeEventListener('pointerdown', outside, true);
+    palette.remove();
+    // going back to the composer would empty the selection and close an open preview
+    if (restoreFocus && returnTo && isElementInDOM(returnTo.el) && !shadowRoot.querySelector('.ai-copilot-reply-preview')) {
+      restoreCaret(returnTo);
+    }
+  };
+  const run = (index) => {
+    const match = matches[index];
+    if (!match) return;
+    close(false);
+    match.item.run();
+  };
+  const outside = (ev) => {
+    const path = ev.composedPath ? ev.composedPath() : [ev.target];
+    if (!path.includes(shadowHost)) close(false);
+  };
+  document.addEventListener('pointerdown', outside, true);
+
+  input.addEventListener('input', () => { active = 0; render(); });
+  palette.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!matches.length) return;
+      active = (active + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close(true);
+    }
+  });
+
+  input.value = options.query || '';
+  render();
+  input.focus();
+}
+
+/* ---------- Images ---------- */
+
+// the <img> a selection covers (dragging across a picture, or Ctrl+A in an image bubble)
+function findSelectedImage(selection) {
+  if (!selection || !selection.rangeCount || selection.isCollapsed) return null;
+  return Array.from(document.images).find(img => img.offsetWidth > 32 && selection.containsNode(img, true)) || null;
+}
+
+// what the page says about an image: alt text, title and figure caption
+function imageCaption(img) {
+  if (!img) return '';
+  const figure = img.closest('figure');
+  const caption = figure && figure.querySelector('figcaption');
+  return [img.alt, img.title, caption && caption.innerText].map(v => (v || '').trim()).filter(Boolean).join(' — ');
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// re-encode as JPEG no larger than IMAGE_MAX_SIDE so requests stay small (also strips metadata)
+async function downscaleImage(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, IMAGE_MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff'; // transparent screenshots would turn black in JPEG
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+// Media URL (http, blob: or data:) -> Blob. Same-origin and blob: URLs are read here; other origins
+// go through the background, which is not bound by the page's CORS. kind: 'image' | 'audio'
+async function fetchMediaBlob(source, kind) {
+  try {
+    const response = await fetch(source);
+    if (response.ok) return await response.blob();
+  } catch (e) { /* cross-origin: ask the background */ }
+  const res = await new Promise(resolve => chrome.runtime.sendMessage({ action: 'fetchMedia', url: source, kind }, resolve));
+  if (!res || res.error) throw new Error((res && res.error) || `Could not read the ${kind}`);
+  return (await fetch(res.dataUrl)).blob();
+}
+
+// Image URL or pasted Blob -> downscaled JPEG data URL
+async function loadImageDataUrl(source) {
+  const blob = source instanceof Blob ? source : await fetchMediaBlob(source, 'image');
+  if (!blob.type.startsWith('image/')) throw new Error('That is not an image');
+  return downscaleImage(blob);
+}
+
+const IMAGE_TITLES = { describe: '🖼️ Image Description', ask: '❓ About the Image', reply: '💬 Generated Reply' };
+
+// Describe / answer a question about / reply to an image; streams into the usual preview
+function runImageAction(mode, { image, question, caption, thread }) {
+  currentInputBox = findChatInputBox();
+  showReplyPreview('', { streaming: true, title: IMAGE_TITLES[mode] || IMAGE_TITLES.describe });
+  streamIntoPreview({ action: 'image', mode, image, question: question || '', text: caption || '', thread: thread || [] });
+}
+
+// open the image panel with an <img> from the page, or empty for a pasted screenshot
+function openImagePanelFor(img) {
+  const caption = imageCaption(img);
+  const thread = img ? extractThread(img) : selectedThread;
+  if (!img) { showImagePanel({ image: null, caption, thread }); return; }
+  showLoadingState();
+  loadImageDataUrl(img.currentSrc || img.src)
+    .then((dataUrl) => { hideLoadingState(); showImagePanel({ image: dataUrl, caption, thread }); })
+    .catch(() => { hideLoadingState(); showImagePanel({ image: null, caption, thread }); showError('Could not read that image — paste it instead'); });
+}
+
+// Panel with the image (or a paste / drop zone), an optional question and the three actions
+function showImagePanel(options = {}) {
+  const prev = shadowRoot.querySelector('.ai-copilot-image');
+  if (prev) prev.remove();
+  selectedImageDataUrl = options.image || null;
+
+  const panel = document.createElement('div');
+  panel.className = 'ai-copilot-image';
+  panel.innerHTML = `
+    <div class="history-header">
+      <strong>🖼️ Image</strong>
+      <button class="history-close" title="Close">✕</button>
+    </div>
+    <div class="image-drop" tabindex="0"></div>
+    <input class="history-search image-question" type="text" placeholder="Question about the image (for Ask)" />
+    <div class="image-actions">
+      <button class="snippet-fill" data-mode="describe">🖼️ Describe</button>
+      <button class="snippet-fill" data-mode="ask">❓ Ask</button>
+      <button class="snippet-fill" data-mode="reply">💬 Reply</button>
+    </div>
+  `;
+  shadowRoot.appendChild(panel);
+  panel.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+  panel.addEventListener('keydown', (ev) => ev.stopPropagation());
+
+  const drop = panel.querySelector('.image-drop');
+  const question = panel.querySelector('.image-question');
+  const render = () => {
+    drop.innerHTML = selectedImageDataUrl
+      ? `<img src="${escapeAttr(selectedImageDataUrl)}" alt="" /><div class="history-empty">Paste or drop another image to replace it</div>`
+      : '<div class="history-empty">Paste a screenshot here (Ctrl+V) or drop an image</div>';
+    panel.querySelectorAll('[data-mode]').forEach(b => { b.disabled = !selectedImageDataUrl; });
+  };
+  const take = (blob) => {
+    loadImageDataUrl(blob)
+      .then((dataUrl) => { selectedImageDataUrl = dataUrl; render(); })
+      .catch(() => showError('Could not read that image'));
+  };
+  panel.addEventListener('paste', (e) => {
+    const file = Array.from(e.clipboardData ? e.clipboardData.files : []).find(f => f.type.startsWith('image/'));
+    if (!file) return;
+    e.preventDefault();
+    take(file);
+  });
+  drop.addEventListener('dragover', (e) => e.preventDefault());
+  drop.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const file = Array.from(e.dataTransfer ? e.dataTransfer.files : []).find(f => f.type.startsWith('image/'));
+    if (file) take(file);
+  });
+
+  panel.querySelectorAll('[data-mode]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const mode = btn.dataset.mode;
+      if (mode === 'ask' && !question.value.trim()) { question.focus(); showError('Type a question first'); return; }
+      panel.remove();
+      runImageAction(mode, { image: selectedImageDataUrl, question: question.value, caption: options.caption, thread: options.thread });
+    });
+  });
+  question.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && selectedImageDataUrl) panel.querySelector('[data-mode="ask"]').click();
+  });
+  panel.querySelector('.history-close').addEventListener('click', (e) => { e.stopPropagation(); panel.remove(); });
+
+  render();
+  (selectedImageDataUrl ? question : drop).focus();
+}
+
+/* ---------- Voice notes ---------- */
+
+// 16-bit PCM WAV file from mono samples
+function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, str) => { for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i)); };
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // PCM chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const v = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+  }
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// Voice note URL -> 16 kHz mono WAV data URL. Decoding here handles whatever the site uses (Opus in
+// Ogg or WebM, AAC, MP3) and gives every provider the same, small format.
+async function loadAudioDataUrl(source) {
+  const blob = await fetchMediaBlob(source, 'audio');
+  const context = new AudioContext();
+  let decoded;
+  try {
+    decoded = await context.decodeAudioData(await blob.arrayBuffer());
+  } catch (e) {
+    throw new Error('Could not decode that audio');
+  } finally {
+    context.close();
+  }
+  if (decoded.duration > AUDIO_MAX_SECONDS) throw new Error(`Voice notes longer than ${AUDIO_MAX_SECONDS / 60} minutes are not supported`);
+  const offline = new OfflineAudioContext(1, Math.ceil(decoded.duration * AUDIO_SAMPLE_RATE), AUDIO_SAMPLE_RATE);
+  const node = offline.createBufferSource();
+  node.buffer = decoded;
+  node.connect(offline.destination);
+  node.start();
+  const rendered = await offline.startRendering();
+  return blobToDataUrl(encodeWav(rendered.getChannelData(0), AUDIO_SAMPLE_RATE));
+}
+
+// the voice note to work on: one inside the selection, else the newest player on the page
+function findVoiceNote() {
+  const players = Array.from(document.querySelectorAll('audio, video')).filter(el => el.currentSrc || el.src);
+  const selection = window.getSelection();
+  const selected = selection && selection.rangeCount ? players.find(el => selection.containsNode(el, true)) : null;
+  return selected || players[players.length - 1] || null;
+}
+
+// Transcribe a voice note into the preview; the transcript can then be analyzed or answered like a
+// selected message. el: the player, for the surrounding conversation (optional)
+function runTranscription(source, el) {
+  if (!source) { showError('No voice note found on this page'); return; }
+  const thread = el ? extractThread(el) : [];
+  currentInputBox = findChatInputBox();
+  const preview = showReplyPreview('', { streaming: true, title: '🎙️ Voice Note Transcript' });
+  preview.querySelector('.reply-preview-content').textContent = 'Decoding the voice note...';
+  loadAudioDataUrl(source).then((audio) => {
+    if (!preview.isConnected) return;
+    preview.querySelector('.reply-preview-content').textContent = 'Transcribing...';
+    streamIntoPreview({ action: 'transcribe', audio }, {
+      onDone: (response) => {
+        // from here on the transcript is "the selected message"; Regenerate transcribes again,
+        // into a new preview
+        selectedText = response.text;
+        selectedThread = thread;
+        currentContext = null;
+        showTranscriptActions(shadowRoot.querySelector('.ai-copilot-reply-preview'));
+      }
+    });
+  }).catch((err) => {
+    preview.remove();
+    showError(err.message || 'Could not read the voice note');
+  });
+}
+
+// Analyze / Reply / Summarize buttons under a finished transcript
+function showTranscriptActions(preview) {
+  if (!preview || !selectedText) return;
+  const bar = document.createElement('div');
+  bar.className = 'refine-bar transcript-actions';
+  bar.innerHTML = `
+    <span class="refine-label">Transcript:</span>
+    <button class="refine-chip" data-action="analyze">🔍 Analyze</button>
+    <button class="refine-chip" data-action="reply">💬 Generate Reply</button>
+    <button class="refine-chip" data-action="summarize">📝 Summarize</button>
+  `;
+  preview.querySelector('.refine-bar').before(bar);
+  bar.querySelectorAll('[data-action]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (btn.dataset.action === 'analyze') analyzeSelection();
+      else handleGeneration(btn.dataset.action);
+    });
+  });
+}
+
+// small "Transcribe" chip over an audio player while the pointer is on it
+function handleAudioHover(e) {
+  const player = e.target instanceof Element ? e.target.closest('audio') : null;
+  let chip = shadowRoot && shadowRoot.querySelector('.ai-copilot-transcribe-btn');
+  if (!player || !(player.currentSrc || player.src)) {
+    if (chip && !transcribeChipTimer) transcribeChipTimer = setTimeout(() => { chip.remove(); transcribeChipTimer = null; }, 1500);
+    return;
+  }
+  clearTimeout(transcribeChipTimer);
+  transcribeChipTimer = null;
+  if (!chip) {
+    chip = document.createElement('button');
+    chip.className = 'ai-copilot-transcribe-btn';
+    chip.textContent = '🎙️ Transcribe';
+    chip.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+    chip.addEventListener('pointerenter', () => { clearTimeout(transcribeChipTimer); transcribeChipTimer = null; });
+    shadowRoot.appendChild(chip);
+  }
+  chip.onclick = (ev) => {
+    ev.stopPropagation();
+    chip.remove();
+    runTranscription(player.currentSrc || player.src, player);
+  };
+  const r = player.getBoundingClientRect();
+  chip.style.left = `${Math.min(window.innerWidth - 110, Math.max(4, r.right - 104))}px`;
+  chip.style.top = `${Math.max(4, r.top - 30)}px`;
+}
+
+/* ---------- Context menu ---------- */
+
+// A right-click menu entry (see rebuildContextMenus() in background.js): { scope, command, tone,
+// selectionText, srcUrl }. Selections and images open the usual preview, drafts are rewritten in place.
+function runContextMenu(request) {
+  if (request.scope === 'draft') {
+    rewriteDraft(contextMenuTarget, request.command === 'translate' ? { type: 'translate' } : { tone: request.tone });
+    return;
+  }
+
+  if (request.scope === 'audio') {
+    const player = Array.from(document.querySelectorAll('audio, video')).find(el => el.currentSrc === request.srcUrl || el.src === request.srcUrl);
+    runTranscription(request.srcUrl, player || null);
+    return;
+  }
+
+  if (request.scope === 'image') {
+    const img = Array.from(document.images).find(i => i.currentSrc === request.srcUrl || i.src === request.srcUrl);
+    const caption = imageCaption(img);
+    const thread = img ? extractThread(img) : [];
+    showLoadingState();
+    loadImageDataUrl(request.srcUrl).then((dataUrl) => {
+      hideLoadingState();
+      selectedImageDataUrl = dataUrl;
+      if (request.command === 'ask') showImagePanel({ image: dataUrl, caption, thread });
+      else runImageAction(request.command, { image: dataUrl, caption, thread });
+    }).catch((err) => {
+      // unreadable image: a reply can still go by what the page says about it
+      if (request.command === 'reply' && caption) {
+        hideLoadingState();
+        selectedText = `[Image: ${caption}]`;
+        selectedThread = thread;
+        handleGeneration('reply');
+      } else {
+        showError(err.message || 'Could not read the image');
+      }
+    });
+    return;
+  }
+
+  // the page selection has the thread around it; the menu's copy is the fallback (e.g. iframes)
+  const pageSelection = window.getSelection();
+  if (pageSelection && pageSelection.toString().trim()) captureSelection();
+  else {
+    selectedText = String(request.selectionText || '').trim();
+    selectedThread = [];
+  }
+  if (!selectedText) { showError('Select a message first'); return; }
+
+  if (request.command === 'analyze') analyzeSelection();
+  else if (request.command === 'events') extractEvents();
+  else if (request.command === 'tone') {
+    currentInputBox = findChatInputBox();
+    showReplyPreview('', { streaming: true, title: '✨ Rewritten' });
+    streamIntoPreview({ action: 'refine', text: selectedText, tone: request.tone });
+  } else handleGeneration(request.command);
+}
+
+// Replace the draft in a message box with a rewritten (options.tone) or translated
+// (options.type 'translate') version of itself
+function rewriteDraft(el, options) {
+  const box = (el && isElementInDOM(el) ? el : null) || findChatInputBox();
+  const draft = box ? ('value' in box && typeof box.value === 'string' ? box.value : box.innerText || '').trim() : '';
+  if (!draft) { showError('Type a draft in the message box first'); return; }
+
+  const message = options.type === 'translate'
+    ? { action: 'generate', type: 'translate', text: draft, candidates: 1 }
+    : { action: 'refine', text: draft, tone: options.tone };
+  showLoadingState();
+  chrome.runtime.sendMessage(message, (response) => {
+    hideLoadingState();
+    if (!response) { showError('No response from background'); return; }
+    if (response.error) { showError(response.error); return; }
+    const adapter = getSiteAdapter();
+    insertWithStrategy(box, response.text, (adapter && adapter.insert !== 'clipboard' && adapter.insert) || 'auto');
+    box.focus();
+    showSuccess('Draft rewritten — review it before sending.');
+  });
+}
+
+/* ---------- Rewrite my draft ---------- */
+
+// Show the ✏️ control on the composer while it holds a draft (debounced; typing fires often)
+function scheduleDraftControl() {
+  clearTimeout(draftControlTimer);
+  draftControlTimer = setTimeout(updateDraftControl, 250);
+}
+
+function readDraft(box) {
+  if (!box) return '';
+  return ('value' in box && typeof box.value === 'string' ? box.value : box.innerText || '').trim();
+}
+
+function updateDraftControl() {
+  let btn = shadowRoot.querySelector('.ai-copilot-draft-btn');
+  const active = document.activeElement;
+  if (active === shadowHost) return; // focus moved into our own UI (e.g. clicking the control)
+  const box = findChatInputBox();
+  // only while the user is typing in it — not for every filled-in field on the page
+  if (!box || !readDraft(box) || (box !== active && !box.contains(active))) {
+    if (btn) btn.remove();
+    return;
+  }
+  if (!btn) {
+    btn = document.createElement('button');
+    btn.className = 'ai-copilot-draft-btn';
+    btn.title = 'Rewrite my draft';
+    btn.textContent = '✏️';
+    btn.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+    btn.addEventListener('click', (ev) => {
+      ev.stopPropagation();
+      const target = findChatInputBox();
+      if (target) showDraftPanel(target);
+    });
+    shadowRoot.appendChild(btn);
+  }
+  // top-right corner of the box, kept inside the viewport
+  const r = box.getBoundingClientRect();
+  btn.style.left = `${Math.min(window.innerWidth - 32, Math.max(4, r.right - 32))}px`;
+  btn.style.top = `${Math.max(4, r.top - 32)}px`;
+}
+
+// Panel above the composer: pick a mode or tone, watch the rewrite stream in, then review it as a
+// word diff. Accept replaces the draft through insertReplyToChat() (same strategies as replies).
+function showDraftPanel(box) {
+  const prev = shadowRoot.querySelector('.ai-copilot-draft');
+  if (prev) prev.remove();
+
+  const panel = document.createElement('div');
+  panel.className = 'ai-copilot-draft';
+  panel.innerHTML = `
+    <div class="history-header">
+      <strong>✏️ Rewrite my draft</strong>
+      <button class="history-close" title="Close">✕</button>
+    </div>
+    <div class="refine-bar">
+      <button class="refine-chip" data-mode="improve">✨ Improve</button>
+      <button class="refine-chip" data-mode="grammar">🔤 Fix grammar</button>
+      <button class="refine-chip" data-mode="shorten">✂️ Shorten</button>
+      <button class="refine-chip" data-mode="expand">➕ Expand</button>
+    </div>
+    <div class="refine-bar">
+      <span class="refine-label">Tone:</span>
+      ${tonePresets.map(p => `<button class="refine-chip" data-tone="${escapeAttr(p.id)}" title="${escapeAttr(p.instruction)}">${escapeHtml(p.name)}</button>`).join('')}
+    </div>
+    <div class="draft-diff">${escapeHtml(readDraft(box))}</div>
+    <div class="history-actions">
+      <button data-act="accept" disabled>Accept</button>
+      <button data-act="stop" style="display:none">⏹ Stop</button>
+      <button data-act="cancel">Cancel</button>
+    </div>
+  `;
+  const r = box.getBoundingClientRect();
+  panel.style.left = `${Math.min(Math.max(8, r.left), Math.max(8, window.innerWidth - 448))}px`;
+  panel.style.bottom = `${Math.max(8, window.innerHeight - r.top + 8)}px`;
+  shadowRoot.appendChild(panel);
+  panel.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+  panel.addEventListener('keydown', (ev) => ev.stopPropagation());
+
+  const diffView = panel.querySelector('.draft-diff');
+  const acceptBtn = panel.querySelector('[data-act="accept"]');
+  const stopBtn = panel.querySelector('[data-act="stop"]');
+  let stream = null;
+  let result = null; // { text, historyId } once a rewrite has finished
+
+  const close = () => {
+    if (stream) stream.stop();
+    panel.remove();
+  };
+  const setBusy = (busy) => {
+    panel.querySelectorAll('.refine-chip').forEach(c => { c.disabled = busy; });
+    stopBtn.style.display = busy ? '' : 'none';
+    acceptBtn.disabled = busy || !result;
+  };
+
+  const rewrite = (options) => {
+    // the user may have kept typing since the panel opened
+    const original = readDraft(box);
+    if (!original) { showError('The draft is empty'); return; }
+    result = null;
+    let text = '';
+    diffView.textContent = 'Rewriting…';
+    setBusy(true);
+    stream = streamRequest(Object.assign({ action: 'refine', text: original }, options), {
+      onChunk: (delta) => { text += delta; diffView.textContent = text; },
+      onDone: (response) => {
+        stream = null;
+        result = { text: response.text, historyId: response.historyId ?? null, original };
+        diffView.innerHTML = diffWords(original, response.text).map(part => (
+          part.op === 'same' ? escapeHtml(part.text) : `<${part.op}>${escapeHtml(part.text)}</${part.op}>`
+        )).join('');
+        setBusy(false);
+      },
+      onError: (response) => {
+        stream = null;
+        diffView.textContent = original;
+        setBusy(false);
+        if (response.code !== 'ABORTED') showError(response.error || 'Rewrite failed');
+      }
+    });
+  };
+
+  panel.querySelectorAll('.refine-chip').forEach(chip => {
+    chip.addEventListener('click', (e) => {
+      e.stopPropagation();
+      rewrite(chip.dataset.mode ? { mode: chip.dataset.mode } : { tone: chip.dataset.tone });
+    });
+  });
+  stopBtn.addEventListener('click', (e) => { e.stopPropagation(); if (stream) stream.stop(); });
+  panel.querySelector('.history-close').addEventListener('click', (e) => { e.stopPropagation(); close(); });
+  panel.querySelector('[data-act="cancel"]').addEventListener('click', (e) => { e.stopPropagation(); close(); });
+  acceptBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (!result) return;
+    panel.remove();
+    currentInputBox = isElementInDOM(box) ? box : findChatInputBox();
+    currentHistoryId = result.historyId;
+    insertReplyToChat(result.text);
+  });
+}
+
+// Word-level diff as [{ op: 'same' | 'del' | 'ins', text }], via the longest common subsequence of
+// word / whitespace tokens. Very long drafts fall back to "all removed, all added".
+function diffWords(before, after) {
+  const a = before.match(/\s+|\S+/g) || [];
+  const b = after.match(/\s+|\S+/g) || [];
+  if (a.length * b.length > 250000) return [{ op: 'del', text: before }, { op: 'ins', text: after }];
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  const push = (op, text) => {
+    const last = out[out.length - 1];
+    if (last && last.op === op) last.text += text;
+    else out.push({ op, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('del', a[i++]);
+    else push('ins', b[j++]);
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('ins', b[j++]);
+  return out;
+}
+
+/* ---------- Inline autocomplete (ghost text) ---------- */
+
+// Every edit hides the current suggestion and (debounced) asks for a new one. Nothing is requested
+// while an IME composition is open.
+function handleAutocompleteInput(e) {
+  if (!autocompleteEnabled) return;
+  clearGhost();
+  clearTimeout(ghostTimer);
+  if (imeComposing || e.isComposing) return;
+  const el = e.target;
+  if (!isEditableElement(el) || el.type === 'password') return;
+  ghostTimer = setTimeout(() => requestGhost(el), AUTOCOMPLETE_DEBOUNCE_MS);
+}
+
+// Tab accepts, Esc dismisses, any other key (or a click / scroll / blur) just hides the suggestion
+function handleAutocompleteKeydown(e) {
+  if (!ghost) return;
+  // e.g. a snippet keyword already took this Tab, or the key belongs to an IME
+  if (e.defaultPrevented || e.isComposing) { clearGhost(); return; }
+  const inGhostField = e.target === ghost.el || ghost.el.contains(e.target);
+  if (e.key === 'Tab' && inGhostField && !e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey) {
+    e.preventDefault();
+    e.stopPropagation();
+    const { el, text } = ghost;
+    clearGhost();
+    replaceBeforeCaret(el, 0, text);
+    return;
+  }
+  if (e.key === 'Escape' && inGhostField) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+  if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+  clearGhost();
+}
+
+function requestGhost(el) {
+  if (imeComposing || !isElementInDOM(el)) return;
+  const active = document.activeElement;
+  if (active !== el && !el.contains(active)) return;
+  // detected chat composers only, not every field on the page
+  const composer = findChatInputBox();
+  if (!composer || (composer !== el && !composer.contains(el))) return;
+  const before = textBeforeCaret(el);
+  if (!before || before.trim().length < AUTOCOMPLETE_MIN_CHARS || /\n$/.test(before) || !caretAtEnd(el)) return;
+
+  const now = Date.now();
+  while (ghostRequestTimes.length && now - ghostRequestTimes[0] > 60000) ghostRequestTimes.shift();
+  if (ghostRequestTimes.length >= AUTOCOMPLETE_MAX_PER_MINUTE) return;
+  ghostRequestTimes.push(now);
+
+  stopGhostRequest();
+  const request = { stream: null, timer: null };
+  const finish = () => {
+    if (ghostRequest !== request) return;
+    clearTimeout(request.timer);
+    ghostRequest = null;
+  };
+  ghostRequest = request;
+  request.timer = setTimeout(stopGhostRequest, AUTOCOMPLETE_TIMEOUT_MS);
+  request.stream = streamRequest({ action: 'complete', text: before.slice(-1000), thread: extractLatestThread(4) }, {
+    onChunk: () => {},
+    onDone: (response) => { finish(); showGhost(el, before, response.text); },
+    onError: finish
+  });
+}
+
+function stopGhostRequest() {
+  if (!ghostRequest) return;
+  const request = ghostRequest;
+  ghostRequest = null;
+  clearTimeout(request.timer);
+  if (request.stream) request.stream.stop();
+}
+
+function clearGhost() {
+  stopGhostRequest();
+  if (!ghost) return;
+  ghost.node.remove();
+  ghost = null;
+}
+
+function showGhost(el, before, raw) {
+  // the draft or the caret may have changed while the model was thinking
+  if (imeComposing || textBeforeCaret(el) !== before || !caretAtEnd(el)) return;
+  const text = cleanSuggestion(before, raw);
+  const caret = text ? caretRect(el) : null;
+  if (!caret) return;
+
+  const style = getComputedStyle(el);
+  const box = el.getBoundingClientRect();
+  const node = document.createElement('div');
+  node.className = 'ai-copilot-ghost';
+  node.textContent = text;
+  node.style.fontFamily = style.fontFamily;
+  node.style.fontSize = style.fontSize;
+  node.style.fontWeight = style.fontWeight;
+  node.style.letterSpacing = style.letterSpacing;
+  node.style.lineHeight = `${caret.height}px`;
+  node.style.left = `${caret.left}px`;
+  node.style.top = `${caret.top}px`;
+  // one line up to the box's right edge; the rest is cut off (Tab still inserts all of it)
+  node.style.maxWidth = `${Math.max(0, box.right - parseFloat(style.paddingRight || 0) - caret.left)}px`;
+  shadowRoot.appendChild(node);
+  ghost = { el, text, node };
+}
+
+// first line of the model output, without quotes or a repeated draft, cut at a word boundary
+function cleanSuggestion(before, raw) {
+  let text = String(raw || '').split('\n')[0].replace(/^["']|["']\s*$/g, '').replace(/\s+$/, '');
+  const draft = before.trim();
+  if (text.trim().toLowerCase().startsWith(draft.toLowerCase())) text = text.trim().slice(draft.length);
+  if (/\s$/.test(before)) text = text.replace(/^\s+/, '');
+  if (text.length > 80) text = text.slice(0, text.lastIndexOf(' ', 80) > 0 ? text.lastIndexOf(' ', 80) : 80);
+  return text.trim() ? text : '';
+}
+
+function caretAtEnd(el) {
+  if (!el.isContentEditable) return el.selectionEnd === el.value.length;
+  const sel = window.getSelection();
+  if (!sel || !sel.rangeCount) return false;
+  const range = document.createRange();
+  range.selectNodeContents(el);
+  range.setStart(sel.getRangeAt(0).endContainer, sel.getRangeAt(0).endOffset);
+  return !range.toString().trim();
+}
+
+// Viewport position of the caret as { left, top, height }. contenteditable has a real range to
+// measure; input / textarea need a hidden mirror with the same text metrics.
+function caretRect(el) {
+  if (el.isContentEditable) {
+    const sel = window.getSelection();
+    if (!sel || !sel.rangeCount) return null;
+    const range = sel.getRangeAt(0).cloneRange();
+    range.collapse(false);
+    const rect = range.getClientRects()[0] || range.getBoundingClientRect();
+    // an empty line has no rect to measure
+    return rect && rect.height ? { left: rect.right, top: rect.top, height: rect.height } : null;
+  }
+
+  const style = getComputedStyle(el);
+  const box = el.getBoundingClientRect();
+  const mirror = document.createElement('div');
+  ['boxSizing', 'width', 'height', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch',
+    'fontSize', 'lineHeight', 'fontFamily', 'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize']
+    .forEach(prop => { mirror.style[prop] = style[prop]; });
+  const isInput = el.tagName.toUpperCase() === 'INPUT';
+  Object.assign(mirror.style, {
+    position: 'fixed', left: `${box.left}px`, top: `${box.top}px`, visibility: 'hidden', overflow: 'hidden',
+    borderStyle: 'solid', whiteSpace: isInput ? 'pre' : 'pre-wrap', overflowWrap: 'break-word'
+  });
+  mirror.textContent = el.value.slice(0, el.selectionEnd);
+  const marker = document.createElement('span');
+  marker.textContent = '\u200b';
+  mirror.appendChild(marker);
+  shadowRoot.appendChild(mirror);
+  const m = marker.getBoundingClientRect();
+  mirror.remove();
+  // single-line inputs centre their text vertically
+  const top = isInput ? box.top + (box.height - m.height) / 2 : m.top - el.scrollTop;
+  return { left: m.left - el.scrollLeft, top, height: m.height };
+}
+
+/* ---------- Snippets ---------- */
+
+// Snippet panel: a searchable list, then a form for the chosen snippet's {{placeholders}}.
+// options.snippet opens the form directly, options.target is where the text goes (a caret saved
+// by keyword expansion; otherwise it replaces the composer draft like a generated reply) and
+// options.source is the message the model extracts placeholder values from.
+function showSnippetPanel(options = {}) {
+  const prev = shadowRoot.querySelector('.ai-copilot-snippets');
+  if (prev) prev.remove();
+
+  const panel = document.createElement('div');
+  panel.className = 'ai-copilot-snippets';
+  shadowRoot.appendChild(panel);
+  panel.addEventListener('pointerdown', (ev) => ev.stopPropagation(), { capture: true });
+  panel.addEventListener('keydown', (ev) => ev.stopPropagation());
+
+  if (options.snippet) renderSnippetForm(panel, options.snippet, options);
+  else renderSnippetList(panel, options);
+}
+
+function renderSnippetList(panel, options) {
+  panel.innerHTML = `
+    <div class="history-header">
+      <strong>📋 Snippets</strong>
+      <button class="history-close" title="Close">✕</button>
+    </div>
+    <input class="history-search" type="search" placeholder="Search snippets…" />
+    <div class="history-list"></div>
+    <button class="snippet-fill snippet-manage">✏️ Manage snippets</button>
+  `;
+  const search = panel.querySelector('.history-search');
+  const list = panel.querySelector('.history-list');
+  const render = () => {
+    const q = search.value.trim().toLowerCase();
+    const matches = snippets.filter(sn => !q || [sn.name, sn.keyword, sn.body].some(v => v.toLowerCase().includes(q)));
+    if (!matches.length) { list.innerHTML = '<div class="history-empty">No snippets found.</div>'; return; }
+    list.innerHTML = matches.map(sn => `
+      <div class="history-item snippet-item" data-id="${escapeAttr(sn.id)}">
+        <div><strong>${escapeHtml(sn.name)}</strong>${sn.keyword ? `<span class="snippet-keyword">${escapeHtml(sn.keyword)}</span>` : ''}</div>
+        <div class="history-text">${escapeHtml(sn.body)}</div>
+      </div>
+    `).join('');
+    list.querySelectorAll('.snippet-item').forEach(item => {
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const snippet = snippets.find(sn => sn.id === item.dataset.id);
+        if (snippet) renderSnippetForm(panel, snippet, options);
+      });
+    });
+  };
+  search.addEventListener('input', render);
+  panel.querySelector('.history-close').addEventListener('click', (e) => { e.stopPropagation(); panel.remove(); });
+  panel.querySelector('.snippet-manage').addEventListener('click', (e) => {
+    e.stopPropagation();
+    chrome.runtime.sendMessage({ action: 'openOptions' });
+  });
+  render();
+  search.focus();
+}
+
+function renderSnippetForm(panel, snippet, options) {
+  const placeholders = getSnippetPlaceholders(snippet.body);
+  const source = options.source && options.source.text ? options.source : null;
+  panel.innerHTML = `
+    <div class="history-header">
+      <strong>📋 ${escapeHtml(snippet.name)}</strong>
+      <button class="history-close" title="Close">✕</button>
+    </div>
+    <div class="history-list">
+      ${placeholders.map(p => `<label class="snippet-field">${escapeHtml(p)}<input data-placeholder="${escapeAttr(p)}" /></label>`).join('')}
+      ${placeholders.length ? `<button class="snippet-fill snippet-ai" ${source ? '' : 'disabled title="Select a message first"'}>✨ Fill from message</button>` : ''}
+      <div class="history-meta">Preview</div>
+      <div class="snippet-preview"></div>
+    </div>
+    <div class="history-actions">
+      <button data-act="insert">Insert</button>
+      <button data-act="copy">Copy</button>
+      <button data-act="back">← Back</button>
+    </div>
+  `;
+
+  const inputs = Array.from(panel.querySelectorAll('input[data-placeholder]'));
+  const values = () => Object.fromEntries(inputs.map(i => [i.dataset.placeholder, i.value]));
+  const preview = panel.querySelector('.snippet-preview');
+  const update = () => { preview.textContent = fillSnippet(snippet.body, values()); };
+  inputs.forEach(i => i.addEventListener('input', update));
+  update();
+  if (inputs.length) inputs[0].focus();
+
+  const aiButton = panel.querySelector('.snippet-ai');
+  if (aiButton && source) {
+    aiButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      aiButton.disabled = true;
+      aiButton.textContent = '✨ Filling…';
+      chrome.runtime.sendMessage({ action: 'snippetFill', text: source.text, thread: source.thread || [], placeholders }, (response) => {
+        aiButton.disabled = false;
+        aiButton.textContent = '✨ Fill from message';
+        if (!response) { showError('No response from background'); return; }
+        if (response.error) { showError(response.error); return; }
+        // never overwrite what the user already typed
+        inputs.forEach(i => { if (!i.value.trim() && response.values[i.dataset.placeholder]) i.value = response.values[i.dataset.placeholder]; });
+        update();
+      });
+    });
+  }
+
+  panel.querySelector('.history-close').addEventListener('click', (e) => { e.stopPropagation(); panel.remove(); });
+  panel.querySelectorAll('.history-actions button').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const text = fillSnippet(snippet.body, values());
+      const act = btn.dataset.act;
+      if (act === 'back') {
+        renderSnippetList(panel, options);
+      } else if (act === 'copy') {
+        navigator.clipboard.writeText(text)
+          .then(() => showSuccess('Copied to clipboard'))
+          .catch(() => showError('Could not copy to clipboard'));
+      } else if (act === 'insert') {
+        panel.remove();
+        if (options.target && isElementInDOM(options.target.el)) {
+          restoreCaret(options.target);
+          replaceBeforeCaret(options.target.el, 0, text);
+        } else {
+          currentHistoryId = null;
+          currentInputBox = findChatInputBox() || document.activeElement;
+          insertReplyToChat(text);
+        }
+      }
+    });
+  });
+}
+
+// Expand a snippet keyword typed right before the caret. Snippets without placeholders are
+// expanded in place; the others open the form with the caret remembered for the insert.
+function handleSnippetKeydown(e) {
+  if ((e.key !== 'Tab' && e.key !== ' ') || e.shiftKey || e.ctrlKey || e.altKey || e.metaKey || e.isComposing) return;
+  const el = e.target;
+  if (!isTextEntryElement(el) || !snippets.length) return;
+  const before = textBeforeCaret(el);
+  if (!before) return;
+  const snippet = snippets.find(sn => sn.keyword && before.endsWith(sn.keyword) && /(^|\s)$/.test(before.slice(0, -sn.keyword.length)));
+  if (!snippet) return;
+
+  e.preventDefault();
+  e.stopPropagation();
+  const hasPlaceholders = getSnippetPlaceholders(snippet.body).length > 0;
+  replaceBeforeCaret(el, snippet.keyword.length, hasPlaceholders ? '' : snippet.body);
+  if (!hasPlaceholders) return;
+
+  // no selection to work from here — the newest incoming message is what the snippet answers
+  const thread = extractLatestThread();
+  const last = thread.slice().reverse().find(m => m.author === 'them');
+  showSnippetPanel({ snippet, target: saveCaret(el), source: last ? { text: last.text, thread } : null });
+}
+
+// text between the start of the field and a collapsed caret; null when there is a selection
+function textBeforeCaret(el) {
+  if (!el.isContentEditable) {
+    if (typeof el.selectionStart !== 'number' || el.selectionStart !== el.selectionEnd) return null;
+    return el.value.slice(0, el.selectionStart);
+  }
+  const sel = window.getSelection();
+  if (!sel || !sel.rangeCount || !sel.isCollapsed) return null;
+  const caret = sel.getRangeAt(0);
+  if (!el.contains(caret.startContainer)) return null;
+  const range = document.createRange();
+  range.selectNodeContents(el);
+  range.setEnd(caret.startContainer, caret.startOffset);
+  return range.toString();
+}
+
+// Replace the `count` characters before the caret with text (count 0 inserts at the caret).
+// Goes through execCommand first so rich editors see a normal edit, like insertWithStrategy().
+function replaceBeforeCaret(el, count, text) {
+  el.focus();
+  const isField = !el.isContentEditable;
+  const sel = window.getSelection();
+  if (isField) {
+    const end = el.selectionEnd;
+    el.setSelectionRange(Math.max(0, end - count), end);
+  } else {
+    for (let i = 0; i < count; i++) sel.modify('extend', 'backward', 'character');
+  }
+  if (document.execCommand(text ? 'insertText' : 'delete', false, text)) return;
+
+  if (isField) {
+    el.setRangeText(text, el.selectionStart, el.selectionEnd, 'end');
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    return;
+  }
+  const range = sel.getRangeAt(0);
+  range.deleteContents();
+  if (text) {
+    const node = document.createTextNode(text);
+    range.insertNode(node);
+    range.setStartAfter(node);
+  }
+  range.collapse(true);
+  sel.removeAllRanges();
+  sel.addRange(range);
+  el.dispatchEvent(new InputEvent('input', { bubbles: true, cancelable: true, composed: true, data: text, inputType: 'insertText' }));
+}
+
+function saveCaret(el) {
+  if (!el.isContentEditable) return { el, start: el.selectionStart, end: el.selectionEnd };
+  const sel = window.getSelection();
+  return { el, range: sel && sel.rangeCount ? sel.getRangeAt(0).cloneRange() : null };
+}
+
+function restoreCaret(target) {
+  target.el.focus();
+  if (!target.el.isContentEditable) { target.el.setSelectionRange(target.start, target.end); return; }
+  if (!target.range) return;
+  const sel = window.getSelection();
+  sel.removeAllRanges();
+  sel.addRange(target.range);
+}
+
 /* ---------- Utilities ---------- */
 
 function isElementInDOM(el) {
@@ -392,6 +2437,14 @@ function isEditableElement(el) {
   if (tag === 'INPUT' || tag === 'TEXTAREA') return true;
   return el.isContentEditable;
 }
+
+// where typed text is free prose: textareas, contenteditable and plain text / search inputs — not
+// passwords, numbers, dates or the like, whose keystrokes must never be rewritten
+function isTextEntryElement(el) {
+  if (!isEditableElement(el)) return false;
+  if ((el.tagName || '').toUpperCase() !== 'INPUT') return true;
+  return ['text', 'search'].includes(el.type);
+}
 function setNativeValue(element, value) {
   const tag = (element.tagName || '').toUpperCase();
   if (tag === 'INPUT' || tag === 'TEXTAREA') {
@@ -404,20 +2457,16 @@ function setNativeValue(element, value) {
   }
 }
 
-// Find a chat input - best-effort heuristics
+// Find a chat input: the site adapter's composer first (see site-adapters.js), then generic heuristics
 function findChatInputBox() {
-  // WhatsApp
-  let el = document.querySelector('[contenteditable="true"][data-tab="10"]');
+  let el = findAdapterComposer(getSiteAdapter());
   if (el) return el;
   // common contenteditable
   el = document.querySelector('[contenteditable="true"][role="textbox"]');
   if (el) return el;
-  // facebook messenger
+  // messenger-style labelled boxes
   el = document.querySelector('[contenteditable="true"][aria-label*="message" i]');
   if (el) return el;
-  // twitter/x
-  el = document.querySelector('[contenteditable="true"][data-testid="tweetTextarea_0"]') || document.querySelector('[contenteditable="true"][data-testid="dmComposerTextInput"]');
-  if (el) return el;
   // textareas
   el = document.querySelector('textarea[placeholder*="message" i]') || document.querySelector('textarea');
   if (el && el.offsetParent !== null) return el;
@@ -464,6 +2513,7 @@ function showSuccess(msg) {
 
 // Hide all UI elements (action button, overlays, menu, preview, loader)
 function hideAllUI() {
+  stopActiveStream();
   const selectors = [
     '.ai-copilot-action-btn',
     '.ai-copilot-analysis',
@@ -482,6 +2532,9 @@ function escapeHtml(s) {
   if (!s) return '';
   return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
 }
+function escapeAttr(s) {
+  return escapeHtml(s).replace(/"/g, '&quot;');
+}
 
 // initialize
 if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,123 @@
+// history-store.js
+// Reply history + favorites in IndexedDB, loaded by background.js via importScripts. It lives in the
+// service worker so the data belongs to the extension origin, not to whichever page is open; the
+// content script reads and writes it through the history* messages.
+//
+// Entry: { id, createdAt, site, action, type, tone, provider, sourceText, text, candidates,
+//          insertedText, insertedAt, favorite }
+
+const HISTORY_DB_NAME = 'ai-copilot';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'replies';
+const HISTORY_SETTINGS_KEY = 'historySettings'; // { maxEntries, maxAgeDays } in chrome.storage.local
+const DEFAULT_HISTORY_SETTINGS = { maxEntries: 500, maxAgeDays: 30 };
+const HISTORY_MAX_TEXT = 4000;
+
+let historyDbPromise = null;
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+  historyDbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { historyDbPromise = null; reject(req.error); };
+  });
+  return historyDbPromise;
+}
+
+// wrap an IDBRequest in a Promise
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function historyStore(mode) {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+async function getHistorySettings() {
+  const stored = (await storageGet([HISTORY_SETTINGS_KEY]))[HISTORY_SETTINGS_KEY] || {};
+  return {
+    maxEntries: Math.max(10, Number(stored.maxEntries) || DEFAULT_HISTORY_SETTINGS.maxEntries),
+    maxAgeDays: Math.max(1, Number(stored.maxAgeDays) || DEFAULT_HISTORY_SETTINGS.maxAgeDays)
+  };
+}
+
+function clipText(value) {
+  const s = String(value || '');
+  return s.length > HISTORY_MAX_TEXT ? s.slice(0, HISTORY_MAX_TEXT) : s;
+}
+
+async function addHistoryEntry(entry) {
+  const record = {
+    createdAt: Date.now(),
+    site: String(entry.site || ''),
+    action: String(entry.action || 'generate'),
+    type: entry.type || null,
+    tone: entry.tone || null,
+    provider: entry.provider || null,
+    sourceText: clipText(entry.sourceText),
+    text: clipText(entry.text),
+    candidates: Array.isArray(entry.candidates) ? entry.candidates.slice(0, 5).map(clipText) : [],
+    insertedText: null,
+    insertedAt: null,
+    favorite: false
+  };
+  const id = await idbRequest((await historyStore('readwrite')).add(record));
+  await pruneHistory();
+  return id;
+}
+
+async function updateHistoryEntry(id, patch) {
+  const store = await historyStore('readwrite');
+  const current = await idbRequest(store.get(id));
+  if (!current) return null;
+  const next = Object.assign(current, patch);
+  await idbRequest(store.put(next));
+  return next;
+}
+
+// newest first (favorites on top unless favoritesFirst is false); query matches source, reply,
+// inserted text and site (case-insensitive)
+async function listHistory({ query = '', favoritesOnly = false, favoritesFirst = true, limit = 100 } = {}) {
+  const all = await idbRequest((await historyStore('readonly')).getAll());
+  const q = String(query).trim().toLowerCase();
+  return all
+    .filter(e => !favoritesOnly || e.favorite)
+    .filter(e => !q || [e.sourceText, e.text, e.insertedText, e.site].some(v => v && v.toLowerCase().includes(q)))
+    .sort((a, b) => (favoritesFirst ? b.favorite - a.favorite : 0) || (b.createdAt - a.createdAt))
+    .slice(0, limit);
+}
+
+async function deleteHistoryEntry(id) {
+  await idbRequest((await historyStore('readwrite')).delete(id));
+}
+
+async function clearHistory({ keepFavorites = true } = {}) {
+  const store = await historyStore('readwrite');
+  if (!keepFavorites) { await idbRequest(store.clear()); return; }
+  const all = await idbRequest(store.getAll());
+  await Promise.all(all.filter(e => !e.favorite).map(e => idbRequest(store.delete(e.id))));
+}
+
+// drop entries older than maxAgeDays, then the oldest beyond maxEntries; favorites are never pruned
+async function pruneHistory() {
+  const { maxEntries, maxAgeDays } = await getHistorySettings();
+  const store = await historyStore('readwrite');
+  const all = await idbRequest(store.getAll());
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const prunable = all.filter(e => !e.favorite).sort((a, b) => b.createdAt - a.createdAt);
+  const doomed = prunable.filter((e, i) => e.createdAt < cutoff || i >= maxEntries);
+  await Promise.all(doomed.map(e => idbRequest(store.delete(e.id))));
+  return doomed.length;
+}
@@ -0,0 +1,272 @@
+// key-vault.js
+// Encrypted storage for provider secrets (Gemini API key, proxy token, local endpoint key), loaded
+// by background.js via importScripts. Secrets are encrypted with AES-GCM (WebCrypto).
+// Without a passphrase the AES key is a random one stored next to the vault: keys are no longer
+// plain text in the profile, but anyone who can read the profile can also decrypt them. With a
+// passphrase the AES key is derived from it (PBKDF2-SHA-256) and never written to disk; unlocking
+// keeps it in chrome.storage.session (memory only, out of reach of content scripts) until the
+// unlock time runs out or "Lock now".
+//
+// Vault (chrome.storage.local `keyVault`): { mode: 'device' | 'passphrase', deviceKey (device mode),
+//   salt, iterations (passphrase mode), check: { iv, data }, lockAfterMinutes,
+//   secrets: { provider: { iv, data } } } — keys, salts and ciphertexts are base64
+// Session (chrome.storage.session `keyVaultSession`): { key, expiresAt }
+
+const KEY_VAULT_KEY = 'keyVault';
+const KEY_VAULT_SESSION_KEY = 'keyVaultSession';
+const KEY_VAULT_PROVIDERS = ['gemini', 'proxy', 'local'];
+const KEY_VAULT_ITERATIONS = 600000;
+const KEY_VAULT_CHECK = 'ai-chat-copilot-key-vault'; // encrypted with the key to recognise a wrong passphrase
+const DEFAULT_LOCK_AFTER_MINUTES = 60;
+const MAX_LOCK_AFTER_MINUTES = 24 * 60;
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_VAULT_LOCKED_MESSAGE = 'API keys are locked. Unlock them with your passphrase in the extension popup.';
+const LEGACY_API_KEY_STORAGE = 'geminiApiKey'; // the plain-text key of earlier versions
+
+let keyVaultQueue = Promise.resolve(); // serializes vault read-modify-write (keys saved together)
+
+function vaultError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toBase64(bytes) {
+  let s = '';
+  new Uint8Array(bytes).forEach(b => { s += String.fromCharCode(b); });
+  return btoa(s);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+// run fn after every vault operation before it; the public functions below all go through here
+function withVault(fn) {
+  const run = keyVaultQueue.then(fn);
+  keyVaultQueue = run.catch(() => {});
+  return run;
+}
+
+function clampLockAfter(minutes) {
+  const n = Math.round(Number(minutes));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LOCK_AFTER_MINUTES;
+  return Math.min(MAX_LOCK_AFTER_MINUTES, n);
+}
+
+function readVault() {
+  return new Promise(resolve => chrome.storage.local.get([KEY_VAULT_KEY], (res) => resolve((res && res[KEY_VAULT_KEY]) || null)));
+}
+
+function writeVault(vault) {
+  return new Promise(resolve => chrome.storage.local.set({ [KEY_VAULT_KEY]: vault }, resolve));
+}
+
+function readVaultSession() {
+  return new Promise(resolve => {
+    if (!chrome.storage.session) { resolve(null); return; }
+    chrome.storage.session.get([KEY_VAULT_SESSION_KEY], (res) => resolve((res && res[KEY_VAULT_SESSION_KEY]) || null));
+  });
+}
+
+function writeVaultSession(session) {
+  return new Promise(resolve => {
+    if (!chrome.storage.session) { resolve(); return; }
+    if (session) chrome.storage.session.set({ [KEY_VAULT_SESSION_KEY]: session }, resolve);
+    else chrome.storage.session.remove([KEY_VAULT_SESSION_KEY], resolve);
+  });
+}
+
+function importAesKey(raw) {
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+// 256 raw key bits from the passphrase; kept raw so an unlocked session can hold them
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256);
+  return new Uint8Array(bits);
+}
+
+async function encryptSecret(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptSecret(key, box) {
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(box.iv) }, key, fromBase64(box.data));
+  return new TextDecoder().decode(plain);
+}
+
+// the raw AES key of the vault, or null while a passphrase vault is locked
+async function vaultRawKey(vault) {
+  if (vault.mode === 'device') return fromBase64(vault.deviceKey);
+  const session = await readVaultSession();
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    await writeVaultSession(null);
+    return null;
+  }
+  return fromBase64(session.key);
+}
+
+// a passphrase that does not decrypt the check value is the wrong one
+async function checkPassphrase(vault, passphrase) {
+  const raw = await derivePassphraseKey(passphrase, fromBase64(vault.salt), vault.iterations);
+  try {
+    await decryptSecret(await importAesKey(raw), vault.check);
+  } catch (e) {
+    throw vaultError('WRONG_PASSPHRASE', 'Wrong passphrase.');
+  }
+  return raw;
+}
+
+async function createVault() {
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  const vault = {
+    mode: 'device',
+    deviceKey: toBase64(raw),
+    check: await encryptSecret(await importAesKey(raw), KEY_VAULT_CHECK),
+    lockAfterMinutes: DEFAULT_LOCK_AFTER_MINUTES,
+    secrets: {}
+  };
+  await writeVault(vault);
+  return vault;
+}
+
+// The vault, created (without a passphrase) on first use. A plain-text key from an earlier version
+// is moved into it as soon as the vault can be written. Only called inside withVault().
+async function loadVault() {
+  const vault = (await readVault()) || (await createVault());
+  const legacy = await new Promise(resolve => chrome.storage.local.get([LEGACY_API_KEY_STORAGE], (res) => resolve(res && res[LEGACY_API_KEY_STORAGE])));
+  if (legacy !== undefined) {
+    const raw = await vaultRawKey(vault);
+    if (raw) {
+      if (String(legacy).trim() && !vault.secrets.gemini) {
+        vault.secrets.gemini = await encryptSecret(await importAesKey(raw), String(legacy).trim());
+        await writeVault(vault);
+      }
+      await new Promise(resolve => chrome.storage.local.remove([LEGACY_API_KEY_STORAGE], resolve));
+    }
+  }
+  return vault;
+}
+
+// { mode, locked, expiresAt, lockAfterMinutes, stored: { provider: bool } } — for the popup and options page
+function getKeyVaultStatus() {
+  return withVault(async () => vaultStatus(await loadVault()));
+}
+
+async function vaultStatus(vault) {
+  const session = vault.mode === 'passphrase' ? await readVaultSession() : null;
+  const locked = !(await vaultRawKey(vault));
+  const stored = {};
+  KEY_VAULT_PROVIDERS.forEach(id => { stored[id] = !!vault.secrets[id]; });
+  return {
+    mode: vault.mode,
+    locked,
+    expiresAt: !locked && session ? session.expiresAt : null,
+    lockAfterMinutes: vault.lockAfterMinutes,
+    stored
+  };
+}
+
+// { secrets: { provider: string }, locked: [provider] } — locked lists the providers that have a
+// key stored which cannot be read until the vault is unlocked
+function getProviderSecrets() {
+  return withVault(async () => {
+    const vault = await loadVault();
+    const stored = KEY_VAULT_PROVIDERS.filter(id => vault.secrets[id]);
+    const raw = await vaultRawKey(vault);
+    if (!raw) return { secrets: {}, locked: stored };
+    const key = await importAesKey(raw);
+    const secrets = {};
+    for (const id of stored) secrets[id] = await decryptSecret(key, vault.secrets[id]);
+    return { secrets, locked: [] };
+  });
+}
+
+// store (or, for an empty value, remove) the key of one provider; needs an unlocked vault
+async function setProviderSecret(provider, secret) {
+  if (!KEY_VAULT_PROVIDERS.includes(provider)) throw vaultError('INVALID', `Unknown provider "${provider}".`);
+  return withVault(async () => {
+    const vault = await loadVault();
+    const raw = await vaultRawKey(vault);
+    if (!raw) throw vaultError('LOCKED', KEY_VAULT_LOCKED_MESSAGE);
+    const value = String(secret || '').trim();
+    if (value) vault.secrets[provider] = await encryptSecret(await importAesKey(raw), value);
+    else delete vault.secrets[provider];
+    await writeVault(vault);
+    return vaultStatus(vault);
+  });
+}
+
+// unlock a passphrase vault for `minutes` (default: the vault's lock-after time)
+function unlockKeyVault(passphrase, minutes) {
+  return withVault(async () => {
+    const vault = await loadVault();
+    if (vault.mode !== 'passphrase') return vaultStatus(vault);
+    const raw = await checkPassphrase(vault, String(passphrase || ''));
+    const expiresAt = Date.now() + clampLockAfter(minutes || vault.lockAfterMinutes) * 60000;
+    await writeVaultSession({ key: toBase64(raw), expiresAt });
+    return vaultStatus(await loadVault()); // a legacy key can be migrated now
+  });
+}
+
+function lockKeyVault() {
+  return withVault(async () => {
+    await writeVaultSession(null);
+    return vaultStatus(await loadVault());
+  });
+}
+
+// Set, change or (newPassphrase empty) remove the passphrase. Every stored key is re-encrypted
+// under the new AES key. A locked vault needs the current passphrase; setting a passphrase leaves
+// the vault unlocked for its lock-after time.
+function setKeyVaultPassphrase(newPassphrase, options = {}) {
+  return withVault(() => changeVaultPassphrase(newPassphrase, options));
+}
+
+async function changeVaultPassphrase(newPassphrase, options) {
+  const vault = await loadVault();
+  let raw = await vaultRawKey(vault);
+  if (!raw && options.currentPassphrase) raw = await checkPassphrase(vault, options.currentPassphrase);
+  if (!raw) throw vaultError('LOCKED', 'Enter the current passphrase to change it.');
+  const next = newPassphrase ? String(newPassphrase) : '';
+  if (next && next.length < MIN_PASSPHRASE_LENGTH) {
+    throw vaultError('INVALID', `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+
+  const oldKey = await importAesKey(raw);
+  const plain = {};
+  for (const id of Object.keys(vault.secrets)) plain[id] = await decryptSecret(oldKey, vault.secrets[id]);
+
+  const lockAfterMinutes = clampLockAfter(options.lockAfterMinutes || vault.lockAfterMinutes);
+  let nextRaw;
+  const updated = { lockAfterMinutes, secrets: {} };
+  if (next) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    nextRaw = await derivePassphraseKey(next, salt, KEY_VAULT_ITERATIONS);
+    Object.assign(updated, { mode: 'passphrase', salt: toBase64(salt), iterations: KEY_VAULT_ITERATIONS });
+  } else {
+    nextRaw = crypto.getRandomValues(new Uint8Array(32));
+    Object.assign(updated, { mode: 'device', deviceKey: toBase64(nextRaw) });
+  }
+  const nextKey = await importAesKey(nextRaw);
+  updated.check = await encryptSecret(nextKey, KEY_VAULT_CHECK);
+  for (const id of Object.keys(plain)) updated.secrets[id] = await encryptSecret(nextKey, plain[id]);
+  await writeVault(updated);
+  await writeVaultSession(next ? { key: toBase64(nextRaw), expiresAt: Date.now() + lockAfterMinutes * 60000 } : null);
+  return vaultStatus(updated);
+}
+
+// how long an unlock lasts from now on; the current session keeps its expiry
+function setKeyVaultLockAfter(minutes) {
+  return withVault(async () => {
+    const vault = await loadVault();
+    vault.lockAfterMinutes = clampLockAfter(minutes);
+    await writeVault(vault);
+    return vaultStatus(vault);
+  });
+}
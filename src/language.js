@@ -0,0 +1,68 @@
+// language.js
+// Reply-language settings and language-code helpers. Loaded by background.js via importScripts
+// and by the options page. Detection and translation themselves are tasks in background.js (the
+// on-device LanguageDetector / Translator APIs are reached through ai-bridge.js).
+//
+// Settings (chrome.storage.local `languageSettings`):
+//   replyLanguage  'auto' (the sender's language) | 'ui' (the browser language) | ISO 639-1 code
+//   showGloss      show a translation of foreign-language replies into GLOSS_LANGUAGE
+//   sites          { hostname: replyLanguage } per-site overrides
+
+const LANGUAGE_SETTINGS_KEY = 'languageSettings';
+const DEFAULT_LANGUAGE_SETTINGS = { replyLanguage: 'auto', showGloss: true, sites: {} };
+const GLOSS_LANGUAGE = 'en';
+// offered in the options page; any other ISO code works too
+const COMMON_LANGUAGES = ['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'tr', 'ru', 'uk', 'ar', 'hi', 'ja', 'ko', 'zh'];
+
+function loadLanguageSettings() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([LANGUAGE_SETTINGS_KEY], (res) => {
+      const stored = (res && res[LANGUAGE_SETTINGS_KEY]) || {};
+      resolve({
+        replyLanguage: stored.replyLanguage || DEFAULT_LANGUAGE_SETTINGS.replyLanguage,
+        showGloss: stored.showGloss !== false,
+        sites: Object.assign({}, stored.sites)
+      });
+    });
+  });
+}
+
+function saveLanguageSettings(settings) {
+  return new Promise(resolve => chrome.storage.local.set({ [LANGUAGE_SETTINGS_KEY]: settings }, resolve));
+}
+
+// "pt-BR" -> "pt"; null for anything that does not look like a language code
+function baseLanguage(code) {
+  const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(base) && base !== 'und' ? base : null;
+}
+
+function uiLanguage() {
+  return baseLanguage(chrome.i18n.getUILanguage()) || 'en';
+}
+
+// readable language name for prompts and the UI ("de" -> "German"); the browser language by default
+function languageName(code) {
+  const lang = String(code || uiLanguage());
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(lang) || lang;
+  } catch (e) {
+    return lang;
+  }
+}
+
+// language code from a detection answer: {"language": "de"} JSON or a bare code
+function parseLanguageCode(raw) {
+  const text = String(raw || '');
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (jsonMatch) {
+    try { return baseLanguage(JSON.parse(jsonMatch[0]).language); }
+    catch (e) { /* fall through to the bare code */ }
+  }
+  return baseLanguage(text.replace(/["'.\s]/g, ''));
+}
+
+// the configured reply language for a site: 'auto', 'ui' or a code
+function siteReplyLanguage(settings, hostname) {
+  return (hostname && settings.sites[hostname]) || settings.replyLanguage;
+}
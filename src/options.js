@@ -0,0 +1,686 @@
+// options.js
+// Advanced settings page. Site adapters, snippets, reply languages, usage limits, redaction, site policies (chrome.storage.local), tone presets
+// (chrome.storage.sync) and history retention are read by the content scripts and the background straight from storage,
+// so saving here is enough — only clearing the history goes through the background, which owns
+// the IndexedDB store, and the key vault, whose crypto runs in the background.
+
+const ADAPTERS_JSON = document.getElementById('adaptersJson');
+const SAVE_ADAPTERS_BTN = document.getElementById('saveAdapters');
+const RESET_ADAPTERS_BTN = document.getElementById('resetAdapters');
+const ADAPTERS_STATUS = document.getElementById('adaptersStatus');
+const BUILTIN_ADAPTERS_PRE = document.getElementById('builtinAdapters');
+const PRESET_LIST = document.getElementById('presetList');
+const PRESET_ID = document.getElementById('presetId');
+const PRESET_NAME = document.getElementById('presetName');
+const PRESET_INSTRUCTION = document.getElementById('presetInstruction');
+const PRESET_EXAMPLES = document.getElementById('presetExamples');
+const PRESET_TEMPERATURE = document.getElementById('presetTemperature');
+const SAVE_PRESET_BTN = document.getElementById('savePreset');
+const NEW_PRESET_BTN = document.getElementById('newPreset');
+const PRESETS_STATUS = document.getElementById('presetsStatus');
+
+const SHORTCUT_LIST = document.getElementById('shortcutList');
+const EDIT_SHORTCUTS_BTN = document.getElementById('editShortcuts');
+const SNIPPET_LIST = document.getElementById('snippetList');
+const SNIPPET_ID = document.getElementById('snippetId');
+const SNIPPET_NAME = document.getElementById('snippetName');
+const SNIPPET_KEYWORD = document.getElementById('snippetKeyword');
+const SNIPPET_BODY = document.getElementById('snippetBody');
+const SAVE_SNIPPET_BTN = document.getElementById('saveSnippet');
+const NEW_SNIPPET_BTN = document.getElementById('newSnippet');
+const EXPORT_SNIPPETS_BTN = document.getElementById('exportSnippets');
+const IMPORT_SNIPPETS_BTN = document.getElementById('importSnippets');
+const IMPORT_SNIPPETS_FILE = document.getElementById('importSnippetsFile');
+const SNIPPETS_STATUS = document.getElementById('snippetsStatus');
+
+const HISTORY_MAX_ENTRIES_INPUT = document.getElementById('historyMaxEntries');
+const HISTORY_MAX_AGE_INPUT = document.getElementById('historyMaxAgeDays');
+const SAVE_HISTORY_BTN = document.getElementById('saveHistorySettings');
+const CLEAR_HISTORY_BTN = document.getElementById('clearHistory');
+const HISTORY_STATUS = document.getElementById('historyStatus');
+const HISTORY_SETTINGS_KEY = 'historySettings'; // keep in sync with history-store.js
+
+const REPLY_LANGUAGE_SELECT = document.getElementById('replyLanguage');
+const SHOW_GLOSS_INPUT = document.getElementById('showGloss');
+const SAVE_LANGUAGE_BTN = document.getElementById('saveLanguageSettings');
+const SITE_LANGUAGE_LIST = document.getElementById('siteLanguageList');
+const SITE_LANGUAGE_HOST = document.getElementById('siteLanguageHost');
+const SITE_LANGUAGE_CODE = document.getElementById('siteLanguageCode');
+const ADD_SITE_LANGUAGE_BTN = document.getElementById('addSiteLanguage');
+const LANGUAGE_STATUS = document.getElementById('languageStatus');
+
+const LIMIT_DAILY_INPUT = document.getElementById('limitDailyTokens');
+const LIMIT_MONTHLY_INPUT = document.getElementById('limitMonthlyTokens');
+const PROVIDER_LIMIT_LIST = document.getElementById('providerLimitList');
+const SAVE_LIMITS_BTN = document.getElementById('saveLimits');
+const CLEAR_LEDGER_BTN = document.getElementById('clearUsageLedger');
+const LIMITS_STATUS = document.getElementById('limitsStatus');
+
+const REDACTION_ENABLED_INPUT = document.getElementById('redactionEnabled');
+const REDACTION_TYPES_DIV = document.getElementById('redactionTypes');
+const REDACTION_NAMES_INPUT = document.getElementById('redactionNames');
+const SAVE_REDACTION_BTN = document.getElementById('saveRedaction');
+const REDACTION_STATUS = document.getElementById('redactionStatus');
+
+const SITE_DEFAULT_MODE_SELECT = document.getElementById('siteDefaultMode');
+const SITE_POLICY_LIST = document.getElementById('sitePolicyList');
+const SITE_POLICY_ORIGIN = document.getElementById('sitePolicyOrigin');
+const SITE_POLICY_MODE = document.getElementById('sitePolicyMode');
+const SITE_POLICY_NO_CLOUD = document.getElementById('sitePolicyNoCloud');
+const ADD_SITE_POLICY_BTN = document.getElementById('addSitePolicy');
+const SITE_POLICY_STATUS = document.getElementById('sitePolicyStatus');
+const SITE_MODE_LABELS = { allow: 'On', ask: 'Ask first', deny: 'Off' };
+
+const KEY_VAULT_STATE = document.getElementById('keyVaultState');
+const KEY_VAULT_CURRENT_ROW = document.getElementById('keyVaultCurrentRow');
+const KEY_VAULT_CURRENT_INPUT = document.getElementById('keyVaultCurrent');
+const KEY_VAULT_NEW_INPUT = document.getElementById('keyVaultNew');
+const KEY_VAULT_CONFIRM_INPUT = document.getElementById('keyVaultConfirm');
+const KEY_VAULT_LOCK_AFTER_INPUT = document.getElementById('keyVaultLockAfter');
+const SET_PASSPHRASE_BTN = document.getElementById('setKeyVaultPassphrase');
+const SAVE_LOCK_AFTER_BTN = document.getElementById('saveKeyVaultLockAfter');
+const REMOVE_PASSPHRASE_BTN = document.getElementById('removeKeyVaultPassphrase');
+const KEY_VAULT_STATUS = document.getElementById('keyVaultStatus');
+
+let customPresets = []; // the user's own presets as stored (built-in overrides included)
+let snippetLibrary = [];
+let languageSettings = Object.assign({}, DEFAULT_LANGUAGE_SETTINGS, { sites: {} });
+
+function showStatus(el, message, isError = false) {
+  el.style.display = 'block';
+  el.className = isError ? 'status error' : 'status';
+  el.textContent = message;
+}
+
+function loadAdapters() {
+  BUILTIN_ADAPTERS_PRE.textContent = JSON.stringify(BUILTIN_SITE_ADAPTERS, null, 2);
+  chrome.storage.local.get([CUSTOM_SITE_ADAPTERS_KEY], (res) => {
+    const custom = res[CUSTOM_SITE_ADAPTERS_KEY];
+    ADAPTERS_JSON.value = custom && Object.keys(custom).length ? JSON.stringify(custom, null, 2) : '';
+  });
+}
+
+SAVE_ADAPTERS_BTN.addEventListener('click', () => {
+  const raw = ADAPTERS_JSON.value.trim();
+  let map = {};
+  if (raw) {
+    try { map = JSON.parse(raw); }
+    catch (e) { showStatus(ADAPTERS_STATUS, `Invalid JSON: ${e.message}`, true); return; }
+  }
+  const errors = validateSiteAdapters(map);
+  if (errors.length) { showStatus(ADAPTERS_STATUS, errors.join('\n'), true); return; }
+  chrome.storage.local.set({ [CUSTOM_SITE_ADAPTERS_KEY]: map }, () => {
+    showStatus(ADAPTERS_STATUS, `Saved ${Object.keys(map).length} custom adapter(s).`);
+  });
+});
+
+RESET_ADAPTERS_BTN.addEventListener('click', () => {
+  chrome.storage.local.remove(CUSTOM_SITE_ADAPTERS_KEY, () => {
+    ADAPTERS_JSON.value = '';
+    showStatus(ADAPTERS_STATUS, 'Custom adapters removed; built-in adapters are active.');
+  });
+});
+
+/* ---------- Keyboard shortcuts ---------- */
+
+function loadShortcuts() {
+  chrome.commands.getAll((commands) => {
+    SHORTCUT_LIST.innerHTML = '';
+    commands.filter(c => c.description).forEach(command => {
+      const li = document.createElement('li');
+      const info = document.createElement('div');
+      info.className = 'grow';
+      info.textContent = command.description;
+      const key = document.createElement('span');
+      key.className = command.shortcut ? 'tag' : 'muted';
+      key.textContent = command.shortcut || 'not set';
+      li.append(info, key);
+      SHORTCUT_LIST.appendChild(li);
+    });
+  });
+}
+
+// extension pages may open chrome:// URLs, content scripts and links cannot
+EDIT_SHORTCUTS_BTN.addEventListener('click', () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' }));
+
+/* ---------- Tone presets ---------- */
+
+async function loadPresets() {
+  customPresets = await loadCustomTonePresets();
+  renderPresets();
+}
+
+function renderPresets() {
+  PRESET_LIST.innerHTML = '';
+  mergeTonePresets(customPresets).forEach(preset => {
+    const isBuiltin = BUILTIN_TONE_PRESETS.some(b => b.id === preset.id);
+    const isCustom = customPresets.some(p => p.id === preset.id);
+    const li = document.createElement('li');
+    const info = document.createElement('div');
+    info.className = 'grow';
+    const title = document.createElement('strong');
+    title.textContent = preset.name;
+    info.appendChild(title);
+    if (isBuiltin) {
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = isCustom ? 'built-in, edited' : 'built-in';
+      info.appendChild(tag);
+    }
+    const desc = document.createElement('div');
+    desc.className = 'muted';
+    desc.textContent = `${preset.instruction} (temperature ${preset.temperature})`;
+    info.appendChild(desc);
+
+    const edit = document.createElement('button');
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => fillPresetForm(preset));
+    li.append(info, edit);
+
+    if (isCustom) {
+      const remove = document.createElement('button');
+      remove.className = 'secondary';
+      remove.textContent = isBuiltin ? 'Reset' : 'Delete';
+      remove.addEventListener('click', async () => {
+        customPresets = await saveCustomTonePresets(customPresets.filter(p => p.id !== preset.id));
+        renderPresets();
+        showStatus(PRESETS_STATUS, isBuiltin ? `"${preset.name}" reset to default.` : `"${preset.name}" deleted.`);
+      });
+      li.appendChild(remove);
+    }
+    PRESET_LIST.appendChild(li);
+  });
+}
+
+function fillPresetForm(preset) {
+  PRESET_ID.value = preset ? preset.id : '';
+  PRESET_NAME.value = preset ? preset.name : '';
+  PRESET_INSTRUCTION.value = preset ? preset.instruction : '';
+  PRESET_EXAMPLES.value = preset ? preset.examples.join('\n') : '';
+  PRESET_TEMPERATURE.value = preset ? preset.temperature : DEFAULT_TONE_TEMPERATURE;
+  PRESET_NAME.focus();
+}
+
+SAVE_PRESET_BTN.addEventListener('click', async () => {
+  const preset = normalizeTonePreset({
+    id: PRESET_ID.value,
+    name: PRESET_NAME.value,
+    instruction: PRESET_INSTRUCTION.value,
+    examples: PRESET_EXAMPLES.value.split('\n'),
+    temperature: PRESET_TEMPERATURE.value
+  });
+  if (!preset) { showStatus(PRESETS_STATUS, 'A preset needs a name and an instruction.', true); return; }
+  const others = customPresets.filter(p => p.id !== preset.id);
+  try {
+    customPresets = await saveCustomTonePresets(others.concat(preset));
+  } catch (e) {
+    showStatus(PRESETS_STATUS, `Could not save preset: ${e.message}`, true);
+    return;
+  }
+  renderPresets();
+  fillPresetForm(null);
+  showStatus(PRESETS_STATUS, `Saved "${preset.name}".`);
+});
+
+NEW_PRESET_BTN.addEventListener('click', () => fillPresetForm(null));
+
+/* ---------- Snippets ---------- */
+
+async function loadSnippetLibrary() {
+  snippetLibrary = await loadSnippets();
+  renderSnippets();
+}
+
+function renderSnippets() {
+  SNIPPET_LIST.innerHTML = '';
+  if (!snippetLibrary.length) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = 'No snippets yet.';
+    SNIPPET_LIST.appendChild(empty);
+  }
+  snippetLibrary.forEach(snippet => {
+    const li = document.createElement('li');
+    const info = document.createElement('div');
+    info.className = 'grow';
+    const title = document.createElement('strong');
+    title.textContent = snippet.name;
+    info.appendChild(title);
+    if (snippet.keyword) {
+      const tag = document.createElement('span');
+      tag.className = 'tag';
+      tag.textContent = snippet.keyword;
+      info.appendChild(tag);
+    }
+    const desc = document.createElement('div');
+    desc.className = 'muted';
+    desc.textContent = snippet.body;
+    info.appendChild(desc);
+
+    const edit = document.createElement('button');
+    edit.textContent = 'Edit';
+    edit.addEventListener('click', () => fillSnippetForm(snippet));
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', async () => {
+      snippetLibrary = await saveSnippets(snippetLibrary.filter(s => s.id !== snippet.id));
+      renderSnippets();
+      showStatus(SNIPPETS_STATUS, `"${snippet.name}" deleted.`);
+    });
+    li.append(info, edit, remove);
+    SNIPPET_LIST.appendChild(li);
+  });
+}
+
+function fillSnippetForm(snippet) {
+  SNIPPET_ID.value = snippet ? snippet.id : '';
+  SNIPPET_NAME.value = snippet ? snippet.name : '';
+  SNIPPET_KEYWORD.value = snippet ? snippet.keyword : '';
+  SNIPPET_BODY.value = snippet ? snippet.body : '';
+  SNIPPET_NAME.focus();
+}
+
+// save a new library after checking for clashing keywords
+async function storeSnippetLibrary(next, message) {
+  const errors = validateSnippets(next);
+  if (errors.length) { showStatus(SNIPPETS_STATUS, errors.join('\n'), true); return false; }
+  try {
+    snippetLibrary = await saveSnippets(next);
+  } catch (e) {
+    showStatus(SNIPPETS_STATUS, `Could not save snippets: ${e.message}`, true);
+    return false;
+  }
+  renderSnippets();
+  showStatus(SNIPPETS_STATUS, message);
+  return true;
+}
+
+SAVE_SNIPPET_BTN.addEventListener('click', async () => {
+  const snippet = normalizeSnippet({
+    id: SNIPPET_ID.value,
+    name: SNIPPET_NAME.value,
+    keyword: SNIPPET_KEYWORD.value,
+    body: SNIPPET_BODY.value
+  });
+  if (!snippet) { showStatus(SNIPPETS_STATUS, 'A snippet needs a name and some text.', true); return; }
+  // keep the snippet's position when editing
+  const index = snippetLibrary.findIndex(s => s.id === snippet.id);
+  const next = index >= 0 ? snippetLibrary.map(s => (s.id === snippet.id ? snippet : s)) : snippetLibrary.concat(snippet);
+  const placeholders = getSnippetPlaceholders(snippet.body);
+  const detail = placeholders.length ? ` Placeholders: ${placeholders.join(', ')}.` : '';
+  if (await storeSnippetLibrary(next, `Saved "${snippet.name}".${detail}`)) fillSnippetForm(null);
+});
+
+NEW_SNIPPET_BTN.addEventListener('click', () => fillSnippetForm(null));
+
+EXPORT_SNIPPETS_BTN.addEventListener('click', () => {
+  const blob = new Blob([exportSnippets(snippetLibrary)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ai-copilot-snippets-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+});
+
+IMPORT_SNIPPETS_BTN.addEventListener('click', () => IMPORT_SNIPPETS_FILE.click());
+
+IMPORT_SNIPPETS_FILE.addEventListener('change', async () => {
+  const file = IMPORT_SNIPPETS_FILE.files[0];
+  IMPORT_SNIPPETS_FILE.value = '';
+  if (!file) return;
+  let result;
+  try {
+    result = importSnippets(await file.text(), snippetLibrary);
+  } catch (e) {
+    showStatus(SNIPPETS_STATUS, `Could not import ${file.name}: ${e.message}`, true);
+    return;
+  }
+  const skipped = result.skipped ? `, ${result.skipped} skipped (missing name or text)` : '';
+  await storeSnippetLibrary(result.snippets, `Imported ${result.added} new and ${result.updated} updated snippet(s)${skipped}.`);
+});
+
+/* ---------- Reply language ---------- */
+
+function replyLanguageLabel(value) {
+  if (value === 'auto') return "The sender's language";
+  if (value === 'ui') return `My browser language (${languageName(uiLanguage())})`;
+  return languageName(value);
+}
+
+function fillLanguageSelect(select) {
+  select.innerHTML = '';
+  ['auto', 'ui'].concat(COMMON_LANGUAGES).forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = replyLanguageLabel(value);
+    select.appendChild(option);
+  });
+}
+
+function renderSiteLanguages() {
+  SITE_LANGUAGE_LIST.innerHTML = '';
+  const hosts = Object.keys(languageSettings.sites).sort();
+  if (!hosts.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No per-site languages — every site uses the setting above.';
+    SITE_LANGUAGE_LIST.appendChild(li);
+    return;
+  }
+  hosts.forEach(host => {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'grow';
+    label.textContent = `${host} → ${replyLanguageLabel(languageSettings.sites[host])}`;
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      delete languageSettings.sites[host];
+      await saveLanguageSettings(languageSettings);
+      renderSiteLanguages();
+      showStatus(LANGUAGE_STATUS, `Removed ${host}.`);
+    });
+    li.append(label, remove);
+    SITE_LANGUAGE_LIST.appendChild(li);
+  });
+}
+
+async function loadLanguageCard() {
+  fillLanguageSelect(REPLY_LANGUAGE_SELECT);
+  fillLanguageSelect(SITE_LANGUAGE_CODE);
+  languageSettings = await loadLanguageSettings();
+  // a code saved from elsewhere that is not in the list still shows up
+  if (![...REPLY_LANGUAGE_SELECT.options].some(o => o.value === languageSettings.replyLanguage)) {
+    REPLY_LANGUAGE_SELECT.add(new Option(replyLanguageLabel(languageSettings.replyLanguage), languageSettings.replyLanguage));
+  }
+  REPLY_LANGUAGE_SELECT.value = languageSettings.replyLanguage;
+  SHOW_GLOSS_INPUT.checked = languageSettings.showGloss;
+  renderSiteLanguages();
+}
+
+SAVE_LANGUAGE_BTN.addEventListener('click', async () => {
+  languageSettings.replyLanguage = REPLY_LANGUAGE_SELECT.value;
+  languageSettings.showGloss = SHOW_GLOSS_INPUT.checked;
+  await saveLanguageSettings(languageSettings);
+  showStatus(LANGUAGE_STATUS, `Replying in: ${replyLanguageLabel(languageSettings.replyLanguage)}.`);
+});
+
+ADD_SITE_LANGUAGE_BTN.addEventListener('click', async () => {
+  // accept a pasted URL as well as a bare hostname
+  const raw = SITE_LANGUAGE_HOST.value.trim();
+  let host = raw.toLowerCase();
+  try { if (/^[a-z]+:\/\//i.test(raw)) host = new URL(raw).hostname; } catch (e) { host = ''; }
+  if (!/^[a-z0-9.-]+$/.test(host)) {
+    showStatus(LANGUAGE_STATUS, 'Enter a hostname like web.whatsapp.com.', true);
+    return;
+  }
+  languageSettings.sites[host] = SITE_LANGUAGE_CODE.value;
+  await saveLanguageSettings(languageSettings);
+  SITE_LANGUAGE_HOST.value = '';
+  renderSiteLanguages();
+  showStatus(LANGUAGE_STATUS, `${host} now replies in: ${replyLanguageLabel(SITE_LANGUAGE_CODE.value)}.`);
+});
+
+/* ---------- Reply history ---------- */
+
+function loadHistorySettings() {
+  chrome.storage.local.get([HISTORY_SETTINGS_KEY], (res) => {
+    const settings = res[HISTORY_SETTINGS_KEY] || {};
+    HISTORY_MAX_ENTRIES_INPUT.value = settings.maxEntries || 500;
+    HISTORY_MAX_AGE_INPUT.value = settings.maxAgeDays || 30;
+  });
+}
+
+SAVE_HISTORY_BTN.addEventListener('click', () => {
+  const maxEntries = Math.max(10, Math.round(Number(HISTORY_MAX_ENTRIES_INPUT.value)) || 500);
+  const maxAgeDays = Math.max(1, Math.round(Number(HISTORY_MAX_AGE_INPUT.value)) || 30);
+  chrome.storage.local.set({ [HISTORY_SETTINGS_KEY]: { maxEntries, maxAgeDays } }, () => {
+    showStatus(HISTORY_STATUS, `Keeping up to ${maxEntries} replies for ${maxAgeDays} days. Applied on the next saved reply.`);
+  });
+});
+
+CLEAR_HISTORY_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'historyClear', keepFavorites: true }, (res) => {
+    if (res && res.success) showStatus(HISTORY_STATUS, 'History cleared (favorites kept).');
+    else showStatus(HISTORY_STATUS, 'Could not clear history.', true);
+  });
+});
+
+/* ---------- API key encryption (key-vault.js, through the background) ---------- */
+
+function renderKeyVault(vault) {
+  const passphrase = vault.mode === 'passphrase';
+  const stored = Object.keys(vault.stored).filter(id => vault.stored[id]).length;
+  const state = !passphrase ? 'No passphrase' : vault.locked ? 'Passphrase set, locked' : 'Passphrase set, unlocked';
+  KEY_VAULT_STATE.textContent = `${state} · ${stored} ${stored === 1 ? 'key' : 'keys'} stored.`;
+  // the current passphrase is only needed to change a locked vault
+  KEY_VAULT_CURRENT_ROW.style.display = passphrase && vault.locked ? '' : 'none';
+  SET_PASSPHRASE_BTN.textContent = passphrase ? 'Change Passphrase' : 'Set Passphrase';
+  REMOVE_PASSPHRASE_BTN.style.display = passphrase ? '' : 'none';
+  KEY_VAULT_LOCK_AFTER_INPUT.value = vault.lockAfterMinutes;
+}
+
+function loadKeyVaultCard() {
+  chrome.runtime.sendMessage({ action: 'getKeyVaultStatus' }, (res) => {
+    if (res && res.success) renderKeyVault(res.vault);
+    else KEY_VAULT_STATE.textContent = 'Could not read the key vault.';
+  });
+}
+
+function updateKeyVault(message, done) {
+  chrome.runtime.sendMessage(message, (res) => {
+    if (!res || !res.success) { showStatus(KEY_VAULT_STATUS, (res && res.error) || 'Could not update the key vault.', true); return; }
+    [KEY_VAULT_CURRENT_INPUT, KEY_VAULT_NEW_INPUT, KEY_VAULT_CONFIRM_INPUT].forEach(input => { input.value = ''; });
+    renderKeyVault(res.vault);
+    showStatus(KEY_VAULT_STATUS, done(res.vault));
+  });
+}
+
+SET_PASSPHRASE_BTN.addEventListener('click', () => {
+  if (KEY_VAULT_NEW_INPUT.value !== KEY_VAULT_CONFIRM_INPUT.value) {
+    showStatus(KEY_VAULT_STATUS, 'The two new passphrases differ.', true);
+    return;
+  }
+  if (!KEY_VAULT_NEW_INPUT.value) {
+    showStatus(KEY_VAULT_STATUS, 'Enter a new passphrase.', true);
+    return;
+  }
+  updateKeyVault({
+    action: 'setKeyVaultPassphrase',
+    passphrase: KEY_VAULT_NEW_INPUT.value,
+    currentPassphrase: KEY_VAULT_CURRENT_INPUT.value,
+    lockAfterMinutes: KEY_VAULT_LOCK_AFTER_INPUT.value
+  }, (vault) => `Passphrase set. Keys stay unlocked for ${vault.lockAfterMinutes} minutes at a time.`);
+});
+
+SAVE_LOCK_AFTER_BTN.addEventListener('click', () => {
+  updateKeyVault({ action: 'setKeyVaultLockAfter', minutes: KEY_VAULT_LOCK_AFTER_INPUT.value },
+    (vault) => `An unlock now lasts ${vault.lockAfterMinutes} minutes (from the next unlock).`);
+});
+
+REMOVE_PASSPHRASE_BTN.addEventListener('click', () => {
+  updateKeyVault({ action: 'setKeyVaultPassphrase', passphrase: '', currentPassphrase: KEY_VAULT_CURRENT_INPUT.value },
+    () => 'Passphrase removed. Keys are still encrypted, with a key stored on this device.');
+});
+
+/* ---------- Site policies (site-policy.js) ---------- */
+
+function sitePolicyLabel(policy) {
+  return `${SITE_MODE_LABELS[policy.mode]}${policy.noCloud && policy.mode !== 'deny' ? ', on-device only' : ''}`;
+}
+
+// one row per site with its own policy; edits are saved right away
+async function loadSitePolicyCard() {
+  const policies = await loadSitePolicies();
+  SITE_DEFAULT_MODE_SELECT.value = policies.defaultMode;
+  SITE_POLICY_LIST.innerHTML = '';
+  const origins = Object.keys(policies.sites).sort();
+  if (!origins.length) {
+    const li = document.createElement('li');
+    li.textContent = 'No per-site policies — every site follows the setting above.';
+    SITE_POLICY_LIST.appendChild(li);
+    return;
+  }
+  origins.forEach(origin => {
+    const policy = policies.sites[origin];
+    const li = document.createElement('li');
+    const name = document.createElement('span');
+    name.className = 'grow';
+    name.textContent = origin;
+    const mode = document.createElement('select');
+    Object.keys(SITE_MODE_LABELS).forEach(m => mode.add(new Option(SITE_MODE_LABELS[m], m)));
+    mode.value = policy.mode;
+    const noCloudLabel = document.createElement('label');
+    const noCloud = document.createElement('input');
+    noCloud.type = 'checkbox';
+    noCloud.checked = policy.noCloud;
+    noCloudLabel.append(noCloud, ' On-device only');
+    const save = async () => {
+      const next = { mode: mode.value, noCloud: noCloud.checked };
+      await setSitePolicy(origin, next);
+      showStatus(SITE_POLICY_STATUS, `${origin}: ${sitePolicyLabel(next)}.`);
+      loadSitePolicyCard();
+    };
+    mode.addEventListener('change', save);
+    noCloud.addEventListener('change', save);
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      await setSitePolicy(origin, null);
+      showStatus(SITE_POLICY_STATUS, `${origin} follows the default again.`);
+      loadSitePolicyCard();
+    });
+    li.append(name, mode, noCloudLabel, remove);
+    SITE_POLICY_LIST.appendChild(li);
+  });
+}
+
+SITE_DEFAULT_MODE_SELECT.addEventListener('change', async () => {
+  const policies = await loadSitePolicies();
+  policies.defaultMode = SITE_DEFAULT_MODE_SELECT.value;
+  await saveSitePolicies(policies);
+  showStatus(SITE_POLICY_STATUS, `Sites without their own policy: ${SITE_MODE_LABELS[policies.defaultMode]}.`);
+  loadSitePolicyCard();
+});
+
+ADD_SITE_POLICY_BTN.addEventListener('click', async () => {
+  // accept a pasted page URL or a bare hostname (https assumed)
+  const raw = SITE_POLICY_ORIGIN.value.trim();
+  const origin = siteOrigin(/^[a-z]+:\/\//i.test(raw) ? raw : `https://${raw}`);
+  if (!raw || !origin) {
+    showStatus(SITE_POLICY_STATUS, 'Enter a site like https://online.mybank.example.', true);
+    return;
+  }
+  const policy = { mode: SITE_POLICY_MODE.value, noCloud: SITE_POLICY_NO_CLOUD.checked };
+  await setSitePolicy(origin, policy);
+  SITE_POLICY_ORIGIN.value = '';
+  showStatus(SITE_POLICY_STATUS, `${origin}: ${sitePolicyLabel(policy)}.`);
+  loadSitePolicyCard();
+});
+
+/* ---------- Redaction (redaction.js) ---------- */
+
+async function loadRedactionCard() {
+  const settings = await loadRedactionSettings();
+  REDACTION_ENABLED_INPUT.checked = settings.enabled;
+  REDACTION_TYPES_DIV.innerHTML = '';
+  Object.keys(REDACTION_TYPES).forEach(type => {
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.type = type;
+    box.checked = settings.types[type];
+    const name = REDACTION_TYPES[type].label;
+    label.append(box, ` ${name[0].toUpperCase()}${name.slice(1)}s${type === 'name' ? ' (from the list below)' : ''}`);
+    REDACTION_TYPES_DIV.appendChild(label);
+  });
+  REDACTION_NAMES_INPUT.value = settings.names.join('\n');
+}
+
+SAVE_REDACTION_BTN.addEventListener('click', async () => {
+  const types = {};
+  REDACTION_TYPES_DIV.querySelectorAll('input[data-type]').forEach(box => { types[box.dataset.type] = box.checked; });
+  const saved = await saveRedactionSettings({
+    enabled: REDACTION_ENABLED_INPUT.checked,
+    types,
+    names: REDACTION_NAMES_INPUT.value.split('\n')
+  });
+  REDACTION_NAMES_INPUT.value = saved.names.join('\n');
+  const kinds = Object.keys(saved.types).filter(t => saved.types[t]).map(t => `${REDACTION_TYPES[t].label}s`);
+  showStatus(REDACTION_STATUS, saved.enabled
+    ? `Redacting ${kinds.join(', ') || 'nothing'}${saved.names.length ? ` (${saved.names.length} names on the list)` : ''}.`
+    : 'Redaction is off: text goes to cloud providers as it is.');
+});
+
+/* ---------- Usage limits (usage-ledger.js) ---------- */
+
+// one row per provider known to the background: daily and monthly token limits
+async function loadLimitsCard() {
+  const limits = await loadUsageLimits();
+  LIMIT_DAILY_INPUT.value = limits.dailyTokens;
+  LIMIT_MONTHLY_INPUT.value = limits.monthlyTokens;
+  chrome.runtime.sendMessage({ action: 'getConfig' }, (res) => {
+    PROVIDER_LIMIT_LIST.innerHTML = '';
+    ((res && res.providers) || []).forEach(p => {
+      const own = limits.providers[p.id] || {};
+      const li = document.createElement('li');
+      li.dataset.provider = p.id;
+      const name = document.createElement('span');
+      name.className = 'grow';
+      name.textContent = `${p.label}${p.cloud ? ' (cloud)' : ''}`;
+      const daily = document.createElement('input');
+      daily.type = 'number';
+      daily.min = '0';
+      daily.step = '1000';
+      daily.title = 'Tokens per day (0 = no limit)';
+      daily.dataset.field = 'dailyTokens';
+      daily.value = own.dailyTokens || 0;
+      const monthly = daily.cloneNode();
+      monthly.step = '10000';
+      monthly.title = 'Tokens per month (0 = no limit)';
+      monthly.dataset.field = 'monthlyTokens';
+      monthly.value = own.monthlyTokens || 0;
+      li.append(name, daily, monthly);
+      PROVIDER_LIMIT_LIST.appendChild(li);
+    });
+  });
+}
+
+SAVE_LIMITS_BTN.addEventListener('click', async () => {
+  const providers = {};
+  PROVIDER_LIMIT_LIST.querySelectorAll('li').forEach(li => {
+    providers[li.dataset.provider] = {
+      dailyTokens: li.querySelector('[data-field="dailyTokens"]').value,
+      monthlyTokens: li.querySelector('[data-field="monthlyTokens"]').value
+    };
+  });
+  const saved = await saveUsageLimits({ dailyTokens: LIMIT_DAILY_INPUT.value, monthlyTokens: LIMIT_MONTHLY_INPUT.value, providers });
+  const count = [saved.dailyTokens, saved.monthlyTokens].filter(Boolean).length +
+    Object.values(saved.providers).reduce((n, p) => n + [p.dailyTokens, p.monthlyTokens].filter(Boolean).length, 0);
+  showStatus(LIMITS_STATUS, count ? `${count} ${count === 1 ? 'limit' : 'limits'} saved. They apply to the next call.` : 'No limits set.');
+  loadLimitsCard();
+});
+
+CLEAR_LEDGER_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'clearUsageLedger' }, (res) => {
+    if (res && res.success) showStatus(LIMITS_STATUS, 'Token ledger cleared.');
+    else showStatus(LIMITS_STATUS, 'Could not clear the token ledger.', true);
+  });
+});
+
+// On load
+document.addEventListener('DOMContentLoaded', () => {
+  loadShortcuts();
+  loadAdapters();
+  loadPresets();
+  loadSnippetLibrary();
+  loadLanguageCard();
+  loadHistorySettings();
+  loadKeyVaultCard();
+  loadSitePolicyCard();
+  loadRedactionCard();
+  loadLimitsCard();
+});
@@ -0,0 +1,142 @@
+// page-bridge.js
+// Client for ai-bridge.js, the script in the page context that reaches the on-device Prompt API.
+// Loaded as a content script before content.js.
+//
+// Protocol: injectPageBridge() adds ai-bridge.js with a random per-load nonce in its data-nonce
+// attribute. The bridge reads and removes the attribute as it starts, then accepts exactly one
+// handshake: a window message from this page's origin, { source: 'ai-bridge-connect', nonce },
+// carrying one end of a MessageChannel. Everything after that goes over the channel, and window
+// messages that other scripts post afterwards are ignored.
+//
+// This does not make the bridge private. It runs in the page's JavaScript world, and every message
+// listener of the page receives the handshake event with the channel end in ev.ports. A page
+// script can therefore read every request and post answers of its own into our end. So the page is
+// treated as untrusted: requests carry only the page's own text and the extension's fixed
+// instructions, never the style profile or the user's own tone presets (background.js
+// bridgeRefinePreset), and answers are handled like any other text from the page.
+//
+// Channel messages:
+//   client -> bridge  { action, requestId, ...payload } | { action: 'abort', target: requestId }
+//   bridge -> client  { type: 'ready' } | { requestId, chunk } (streamed delta)
+//                     | { requestId, success: true, text, texts? } | { requestId, success: false, error, code }
+
+const PAGE_BRIDGE_CONNECT = 'ai-bridge-connect';
+const PAGE_BRIDGE_READY_TIMEOUT_MS = 1500;
+const PAGE_BRIDGE_CALL_TIMEOUT_MS = 60000; // without an answer or a streamed chunk
+
+let pageBridgePort = null; // our end of the channel once the bridge is connected
+let pageBridgeReady = null; // Promise<boolean>: the bridge answered the handshake (false on timeout)
+const pageBridgePending = new Map(); // requestId -> { resolve, onChunk, touch, timer }
+
+// 128 random bits as hex; crypto.randomUUID() is missing on plain-http pages
+function randomToken() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Inject the bridge and connect to it, once per page load; resolves with whether it is reachable
+function injectPageBridge() {
+  if (pageBridgeReady) return pageBridgeReady;
+  const nonce = randomToken();
+  const channel = new MessageChannel();
+  pageBridgeReady = new Promise(resolve => {
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      resolve(false);
+    }, PAGE_BRIDGE_READY_TIMEOUT_MS);
+    channel.port1.onmessage = (ev) => {
+      const msg = ev.data;
+      if (!pageBridgePort) {
+        if (!msg || msg.type !== 'ready') return;
+        clearTimeout(timer);
+        pageBridgePort = channel.port1;
+        resolve(true);
+        return;
+      }
+      handlePageBridgeMessage(msg);
+    };
+  });
+
+  try {
+    const script = document.createElement('script');
+    script.src = chrome.runtime.getURL('ai-bridge.js');
+    script.dataset.nonce = nonce;
+    script.onload = () => {
+      script.remove();
+      // pages with an opaque origin (sandboxed frames) can only be addressed with '*'
+      const target = location.origin && location.origin !== 'null' ? location.origin : '*';
+      window.postMessage({ source: PAGE_BRIDGE_CONNECT, nonce }, target, [channel.port2]);
+    };
+    (document.head || document.documentElement).appendChild(script);
+  } catch (err) {
+    console.warn('ai-bridge injection failed', err);
+  }
+  return pageBridgeReady;
+}
+
+function handlePageBridgeMessage(msg) {
+  if (!msg || typeof msg.requestId !== 'string') return;
+  const pending = pageBridgePending.get(msg.requestId);
+  if (!pending) return;
+  // streamed delta: keep the request pending and push the inactivity timeout back
+  if (typeof msg.chunk === 'string') {
+    if (pending.onChunk) pending.onChunk(msg.chunk);
+    pending.touch();
+    return;
+  }
+  pending.resolve(msg.success ? msg : { error: msg.error || 'On-device AI failed', code: msg.code });
+}
+
+// Send one request to the page bridge; always resolves with { success, ... } or { error, code }.
+// options.onChunk receives streamed deltas; options.signal aborts the request in the page too. A
+// request that stays silent for PAGE_BRIDGE_CALL_TIMEOUT_MS is aborted in the page and fails with TIMEOUT.
+async function callPageBridge(action, payload, options = {}) {
+  const ready = await injectPageBridge();
+  if (!ready) return { error: 'On-device AI bridge not available on this page', code: 'NOT_AVAILABLE' };
+
+  const requestId = randomToken();
+  return new Promise(resolve => {
+    const done = (result) => {
+      if (!pageBridgePending.delete(requestId)) return;
+      clearTimeout(entry.timer);
+      resolve(result);
+    };
+    const abort = (result) => {
+      if (!pageBridgePending.has(requestId)) return;
+      pageBridgePort.postMessage({ action: 'abort', target: requestId });
+      done(result);
+    };
+    const entry = {
+      timer: null,
+      onChunk: options.onChunk,
+      touch: () => {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => abort({ error: 'On-device AI timed out', code: 'TIMEOUT' }), PAGE_BRIDGE_CALL_TIMEOUT_MS);
+      },
+      resolve: done
+    };
+    entry.touch();
+    pageBridgePending.set(requestId, entry);
+    if (options.signal) {
+      if (options.signal.aborted) { abort({ error: 'Generation stopped', code: 'ABORTED' }); return; }
+      options.signal.addEventListener('abort', () => abort({ error: 'Generation stopped', code: 'ABORTED' }));
+    }
+    pageBridgePort.postMessage(Object.assign({}, payload, { action, requestId }));
+  });
+}
+
+// the bridge's tasks as promises; payloads are the fields ai-bridge.js reads for each action.
+// content.js runs the built-in provider's tasks (background.js bridgeAction) only through these.
+const pageBridge = {
+  analyze: (payload, options) => callPageBridge('analyze', payload, options),
+  generate: (payload, options) => callPageBridge('generate', payload, options),
+  refine: (payload, options) => callPageBridge('refine', payload, options),
+  summarize: (payload, options) => callPageBridge('summarize', payload, options),
+  complete: (payload, options) => callPageBridge('complete', payload, options),
+  extract: (payload, options) => callPageBridge('extract', payload, options),
+  json: (payload, options) => callPageBridge('json', payload, options),
+  image: (payload, options) => callPageBridge('image', payload, options),
+  transcribe: (payload, options) => callPageBridge('transcribe', payload, options),
+  detectLanguage: (payload, options) => callPageBridge('detectLanguage', payload, options),
+  translate: (payload, options) => callPageBridge('translate', payload, options),
+  modelStatus: (payload, options) => callPageBridge('modelStatus', payload, options)
+};
@@ -1,15 +1,55 @@
 // popup.js
 const API_KEY_INPUT = document.getElementById('apiKey');
 const PROXY_INPUT = document.getElementById('proxyUrl');
+const PROXY_TOKEN_INPUT = document.getElementById('proxyToken');
+const LOCAL_API_KEY_INPUT = document.getElementById('localApiKey');
+const VAULT_INFO = document.getElementById('vaultInfo');
+const VAULT_UNLOCK_ROW = document.getElementById('vaultUnlock');
+const VAULT_PASSPHRASE_INPUT = document.getElementById('vaultPassphrase');
+const UNLOCK_BTN = document.getElementById('unlockBtn');
+const LOCK_BTN = document.getElementById('lockBtn');
 const STATUS_DIV = document.getElementById('status');
 const SAVE_BTN = document.getElementById('saveBtn');
 const USAGE_BLOCK = document.getElementById('usageBlock');
 const USAGE_FILL = document.getElementById('usageFill');
 const USAGE_TEXT = document.getElementById('usageText');
 const WARN_SOFT = document.getElementById('warnSoft');
+const USAGE_CHART = document.getElementById('usageChart');
+const TOKEN_TEXT = document.getElementById('tokenText');
+const EXPORT_USAGE_BTN = document.getElementById('exportUsageBtn');
 const RESET_USAGE_BTN = document.getElementById('resetUsageBtn');
+const LOCAL_ENDPOINT_INPUT = document.getElementById('localEndpointUrl');
+const LOCAL_MODEL_INPUT = document.getElementById('localModel');
+const PROVIDER_LIST = document.getElementById('providerList');
+const CANDIDATE_COUNT_INPUT = document.getElementById('candidateCount');
+const OPEN_OPTIONS_BTN = document.getElementById('openOptionsBtn');
+const STYLE_ENABLED_INPUT = document.getElementById('styleEnabled');
+const STYLE_SUMMARY_INPUT = document.getElementById('styleSummary');
+const STYLE_INFO = document.getElementById('styleInfo');
+const SAVE_STYLE_BTN = document.getElementById('saveStyleBtn');
+const RESET_STYLE_BTN = document.getElementById('resetStyleBtn');
+const AUTOCOMPLETE_ENABLED_INPUT = document.getElementById('autocompleteEnabled');
+const AUTOCOMPLETE_CLOUD_INPUT = document.getElementById('autocompleteCloud');
+const AUTOCOMPLETE_STORAGE = 'autocomplete'; // keep in sync with background.js / content.js
+const CACHE_INFO = document.getElementById('cacheInfo');
+const CLEAR_CACHE_BTN = document.getElementById('clearCacheBtn');
+const SITE_ORIGIN = document.getElementById('siteOrigin');
+const SITE_CONTROLS = document.getElementById('siteControls');
+const SITE_MODE_SELECT = document.getElementById('siteMode');
+const SITE_NO_CLOUD_INPUT = document.getElementById('siteNoCloud');
+const SITE_INFO = document.getElementById('siteInfo');
+const MODEL_INFO = document.getElementById('modelInfo');
+const MODEL_BAR = document.getElementById('modelBar');
+const MODEL_FILL = document.getElementById('modelFill');
+const MODEL_DOWNLOAD_BTN = document.getElementById('modelDownloadBtn');
+const MODEL_SESSIONS = document.getElementById('modelSessions');
+const MODEL_POLL_MS = 2000; // availability check while a download runs without this popup's monitor
 
-const SOFT_LIMIT = 200; // keep in sync with background SOFT_DAILY_LIMIT
+let loadedStyleSummary = ''; // to tell a hand edit from an untouched summary
+let storedKeys = {}; // provider -> a key is in the vault (key-vault.js)
+let currentSite = ''; // origin of the active tab ('' on pages the content script does not run on)
+let modelDownloading = false; // this popup started the download and receives its progress
+let modelPollTimer = null;
 
 function maskKey(key) {
   if (!key) return '';
@@ -17,6 +57,93 @@ function maskKey(key) {
   return key.substring(0, 8) + '...' + key.substring(key.length-4);
 }
 
+// key fields per vault provider; a stored key shows as a mask, never as the key itself
+const KEY_FIELDS = { gemini: API_KEY_INPUT, proxy: PROXY_TOKEN_INPUT, local: LOCAL_API_KEY_INPUT };
+
+function renderVault(vault) {
+  storedKeys = vault.stored;
+  Object.keys(KEY_FIELDS).forEach(id => {
+    KEY_FIELDS[id].value = vault.stored[id] ? maskKey('************') : '';
+    KEY_FIELDS[id].disabled = vault.locked;
+  });
+  const passphrase = vault.mode === 'passphrase';
+  VAULT_UNLOCK_ROW.style.display = vault.locked ? '' : 'none';
+  LOCK_BTN.style.display = passphrase && !vault.locked ? '' : 'none';
+  if (!passphrase) {
+    VAULT_INFO.textContent = 'Keys are encrypted on this device. Set a passphrase in Advanced Settings to lock them.';
+  } else if (vault.locked) {
+    VAULT_INFO.textContent = '🔒 Keys are locked — cloud providers are skipped until you unlock them.';
+  } else {
+    VAULT_INFO.textContent = `🔓 Keys unlocked until ${new Date(vault.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+  }
+}
+
+function unlockVault() {
+  chrome.runtime.sendMessage({ action: 'unlockKeyVault', passphrase: VAULT_PASSPHRASE_INPUT.value }, (res) => {
+    if (!res || !res.success) { VAULT_INFO.textContent = (res && res.error) || 'Could not unlock the keys'; return; }
+    VAULT_PASSPHRASE_INPUT.value = '';
+    renderVault(res.vault);
+  });
+}
+
+UNLOCK_BTN.addEventListener('click', unlockVault);
+VAULT_PASSPHRASE_INPUT.addEventListener('keydown', (e) => { if (e.key === 'Enter') unlockVault(); });
+LOCK_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'lockKeyVault' }, (res) => { if (res && res.success) renderVault(res.vault); });
+});
+
+// Save the key fields that were changed: a field still showing the mask is left alone, an emptied
+// one removes its key. Resolves with the messages of the failed saves.
+async function saveKeyFields() {
+  const changed = Object.keys(KEY_FIELDS).filter(id => {
+    const value = KEY_FIELDS[id].value.trim();
+    if (value.includes('...') || value === '************') return false;
+    return value || storedKeys[id];
+  });
+  const results = await Promise.all(changed.map(id => new Promise(resolve => {
+    chrome.runtime.sendMessage({ action: 'saveApiKey', provider: id, apiKey: KEY_FIELDS[id].value.trim() }, resolve);
+  })));
+  return results.filter(res => !res || !res.success).map(res => (res && res.error) || 'Failed to save a key');
+}
+
+// provider rows as shown in the popup: [{ id, label, cloud, enabled }] in priority order
+let providerRows = [];
+
+function renderProviders() {
+  PROVIDER_LIST.innerHTML = '';
+  providerRows.forEach((p, i) => {
+    const li = document.createElement('li');
+    if (!p.enabled) li.className = 'disabled';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = p.enabled;
+    box.addEventListener('change', () => { p.enabled = box.checked; renderProviders(); });
+    const name = document.createElement('span');
+    name.className = 'name';
+    name.textContent = `${p.label}${p.cloud ? ' (cloud)' : ' (on this device)'}`;
+    const up = document.createElement('button');
+    up.className = 'mini';
+    up.textContent = '↑';
+    up.disabled = i === 0;
+    up.addEventListener('click', () => moveProvider(i, -1));
+    const down = document.createElement('button');
+    down.className = 'mini';
+    down.textContent = '↓';
+    down.disabled = i === providerRows.length - 1;
+    down.addEventListener('click', () => moveProvider(i, 1));
+    li.append(box, name, up, down);
+    PROVIDER_LIST.appendChild(li);
+  });
+}
+
+function moveProvider(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= providerRows.length) return;
+  const [row] = providerRows.splice(index, 1);
+  providerRows.splice(target, 0, row);
+  renderProviders();
+}
+
 async function refresh() {
   STATUS_DIV.textContent = 'Checking saved config...';
   chrome.runtime.sendMessage({ action: 'getConfig' }, (res) => {
@@ -24,49 +151,99 @@ async function refresh() {
       STATUS_DIV.textContent = 'Could not read config';
       return;
     }
-    API_KEY_INPUT.value = res.apiKeySet ? maskKey('************') : '';
+    renderVault(res.vault);
     PROXY_INPUT.value = res.proxyUrl || '';
-    STATUS_DIV.textContent = res.apiKeySet ? 'API key is set' : 'API key not set';
-    // usage display
-    const usage = res.usage || { date: null, count: 0 };
+    LOCAL_ENDPOINT_INPUT.value = res.localEndpointUrl || '';
+    LOCAL_MODEL_INPUT.value = res.localModel || '';
+    CANDIDATE_COUNT_INPUT.value = res.candidateCount || 1;
+    // enabled providers first (in saved order), then the disabled ones
+    const order = res.providerOrder || [];
+    const providers = res.providers || [];
+    providerRows = order
+      .map(id => providers.find(p => p.id === id))
+      .filter(Boolean)
+      .map(p => Object.assign({ enabled: true }, p))
+      .concat(providers.filter(p => !order.includes(p.id)).map(p => Object.assign({ enabled: false }, p)));
+    renderProviders();
+    STATUS_DIV.textContent = res.apiKeySet ? `API key is set${res.vault.locked ? ' (locked)' : ''}` : 'API key not set';
+  });
+  refreshTokens();
+}
+
+function formatTokens(n) {
+  return n >= 10000 ? `${Math.round(n / 1000)}k` : n.toLocaleString();
+}
+
+// 30-day token chart and today / month totals against the hard limits (usage-ledger.js). The bar
+// shows the cloud tokens against the daily limit, or the monthly one when there is no daily limit.
+function refreshTokens() {
+  chrome.runtime.sendMessage({ action: 'getUsageSummary', days: 30 }, (res) => {
+    if (!res || !res.success) { TOKEN_TEXT.textContent = 'Could not read token usage'; return; }
     USAGE_BLOCK.style.display = 'block';
-    const pct = Math.min(100, Math.round((usage.count / (res.softLimit || SOFT_LIMIT)) * 100));
-    USAGE_FILL.style.width = pct + '%';
-    USAGE_TEXT.textContent = `${usage.count || 0} / ${res.softLimit || SOFT_LIMIT} requests today (${usage.date || ''})`;
-    if ((usage.count || 0) >= Math.round((res.softLimit || SOFT_LIMIT) * 0.85)) {
+    const max = Math.max(1, ...res.days.map(d => d.inputTokens + d.outputTokens));
+    USAGE_CHART.innerHTML = '';
+    res.days.forEach(d => {
+      const bar = document.createElement('i');
+      const total = d.inputTokens + d.outputTokens;
+      if (!total) bar.className = 'empty';
+      bar.style.height = `${Math.round((total / max) * 100)}%`;
+      bar.title = `${d.date}: ${total.toLocaleString()} tokens (${d.inputTokens.toLocaleString()} in, ${d.outputTokens.toLocaleString()} out), ${d.calls} calls`;
+      USAGE_CHART.appendChild(bar);
+    });
+    const tokens = t => t.inputTokens + t.outputTokens;
+    const cloudTokens = t => res.cloudProviders.reduce((n, id) => n + (t.byProvider[id] || 0), 0);
+    // the overall limits only count cloud calls
+    const limit = (t, n) => (n ? ` (cloud ${formatTokens(cloudTokens(t))} / ${formatTokens(n)})` : '');
+    const estimated = res.month.estimated ? ' · some counts are estimates' : '';
+    const [used, cap, period] = res.limits.dailyTokens
+      ? [cloudTokens(res.today), res.limits.dailyTokens, 'daily']
+      : [cloudTokens(res.month), res.limits.monthlyTokens, 'monthly'];
+    USAGE_FILL.style.width = cap ? `${Math.min(100, Math.round((used / cap) * 100))}%` : '0%';
+    USAGE_TEXT.textContent = cap
+      ? `${used.toLocaleString()} / ${cap.toLocaleString()} cloud tokens (${period} limit)`
+      : 'No token limit set (Usage Limits in the settings page)';
+    if (cap && used >= Math.round(cap * 0.85)) {
       WARN_SOFT.style.display = 'block';
-      WARN_SOFT.textContent = `Warning: usage approaching soft daily limit (${res.softLimit || SOFT_LIMIT}). You may exhaust free/quota credits.`;
+      WARN_SOFT.textContent = `Warning: cloud usage is at ${Math.round((used / cap) * 100)}% of the ${period} token limit. Cloud providers stop answering once it is reached.`;
     } else {
       WARN_SOFT.style.display = 'none';
     }
+    TOKEN_TEXT.textContent = `Today ${formatTokens(tokens(res.today))}${limit(res.today, res.limits.dailyTokens)} tokens · this month ${formatTokens(tokens(res.month))}${limit(res.month, res.limits.monthlyTokens)}${estimated}`;
   });
 }
 
+EXPORT_USAGE_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'exportUsageCsv' }, (res) => {
+    if (!res || !res.success) { STATUS_DIV.textContent = 'Could not export usage'; return; }
+    const url = URL.createObjectURL(new Blob([res.csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ai-copilot-usage-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+});
+
 SAVE_BTN.addEventListener('click', async () => {
-  const rawKey = API_KEY_INPUT.value.trim();
   const proxy = PROXY_INPUT.value.trim();
 
-  // if key appears masked, don't overwrite (user didn't intend to change)
-  const isMasked = rawKey.includes('...') || rawKey === '************';
-  if (rawKey && !isMasked) {
-    // Save the raw key
-    chrome.runtime.sendMessage({ action: 'saveApiKey', apiKey: rawKey }, (res) => {
-      if (res && res.success) {
-        STATUS_DIV.textContent = 'API key saved';
-        API_KEY_INPUT.value = maskKey(rawKey);
-      } else {
-        STATUS_DIV.textContent = 'Failed to save API key';
-      }
-    });
-  } else if (!rawKey && !proxy) {
-    // nothing to do, maybe clearing keys? allow clearing proxy
-    // do not clear API key if user left it masked
-    STATUS_DIV.textContent = 'No changes to API key';
-  }
+  // keys go into the encrypted vault; a locked vault refuses them with a clear message
+  const keyErrors = await saveKeyFields();
+
+  // Save provider routing
+  chrome.runtime.sendMessage({
+    action: 'setProviderConfig',
+    providerOrder: providerRows.filter(p => p.enabled).map(p => p.id),
+    localEndpointUrl: LOCAL_ENDPOINT_INPUT.value.trim(),
+    localModel: LOCAL_MODEL_INPUT.value.trim(),
+    candidateCount: Number(CANDIDATE_COUNT_INPUT.value) || 1
+  });
 
   // Save proxy (can be empty)
   chrome.runtime.sendMessage({ action: 'setProxyUrl', proxyUrl: proxy }, (res) => {
-    if (res && res.success) {
+    if (keyErrors.length) {
+      STATUS_DIV.textContent = `Settings saved, but not the keys: ${keyErrors[0]}`;
+    } else if (res && res.success) {
       STATUS_DIV.textContent = 'Settings saved';
     } else {
       STATUS_DIV.textContent = 'Settings saved (proxy may not be valid)';
@@ -76,14 +253,177 @@ SAVE_BTN.addEventListener('click', async () => {
   });
 });
 
-RESET_USAGE_BTN.addEventListener('click', async () => {
-  chrome.storage.local.get(['dailyUsage'], (res) => {
-    const today = new Date().toISOString().slice(0,10);
-    chrome.storage.local.set({ dailyUsage: { date: today, count: 0 } }, () => {
-      refresh();
-    });
+// drops today's rows from the token ledger, so today's calls no longer count toward the limits
+RESET_USAGE_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'clearUsageLedger', today: true }, (res) => {
+    if (!res || !res.success) { STATUS_DIV.textContent = 'Could not reset today\'s usage'; return; }
+    refreshTokens();
+  });
+});
+
+function renderStyle(res) {
+  if (!res || !res.success) { STYLE_INFO.textContent = 'Could not read style profile'; return; }
+  STYLE_ENABLED_INPUT.checked = res.enabled;
+  STYLE_SUMMARY_INPUT.value = res.summary;
+  loadedStyleSummary = res.summary;
+  if (!res.enabled) STYLE_INFO.textContent = 'Off — no messages are collected.';
+  else if (!res.summary) STYLE_INFO.textContent = `${res.sampleCount} of ${res.minSamples} sample messages collected so far.`;
+  else STYLE_INFO.textContent = `Based on ${res.sampleCount} of your messages${res.edited ? ' (edited by you)' : ''}.`;
+}
+
+function refreshStyle() {
+  chrome.runtime.sendMessage({ action: 'getStyleProfile' }, renderStyle);
+}
+
+SAVE_STYLE_BTN.addEventListener('click', () => {
+  const msg = { action: 'setStyleProfile', enabled: STYLE_ENABLED_INPUT.checked };
+  if (STYLE_SUMMARY_INPUT.value.trim() !== loadedStyleSummary.trim()) msg.summary = STYLE_SUMMARY_INPUT.value;
+  chrome.runtime.sendMessage(msg, renderStyle);
+});
+
+RESET_STYLE_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'resetStyleProfile' }, renderStyle);
+});
+
+// autocomplete settings are read straight from storage by the content script and the background
+function refreshAutocomplete() {
+  chrome.storage.local.get([AUTOCOMPLETE_STORAGE], (res) => {
+    const settings = res[AUTOCOMPLETE_STORAGE] || {};
+    AUTOCOMPLETE_ENABLED_INPUT.checked = !!settings.enabled;
+    AUTOCOMPLETE_CLOUD_INPUT.checked = !!settings.allowCloud;
+    AUTOCOMPLETE_CLOUD_INPUT.disabled = !settings.enabled;
   });
+}
+
+function saveAutocomplete() {
+  chrome.storage.local.set({
+    [AUTOCOMPLETE_STORAGE]: { enabled: AUTOCOMPLETE_ENABLED_INPUT.checked, allowCloud: AUTOCOMPLETE_CLOUD_INPUT.checked }
+  }, refreshAutocomplete);
+}
+
+AUTOCOMPLETE_ENABLED_INPUT.addEventListener('change', saveAutocomplete);
+AUTOCOMPLETE_CLOUD_INPUT.addEventListener('change', saveAutocomplete);
+
+function renderCacheStats(res) {
+  if (!res || !res.success) { CACHE_INFO.textContent = 'Could not read the cache'; return; }
+  const saved = res.hits + res.shared;
+  CACHE_INFO.textContent = `${res.entries} cached ${res.entries === 1 ? 'answer' : 'answers'} (${Math.ceil(res.bytes / 1024)} KB) · ${saved} ${saved === 1 ? 'call' : 'calls'} saved this session`;
+}
+
+function refreshCacheStats() {
+  chrome.runtime.sendMessage({ action: 'getCacheStats' }, renderCacheStats);
+}
+
+CLEAR_CACHE_BTN.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'clearResponseCache' }, renderCacheStats);
 });
 
+// quick policy toggle for the active tab (site-policy.js); the page picks the change up from storage
+function renderSitePolicy(policy) {
+  SITE_MODE_SELECT.value = policy.mode;
+  SITE_NO_CLOUD_INPUT.checked = policy.noCloud;
+  SITE_NO_CLOUD_INPUT.disabled = policy.mode === 'deny';
+  const info = {
+    allow: 'The co-pilot runs on this site.',
+    ask: 'The first selection on a page asks before anything runs.',
+    deny: 'Switched off: nothing is attached to this site\'s pages.'
+  }[policy.mode];
+  SITE_INFO.textContent = `${info}${policy.custom ? '' : ' (default for all sites)'}`;
+}
+
+function refreshSitePolicy() {
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    currentSite = siteOrigin((tabs[0] && tabs[0].url) || '');
+    SITE_ORIGIN.textContent = currentSite || 'not a web page';
+    SITE_CONTROLS.style.display = currentSite ? '' : 'none';
+    if (!currentSite) { SITE_INFO.textContent = 'The co-pilot only runs on http(s) pages.'; return; }
+    renderSitePolicy(await loadSitePolicy(currentSite));
+  });
+}
+
+async function saveSitePolicyFromPopup() {
+  const policies = await setSitePolicy(currentSite, { mode: SITE_MODE_SELECT.value, noCloud: SITE_NO_CLOUD_INPUT.checked });
+  renderSitePolicy(sitePolicyFor(policies, currentSite));
+}
+
+SITE_MODE_SELECT.addEventListener('change', saveSitePolicyFromPopup);
+SITE_NO_CLOUD_INPUT.addEventListener('change', saveSitePolicyFromPopup);
+
+// On-device model (Prompt API). The model is shared by all sites, so it is downloaded here: the
+// click on Download is the user gesture LanguageModel.create() needs to start it, and its monitor
+// reports the progress. Pages only use the model once it is available (ai-bridge.js).
+function renderModelProgress(fraction) {
+  MODEL_BAR.style.display = '';
+  MODEL_FILL.style.width = `${Math.round(fraction * 100)}%`;
+  MODEL_INFO.textContent = fraction < 1 ? `Downloading… ${Math.round(fraction * 100)}%` : 'Download finished, preparing the model…';
+}
+
+function renderModel(availability) {
+  const info = {
+    missing: 'This Chrome has no built-in AI (Prompt API); the other providers are used.',
+    unavailable: 'This device cannot run the on-device model; the other providers are used.',
+    downloadable: 'The model is not on this device yet. Download it once to answer without the cloud.',
+    downloading: 'Downloading the model…',
+    available: '✅ Ready on this device.'
+  }[availability] || `Model status: ${availability}`;
+  if (!modelDownloading) MODEL_INFO.textContent = info;
+  MODEL_BAR.style.display = availability === 'downloading' || modelDownloading ? '' : 'none';
+  MODEL_DOWNLOAD_BTN.style.display = availability === 'downloadable' || (availability === 'downloading' && !modelDownloading) ? '' : 'none';
+  MODEL_DOWNLOAD_BTN.textContent = availability === 'downloading' ? '📊 Show Progress' : '⬇️ Download Model';
+  MODEL_DOWNLOAD_BTN.disabled = modelDownloading;
+}
+
+async function refreshModel() {
+  clearTimeout(modelPollTimer);
+  const availability = typeof LanguageModel === 'undefined' ? 'missing' : await LanguageModel.availability().catch(() => 'unavailable');
+  renderModel(availability);
+  if (availability === 'downloading' && !modelDownloading) modelPollTimer = setTimeout(refreshModel, MODEL_POLL_MS);
+  refreshModelSessions();
+}
+
+function downloadModel() {
+  modelDownloading = true;
+  renderModelProgress(0);
+  MODEL_DOWNLOAD_BTN.disabled = true;
+  LanguageModel.create({
+    monitor(m) {
+      m.addEventListener('downloadprogress', (e) => renderModelProgress(e.total ? e.loaded / e.total : e.loaded));
+    }
+  }).then(session => {
+    session.destroy();
+    modelDownloading = false;
+    refreshModel();
+  }).catch(err => {
+    modelDownloading = false;
+    refreshModel().then(() => { MODEL_INFO.textContent = `Download failed: ${(err && err.message) || err}`; });
+  });
+}
+
+// how full the active tab's conversation sessions are (their input token usage against the quota)
+function refreshModelSessions() {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs[0] || !siteOrigin(tabs[0].url || '')) { MODEL_SESSIONS.textContent = ''; return; }
+    chrome.tabs.sendMessage(tabs[0].id, { action: 'builtinRun', bridgeAction: 'modelStatus', payload: {} }, (res) => {
+      // no content script (site switched off, page not reloaded since install) or no bridge
+      if (chrome.runtime.lastError || !res || !res.success || !res.status.sessions.length) { MODEL_SESSIONS.textContent = ''; return; }
+      const sessions = res.status.sessions;
+      const fill = (s) => (s.inputQuota ? s.inputUsage / s.inputQuota : 0);
+      const fullest = sessions.reduce((a, b) => (fill(b) > fill(a) ? b : a));
+      MODEL_SESSIONS.textContent = `This tab: ${sessions.length} chat ${sessions.length === 1 ? 'session' : 'sessions'}, fullest at ${Math.round(fill(fullest) * 100)}% of its context (${fullest.inputUsage.toLocaleString()} / ${fullest.inputQuota.toLocaleString()} tokens).`;
+    });
+  });
+}
+
+MODEL_DOWNLOAD_BTN.addEventListener('click', downloadModel);
+
+OPEN_OPTIONS_BTN.addEventListener('click', () => chrome.runtime.openOptionsPage());
+
 // On load
-document.addEventListener('DOMContentLoaded', refresh);
+document.addEventListener('DOMContentLoaded', () => {
+  refresh();
+  refreshStyle();
+  refreshAutocomplete();
+  refreshCacheStats();
+  refreshSitePolicy();
+  refreshModel();
+});
@@ -0,0 +1,168 @@
+// redaction.js
+// Local PII redaction for cloud calls, loaded by background.js via importScripts and by the options
+// page (settings editor). Before a prompt goes to a cloud provider (PROVIDERS[id].cloud), emails,
+// phone numbers, card numbers, street addresses and the user's own list of names are replaced with
+// placeholders like [EMAIL_1]; the placeholders are put back into the answer. The on-device model
+// and a local endpoint on this machine or the local network get the text as-is; images and audio
+// cannot be redacted and are noted in the session when they go to the cloud.
+//
+// Settings (chrome.storage.local `redactionSettings`): { enabled, types: { email, phone, card,
+//   address, name }, names: [string] }
+// Session (one per request, shared by all its calls so placeholders stay stable):
+//   { values: { original -> placeholder }, originals: { placeholder -> original }, counts: { type -> n },
+//     media: ['image' | 'audio'] sent to a cloud provider unredacted }
+
+const REDACTION_SETTINGS_KEY = 'redactionSettings';
+const REDACTION_TYPES = {
+  card: { tag: 'CARD', label: 'card number' },
+  email: { tag: 'EMAIL', label: 'email' },
+  phone: { tag: 'PHONE', label: 'phone number' },
+  address: { tag: 'ADDRESS', label: 'address' },
+  name: { tag: 'NAME', label: 'name' }
+};
+const DEFAULT_REDACTION_SETTINGS = {
+  enabled: true,
+  types: { email: true, phone: true, card: true, address: true, name: true },
+  names: []
+};
+const REDACTION_PLACEHOLDER_RE = /\[(CARD|EMAIL|PHONE|ADDRESS|NAME)_(\d+)\]/g;
+const REDACTION_PLACEHOLDER_START_RE = /^\[[A-Z]*(?:_\d*)?$/; // "[", "[EMA", "[EMAIL_1" — may still become one
+
+const EMAIL_RE = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g;
+const CARD_RE = /\b\d(?:[ -]?\d){12,18}\b/g;
+const PHONE_RE = /(?:\+|\b00)?\d[\d\s().-]{6,}\d\b/g;
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Square|Sq|Terrace|Parkway|Pkwy|Highway|Hwy';
+// "221B Baker Street", "12 Rue de la Paix" style and "Hauptstraße 5" / "Via Roma 10" style
+const ADDRESS_RES = [
+  new RegExp(`\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][\\w'.-]*\\s+){1,3}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:Apt|Suite|Unit)\\.?\\s*\\w+)?`, 'g'),
+  /\b(?:Rue|Avenue|Via|Calle|Avenida|Rua)\s+(?:[\wÀ-ÿ'-]+\s+){0,3}[\wÀ-ÿ'-]+(?:,)?\s+\d{1,5}\b|\b\d{1,5},?\s+(?:rue|avenue|via|calle|avenida|rua)\s+(?:[\wÀ-ÿ'-]+\s*){1,4}/gi,
+  /\b[A-ZÄÖÜ][\wäöüß-]*(?:straße|strasse|str\.|weg|gasse|allee|platz|ring|damm)\s+\d{1,5}[a-z]?\b/g
+];
+
+function normalizeRedactionSettings(stored) {
+  const s = stored || {};
+  const types = {};
+  Object.keys(REDACTION_TYPES).forEach(t => {
+    types[t] = s.types && typeof s.types[t] === 'boolean' ? s.types[t] : DEFAULT_REDACTION_SETTINGS.types[t];
+  });
+  const names = (Array.isArray(s.names) ? s.names : [])
+    .map(n => String(n || '').trim())
+    .filter((n, i, all) => n.length > 1 && all.indexOf(n) === i);
+  return { enabled: typeof s.enabled === 'boolean' ? s.enabled : DEFAULT_REDACTION_SETTINGS.enabled, types, names };
+}
+
+function loadRedactionSettings() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([REDACTION_SETTINGS_KEY], (res) => resolve(normalizeRedactionSettings(res && res[REDACTION_SETTINGS_KEY])));
+  });
+}
+
+function saveRedactionSettings(settings) {
+  const clean = normalizeRedactionSettings(settings);
+  return new Promise(resolve => chrome.storage.local.set({ [REDACTION_SETTINGS_KEY]: clean }, () => resolve(clean)));
+}
+
+function createRedactionSession() {
+  return { values: {}, originals: {}, counts: {}, media: [] };
+}
+
+// card numbers pass the Luhn check, which keeps order and tracking numbers out
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+// 9-15 digits, not a date the prompt itself contains ("2026-10-19"); a long bare run of digits
+// without a + or separators is more likely an order or account number
+function looksLikePhone(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 9 || digits.length > 15) return false;
+  if (/^\d{4}-\d{2}-\d{2}/.test(match.trim())) return false;
+  if (/^\d+$/.test(match) && digits.length > 12) return false;
+  return true;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// the placeholder for value, the same one every time it comes up in this session
+function placeholderFor(session, type, value) {
+  const key = `${type}:${value.toLowerCase()}`;
+  if (session.values[key]) return session.values[key];
+  session.counts[type] = (session.counts[type] || 0) + 1;
+  const placeholder = `[${REDACTION_TYPES[type].tag}_${session.counts[type]}]`;
+  session.values[key] = placeholder;
+  session.originals[placeholder] = value;
+  return placeholder;
+}
+
+// Replace PII in text with placeholders. Types run from most to least specific so a card number
+// is not also taken for a phone number.
+function redactText(text, settings, session) {
+  let out = String(text || '');
+  const replace = (type, re, accept = () => true) => {
+    if (!settings.types[type]) return;
+    out = out.replace(re, (match) => (accept(match) ? placeholderFor(session, type, match) : match));
+  };
+  replace('email', EMAIL_RE);
+  replace('card', CARD_RE, m => luhnValid(m.replace(/\D/g, '')));
+  replace('phone', PHONE_RE, looksLikePhone);
+  ADDRESS_RES.forEach(re => replace('address', re));
+  if (settings.types.name && settings.names.length) {
+    // longest first, so "Anna Maria" wins over "Anna"
+    const names = settings.names.slice().sort((a, b) => b.length - a.length).map(escapeRegExp);
+    replace('name', new RegExp(`(?<![\\p{L}\\d])(?:${names.join('|')})(?![\\p{L}\\d])`, 'giu'));
+  }
+  return out;
+}
+
+// put the originals back; placeholders the model made up are left alone
+function restoreText(text, session) {
+  return String(text || '').replace(REDACTION_PLACEHOLDER_RE, (whole) => session.originals[whole] ?? whole);
+}
+
+// Streaming restore: hands restored text to onText, holding back a trailing "[..." as long as it
+// can still become a placeholder split across chunks. Call flush() at the end.
+function createRestoreStream(session, onText) {
+  let pending = '';
+  return {
+    push(delta) {
+      pending += delta;
+      const open = pending.lastIndexOf('[');
+      let emit = pending;
+      if (open !== -1 && REDACTION_PLACEHOLDER_START_RE.test(pending.slice(open))) {
+        emit = pending.slice(0, open);
+        pending = pending.slice(open);
+      } else {
+        pending = '';
+      }
+      if (emit) onText(restoreText(emit, session));
+    },
+    flush() {
+      if (pending) onText(restoreText(pending, session));
+      pending = '';
+    }
+  };
+}
+
+// an image or audio clip (kind) went to a cloud provider as it is
+function noteUnredactedMedia(session, kind) {
+  if (!session.media.includes(kind)) session.media.push(kind);
+}
+
+// what a session replaced, for the badge in the page: [{ type, label, count }], plus
+// { type, label, unredacted: true } for media sent as is; null when there is nothing to say
+function redactionSummary(session) {
+  if (!session) return null;
+  const list = Object.keys(REDACTION_TYPES)
+    .filter(t => session.counts[t])
+    .map(t => ({ type: t, label: REDACTION_TYPES[t].label, count: session.counts[t] }))
+    .concat((session.media || []).map(kind => ({ type: kind, label: kind, unredacted: true })));
+  return list.length ? list : null;
+}
@@ -0,0 +1,135 @@
+// response-cache.js
+// Cache for analyze, summarize and translate answers, loaded by background.js via importScripts.
+// Re-selecting the same message should not cost another model call (or count as usage), and two
+// identical requests in flight at once share one call. Entries are keyed by a SHA-256 of the
+// request inputs and kept in chrome.storage.session: they survive service-worker restarts but
+// never touch the disk, since they hold message text.
+//
+// Entry: { kind, value, createdAt, size }; stats: { hits, misses, shared } for this browser session
+
+const RESPONSE_CACHE_KEY = 'responseCache';
+const RESPONSE_CACHE_STATS_KEY = 'responseCacheStats';
+const RESPONSE_CACHE_TTL_MS = 30 * 60 * 1000;
+const RESPONSE_CACHE_MAX_ENTRIES = 200;
+const RESPONSE_CACHE_MAX_BYTES = 2 * 1024 * 1024; // chrome.storage.session allows 10 MB in total
+const RESPONSE_CACHE_MAX_ENTRY_BYTES = 64 * 1024;
+
+const responseCacheInflight = new Map(); // key -> Promise of the value being computed
+let responseCachePromise = null; // in-memory copy of the stored entries, loaded once per worker
+
+function sessionArea() {
+  return chrome.storage.session || null;
+}
+
+function loadResponseCache() {
+  if (responseCachePromise) return responseCachePromise;
+  responseCachePromise = new Promise(resolve => {
+    const area = sessionArea();
+    if (!area) { resolve({ entries: {}, stats: { hits: 0, misses: 0, shared: 0 } }); return; }
+    area.get([RESPONSE_CACHE_KEY, RESPONSE_CACHE_STATS_KEY], (res) => {
+      resolve({
+        entries: Object.assign({}, res && res[RESPONSE_CACHE_KEY]),
+        stats: Object.assign({ hits: 0, misses: 0, shared: 0 }, res && res[RESPONSE_CACHE_STATS_KEY])
+      });
+    });
+  });
+  return responseCachePromise;
+}
+
+async function saveResponseCache() {
+  const cache = await loadResponseCache();
+  const area = sessionArea();
+  if (!area) return;
+  await new Promise(resolve => area.set({ [RESPONSE_CACHE_KEY]: cache.entries, [RESPONSE_CACHE_STATS_KEY]: cache.stats }, () => {
+    if (chrome.runtime.lastError) console.warn('response cache write failed', chrome.runtime.lastError.message);
+    resolve();
+  }));
+}
+
+// hex SHA-256 of the inputs that decide the answer (kind + a JSON-able object)
+async function responseCacheKey(kind, input) {
+  const bytes = new TextEncoder().encode(JSON.stringify([kind, input]));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// drop expired entries, then the oldest beyond the entry and size limits
+function pruneResponseCache(cache, now = Date.now()) {
+  const keys = Object.keys(cache.entries)
+    .filter(k => {
+      if (now - cache.entries[k].createdAt < RESPONSE_CACHE_TTL_MS) return true;
+      delete cache.entries[k];
+      return false;
+    })
+    .sort((a, b) => cache.entries[b].createdAt - cache.entries[a].createdAt);
+  let bytes = 0;
+  keys.forEach((k, i) => {
+    bytes += cache.entries[k].size;
+    if (i >= RESPONSE_CACHE_MAX_ENTRIES || bytes > RESPONSE_CACHE_MAX_BYTES) delete cache.entries[k];
+  });
+}
+
+// Return the cached answer for (kind, input), or run compute() once — concurrent callers with the
+// same inputs wait for that same run. The result carries cached: true when no new call was made.
+// options.keep(value) decides whether an answer is worth caching (e.g. not a partial analysis).
+async function withResponseCache(kind, input, compute, options = {}) {
+  const key = await responseCacheKey(kind, input);
+  const cache = await loadResponseCache();
+  const entry = cache.entries[key];
+  if (entry && Date.now() - entry.createdAt < RESPONSE_CACHE_TTL_MS) {
+    cache.stats.hits++;
+    saveResponseCache();
+    return Object.assign({}, entry.value, { cached: true });
+  }
+
+  if (responseCacheInflight.has(key)) {
+    try {
+      const value = await responseCacheInflight.get(key);
+      cache.stats.shared++;
+      return Object.assign({}, value, { cached: true });
+    } catch (err) {
+      // a stopped stream is no answer for the others; anything else is their failure too
+      if (err.code !== 'ABORTED') throw err;
+    }
+  }
+
+  const promise = compute();
+  responseCacheInflight.set(key, promise);
+  try {
+    const value = await promise;
+    cache.stats.misses++;
+    const size = JSON.stringify(value).length;
+    if (size <= RESPONSE_CACHE_MAX_ENTRY_BYTES && (!options.keep || options.keep(value))) {
+      cache.entries[key] = { kind, value, createdAt: Date.now(), size };
+      pruneResponseCache(cache);
+    }
+    await saveResponseCache();
+    return value;
+  } finally {
+    if (responseCacheInflight.get(key) === promise) responseCacheInflight.delete(key);
+  }
+}
+
+async function getResponseCacheStats() {
+  const cache = await loadResponseCache();
+  pruneResponseCache(cache);
+  const entries = Object.values(cache.entries);
+  const byKind = {};
+  entries.forEach(e => { byKind[e.kind] = (byKind[e.kind] || 0) + 1; });
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, e) => sum + e.size, 0),
+    byKind,
+    hits: cache.stats.hits,
+    misses: cache.stats.misses,
+    shared: cache.stats.shared,
+    ttlMinutes: RESPONSE_CACHE_TTL_MS / 60000
+  };
+}
+
+async function clearResponseCache() {
+  const cache = await loadResponseCache();
+  cache.entries = {};
+  cache.stats = { hits: 0, misses: 0, shared: 0 };
+  await saveResponseCache();
+}
@@ -0,0 +1,235 @@
+// site-adapters.js
+// Declarative per-site adapters, keyed by hostname. Loaded first among the content scripts (shared
+// scope with thread.js / content.js) and also by options.html to show the built-in defaults.
+//
+// Adapters are plain JSON so they can be added or overridden from the options page without a
+// rebuild (stored under `customSiteAdapters` in chrome.storage.local). Fields:
+//   label      display name
+//   paths      optional list of path prefixes the adapter is limited to
+//   composer   selector(s) for the message input box
+//   container  selector for the conversation pane (scopes message lookup)
+//   message    selector for one message bubble
+//   text       optional selector for the text inside a bubble (defaults to the bubble's innerText)
+//   name       optional { selector, attribute, pattern } to read the sender name from a bubble
+//   conversation  optional { selector, attribute, pattern } to read an id of the open chat (e.g. its
+//              header title), for sites whose URL stays the same between chats (thread.js)
+//   author     how to tell my messages from theirs:
+//                { rule: 'selector', outgoing: '<sel>' }  bubble matches/contains sel -> me
+//                { rule: 'selector', incoming: '<sel>' }  bubble matches/contains sel -> them
+//                { rule: 'alignment', target: '<sel>' }   right-aligned bubble (or target) -> me
+//                { rule: 'self-name', self: '<sel>' }     sender name equals the text of sel -> me
+//   insert     'auto' | 'native-setter' | 'contenteditable' | 'exec-command' | 'clipboard'
+
+const CUSTOM_SITE_ADAPTERS_KEY = 'customSiteAdapters';
+const INSERT_STRATEGIES = ['auto', 'native-setter', 'contenteditable', 'exec-command', 'clipboard'];
+const AUTHOR_RULES = ['selector', 'alignment', 'self-name'];
+
+const X_ADAPTER = {
+  label: 'X (Twitter) DMs',
+  paths: ['/messages'],
+  composer: '[data-testid="dmComposerTextInput"], [contenteditable="true"][data-testid="tweetTextarea_0"]',
+  container: '[data-testid="DmActivityViewport"], [data-testid="DMConversationBody"]',
+  message: '[data-testid="messageEntry"]',
+  text: '[data-testid="tweetText"]',
+  author: { rule: 'alignment', target: '[data-testid="tweetText"]' },
+  insert: 'exec-command'
+};
+
+const MESSENGER_ADAPTER = {
+  label: 'Messenger',
+  composer: '[contenteditable="true"][role="textbox"][aria-label*="message" i], [contenteditable="true"][aria-label*="message" i]',
+  container: '[role="main"] [role="grid"], [aria-label^="Messages in conversation"]',
+  message: '[role="row"]',
+  text: '[dir="auto"]',
+  author: { rule: 'alignment', target: '[dir="auto"]' },
+  insert: 'exec-command'
+};
+
+const BUILTIN_SITE_ADAPTERS = {
+  'web.whatsapp.com': {
+    label: 'WhatsApp Web',
+    composer: 'footer [contenteditable="true"], [contenteditable="true"][data-tab="10"]',
+    container: '#main',
+    message: 'div.message-in, div.message-out',
+    text: '.copyable-text span.selectable-text',
+    // data-pre-plain-text looks like "[10:21, 01/02/2025] Alice: "
+    name: { selector: '[data-pre-plain-text]', attribute: 'data-pre-plain-text', pattern: '\\]\\s*([^:]+):' },
+    // the URL is the same for every chat; the chat title in the pane header tells them apart
+    conversation: { selector: '#main header span[dir="auto"]' },
+    author: { rule: 'selector', outgoing: '.message-out' },
+    insert: 'exec-command'
+  },
+  'x.com': X_ADAPTER,
+  'twitter.com': X_ADAPTER,
+  'www.messenger.com': MESSENGER_ADAPTER,
+  'www.facebook.com': MESSENGER_ADAPTER,
+  'www.linkedin.com': {
+    label: 'LinkedIn messaging',
+    paths: ['/messaging'],
+    composer: '.msg-form__contenteditable[contenteditable="true"]',
+    container: '.msg-s-message-list-content, .msg-s-message-list',
+    message: 'li.msg-s-message-list__event',
+    text: '.msg-s-event-listitem__body',
+    name: { selector: '.msg-s-message-group__name' },
+    author: { rule: 'selector', incoming: '.msg-s-event-listitem--other' },
+    insert: 'contenteditable'
+  },
+  'discord.com': {
+    label: 'Discord',
+    composer: '[role="textbox"][data-slate-editor="true"]',
+    container: '[data-list-id="chat-messages"]',
+    message: 'li[id^="chat-messages-"]',
+    text: '[id^="message-content-"]',
+    name: { selector: '[id^="message-username-"]' },
+    // Discord shows every message on the left; compare the author with the logged-in user instead
+    author: { rule: 'self-name', self: 'section[aria-label="User area"] [class*="title"], [class*="panelTitleContainer"]' },
+    insert: 'exec-command'
+  }
+};
+
+let customSiteAdapters = {};
+
+// Load user overrides and keep them fresh when the options page saves new ones
+function loadCustomSiteAdapters() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([CUSTOM_SITE_ADAPTERS_KEY], (res) => {
+      customSiteAdapters = (res && res[CUSTOM_SITE_ADAPTERS_KEY]) || {};
+      resolve(customSiteAdapters);
+    });
+  });
+}
+
+function watchCustomSiteAdapters() {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[CUSTOM_SITE_ADAPTERS_KEY]) {
+      customSiteAdapters = changes[CUSTOM_SITE_ADAPTERS_KEY].newValue || {};
+    }
+  });
+}
+
+// Adapter for the current page: custom fields override the built-in ones for the same hostname.
+// A custom entry set to null disables the built-in adapter. Returns null when nothing matches.
+function getSiteAdapter(hostname = location.hostname, pathname = location.pathname) {
+  const keys = [hostname, hostname.replace(/^www\./, ''), `www.${hostname}`];
+  for (const key of keys) {
+    const custom = customSiteAdapters[key];
+    if (custom === null) return null;
+    const adapter = Object.assign({}, BUILTIN_SITE_ADAPTERS[key], custom);
+    if (!adapter.message && !adapter.composer) continue;
+    if (Array.isArray(adapter.paths) && adapter.paths.length && !adapter.paths.some(p => pathname.startsWith(p))) continue;
+    return adapter;
+  }
+  return null;
+}
+
+// Validate a custom adapter map (as edited in the options page); returns a list of problems
+function validateSiteAdapters(map) {
+  const errors = [];
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return ['Adapters must be a JSON object keyed by hostname.'];
+  for (const [host, adapter] of Object.entries(map)) {
+    if (adapter === null) continue;
+    if (typeof adapter !== 'object' || Array.isArray(adapter)) { errors.push(`${host}: must be an object or null`); continue; }
+    for (const field of ['composer', 'container', 'message', 'text']) {
+      if (adapter[field] === undefined) continue;
+      if (typeof adapter[field] !== 'string') { errors.push(`${host}.${field}: must be a selector string`); continue; }
+      try { document.createDocumentFragment().querySelector(adapter[field]); }
+      catch (e) { errors.push(`${host}.${field}: invalid selector`); }
+    }
+    if (adapter.insert !== undefined && !INSERT_STRATEGIES.includes(adapter.insert)) {
+      errors.push(`${host}.insert: one of ${INSERT_STRATEGIES.join(', ')}`);
+    }
+    if (adapter.author !== undefined && !AUTHOR_RULES.includes(adapter.author && adapter.author.rule)) {
+      errors.push(`${host}.author.rule: one of ${AUTHOR_RULES.join(', ')}`);
+    }
+    if (adapter.paths !== undefined && !Array.isArray(adapter.paths)) errors.push(`${host}.paths: must be an array`);
+    for (const field of ['name', 'conversation']) {
+      const spec = adapter[field];
+      if (spec === undefined) continue;
+      if (!spec || typeof spec.selector !== 'string') { errors.push(`${host}.${field}: must be { selector, attribute?, pattern? }`); continue; }
+      try { document.createDocumentFragment().querySelector(spec.selector); }
+      catch (e) { errors.push(`${host}.${field}.selector: invalid selector`); }
+    }
+  }
+  return errors;
+}
+
+/* ---------- Helpers used by thread.js / content.js ---------- */
+
+function isVisible(el) {
+  return !!el && el.offsetParent !== null;
+}
+
+// first visible element matching the adapter's composer selector
+function findAdapterComposer(adapter) {
+  if (!adapter || !adapter.composer) return null;
+  try {
+    return Array.from(document.querySelectorAll(adapter.composer)).find(isVisible) || null;
+  } catch (e) {
+    console.warn('invalid composer selector', adapter.composer);
+    return null;
+  }
+}
+
+function readBubbleText(el, adapter) {
+  if (adapter.text) {
+    const parts = el.querySelectorAll(adapter.text);
+    if (parts.length) return Array.from(parts).map(p => p.innerText).join('\n');
+  }
+  return el.innerText;
+}
+
+function readBubbleName(el, adapter) {
+  return readAdapterSpec(el, adapter.name);
+}
+
+// id of the open chat from the adapter's conversation spec; '' when it has none or nothing matches
+function readConversationId(adapter) {
+  try {
+    return readAdapterSpec(document, adapter.conversation);
+  } catch (e) {
+    console.warn('invalid conversation selector', adapter.conversation);
+    return '';
+  }
+}
+
+// a { selector, attribute, pattern } spec read inside root: the attribute (or the text) of the first
+// match, narrowed to the pattern's first group
+function readAdapterSpec(root, spec) {
+  if (!spec || !spec.selector) return '';
+  const node = root.matches && root.matches(spec.selector) ? root : root.querySelector(spec.selector);
+  if (!node) return '';
+  const raw = spec.attribute ? (node.getAttribute(spec.attribute) || '') : node.innerText;
+  if (!spec.pattern) return raw.trim();
+  const m = raw.match(new RegExp(spec.pattern));
+  return m ? (m[1] || m[0]).trim() : '';
+}
+
+function matchesOrContains(el, selector) {
+  return el.matches(selector) || !!el.querySelector(selector);
+}
+
+// me / them for one bubble according to the adapter's author rule
+function detectAuthor(el, adapter, container, name) {
+  const rule = adapter.author || { rule: 'alignment' };
+  if (rule.rule === 'selector') {
+    if (rule.outgoing) return matchesOrContains(el, rule.outgoing) ? 'me' : 'them';
+    if (rule.incoming) return matchesOrContains(el, rule.incoming) ? 'them' : 'me';
+  }
+  if (rule.rule === 'self-name') {
+    const self = rule.self ? document.querySelector(rule.self) : null;
+    return (name && self && self.innerText.trim() === name) ? 'me' : 'them';
+  }
+  const target = (rule.target && el.querySelector(rule.target)) || el;
+  return authorByAlignment(target, container);
+}
+
+// outgoing bubbles are usually right-aligned inside the conversation pane
+function authorByAlignment(el, container) {
+  try {
+    const r = el.getBoundingClientRect();
+    const c = (container || document.body).getBoundingClientRect();
+    return (r.left - c.left) > (c.right - r.right) ? 'me' : 'them';
+  } catch (e) {
+    return 'them';
+  }
+}
@@ -0,0 +1,70 @@
+// site-policy.js
+// Per-site enable / disable and privacy policy. Loaded as a content script (before content.js), by
+// background.js via importScripts, by the popup (toggle for the current tab) and by the options page
+// (site list). Sites are keyed by origin ("https://web.whatsapp.com"); pages that are not http(s)
+// have no origin and follow the default.
+//
+// Policies (chrome.storage.local `sitePolicies`): { defaultMode, sites: { origin: { mode, noCloud } } }
+//   mode     'allow' — the co-pilot runs; 'deny' — content.js attaches no listeners at all;
+//            'ask' — the first selection on the page asks whether to run here
+//   noCloud  requests from the site only go to the on-device model and the local endpoint
+
+const SITE_POLICIES_KEY = 'sitePolicies';
+const SITE_POLICY_MODES = ['allow', 'ask', 'deny'];
+const DEFAULT_SITE_POLICIES = { defaultMode: 'allow', sites: {} };
+
+// "https://mail.example.com" for a page URL; '' for chrome://, file:// and the like
+function siteOrigin(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.origin : '';
+  } catch (e) {
+    return '';
+  }
+}
+
+function normalizeSitePolicies(stored) {
+  const s = stored || {};
+  const sites = {};
+  Object.keys(s.sites || {}).forEach(key => {
+    const origin = siteOrigin(key);
+    const p = s.sites[key] || {};
+    if (!origin || !SITE_POLICY_MODES.includes(p.mode)) return;
+    sites[origin] = { mode: p.mode, noCloud: !!p.noCloud };
+  });
+  const defaultMode = SITE_POLICY_MODES.includes(s.defaultMode) ? s.defaultMode : DEFAULT_SITE_POLICIES.defaultMode;
+  return { defaultMode, sites };
+}
+
+function loadSitePolicies() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([SITE_POLICIES_KEY], (res) => resolve(normalizeSitePolicies(res && res[SITE_POLICIES_KEY])));
+  });
+}
+
+function saveSitePolicies(policies) {
+  const clean = normalizeSitePolicies(policies);
+  return new Promise(resolve => chrome.storage.local.set({ [SITE_POLICIES_KEY]: clean }, () => resolve(clean)));
+}
+
+// the policy that applies to origin: { mode, noCloud, custom } — custom is false when it is the default
+function sitePolicyFor(policies, origin) {
+  const own = origin && policies.sites[origin];
+  if (own) return { mode: own.mode, noCloud: own.noCloud, custom: true };
+  return { mode: policies.defaultMode, noCloud: false, custom: false };
+}
+
+// the policy for a page URL
+async function loadSitePolicy(url) {
+  return sitePolicyFor(await loadSitePolicies(), siteOrigin(url));
+}
+
+// Set or (policy null) remove the entry for origin. An entry that says the same as the default is
+// not kept, so the list in the options page only shows real exceptions.
+async function setSitePolicy(origin, policy) {
+  const policies = await loadSitePolicies();
+  const clean = policy && SITE_POLICY_MODES.includes(policy.mode) ? { mode: policy.mode, noCloud: !!policy.noCloud } : null;
+  if (!clean || (clean.mode === policies.defaultMode && !clean.noCloud)) delete policies.sites[origin];
+  else policies.sites[origin] = clean;
+  return saveSitePolicies(policies);
+}
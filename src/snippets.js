@@ -0,0 +1,99 @@
+// snippets.js
+// Canned-response library. Shared by the content scripts (menu + keyword expansion) and the
+// options page (editor, JSON import / export). Stored in chrome.storage.local: libraries can
+// outgrow the sync quotas, and teams share them through export files instead.
+//
+// Snippet shape: { id, name, keyword, body }. The body may contain {{placeholders}}, filled by hand
+// or extracted by the model from the selected message (action 'snippetFill' in background.js).
+
+const SNIPPETS_KEY = 'snippets';
+const SNIPPET_EXPORT_VERSION = 1;
+const PLACEHOLDER_RE = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// shipped until the user saves their own library
+const DEFAULT_SNIPPETS = [
+  { id: 'confirm-meeting', name: 'Confirm meeting', keyword: ';confirm', body: 'Hi {{name}}, confirming our meeting on {{date}} at {{time}}. See you then!' },
+  { id: 'support-ack', name: 'Support acknowledgement', keyword: ';ack', body: 'Hi {{name}}, thanks for reaching out about order {{order number}}. We have received your request and will get back to you within {{response time}}.' },
+  { id: 'polite-decline', name: 'Polite decline', keyword: ';decline', body: 'Thanks so much for thinking of me, {{name}}. Unfortunately I can\'t {{request}} this time, but I hope it goes well!' }
+];
+
+// Clean up a snippet coming from storage, the editor or an import; returns null when it is unusable
+function normalizeSnippet(snippet) {
+  if (!snippet || typeof snippet !== 'object') return null;
+  const name = String(snippet.name || '').trim();
+  const body = String(snippet.body || '');
+  if (!name || !body.trim()) return null;
+  const id = String(snippet.id || '').trim() || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  // keywords are matched right before the caret, so no whitespace inside
+  const keyword = String(snippet.keyword || '').trim().replace(/\s+/g, '');
+  return { id, name, keyword, body };
+}
+
+// placeholder names in order of first appearance
+function getSnippetPlaceholders(body) {
+  const names = [];
+  for (const m of String(body || '').matchAll(PLACEHOLDER_RE)) {
+    if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+// Replace {{placeholders}} with values; unknown or empty ones are left as-is so they stay visible
+function fillSnippet(body, values = {}) {
+  return String(body || '').replace(PLACEHOLDER_RE, (whole, name) => {
+    const value = values[name];
+    return (typeof value === 'string' && value.trim()) ? value.trim() : whole;
+  });
+}
+
+function loadSnippets() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([SNIPPETS_KEY], (res) => {
+      const stored = res && res[SNIPPETS_KEY];
+      resolve(Array.isArray(stored) ? stored.map(normalizeSnippet).filter(Boolean) : DEFAULT_SNIPPETS.slice());
+    });
+  });
+}
+
+function saveSnippets(snippets) {
+  const clean = snippets.map(normalizeSnippet).filter(Boolean);
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [SNIPPETS_KEY]: clean }, () => {
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(clean);
+    });
+  });
+}
+
+// Problems that would make keyword expansion ambiguous; returns a list of messages
+function validateSnippets(snippets) {
+  const errors = [];
+  const seen = {};
+  snippets.forEach(s => {
+    if (!s.keyword) return;
+    if (seen[s.keyword]) errors.push(`"${s.name}" and "${seen[s.keyword]}" both use the keyword ${s.keyword}`);
+    else seen[s.keyword] = s.name;
+  });
+  return errors;
+}
+
+function exportSnippets(snippets) {
+  return JSON.stringify({ version: SNIPPET_EXPORT_VERSION, snippets: snippets.map(normalizeSnippet).filter(Boolean) }, null, 2);
+}
+
+// Merge an export file (or a bare array) into the library; imported snippets replace existing ones
+// with the same id. Throws on malformed input.
+function importSnippets(json, existing) {
+  const data = JSON.parse(json);
+  const list = Array.isArray(data) ? data : data && data.snippets;
+  if (!Array.isArray(list)) throw new Error('Expected an array of snippets or { "snippets": [...] }.');
+  const incoming = list.map(normalizeSnippet);
+  const valid = incoming.filter(Boolean);
+  const merged = existing.filter(s => !valid.some(v => v.id === s.id)).concat(valid);
+  return {
+    snippets: merged,
+    added: valid.filter(v => !existing.some(s => s.id === v.id)).length,
+    updated: valid.filter(v => existing.some(s => s.id === v.id)).length,
+    skipped: incoming.length - valid.length
+  };
+}
@@ -0,0 +1,126 @@
+// style-profile.js
+// Opt-in personal writing-style profile, loaded by background.js via importScripts.
+// Samples of the user's own sent messages (from thread extraction and the composer observer in
+// content.js) are kept in chrome.storage.local only, and turned into a short style summary locally —
+// no model call, so the samples never leave the device. The summary is editable from the popup and
+// is added to every generate / refine prompt.
+
+const STYLE_ENABLED_KEY = 'styleProfileEnabled';
+const STYLE_SAMPLES_KEY = 'styleSamples';
+const STYLE_PROFILE_KEY = 'styleProfile'; // { summary, edited, sampleCount, updatedAt }
+const MAX_STYLE_SAMPLES = 60;
+const MAX_STYLE_SAMPLE_CHARS = 300;
+const MIN_STYLE_SAMPLES = 5; // below this the summary would be guesswork
+
+const STYLE_STOPWORDS = new Set(('a an and are as at be but by for from have i if in is it its just me my no not of on or so ' +
+  'that the this to was we were what when will with you your yes do dont im ill ive can get got are our us they them he she').split(' '));
+
+function readStyleState() {
+  return storageGet([STYLE_ENABLED_KEY, STYLE_SAMPLES_KEY, STYLE_PROFILE_KEY]).then(res => ({
+    enabled: !!res[STYLE_ENABLED_KEY],
+    samples: Array.isArray(res[STYLE_SAMPLES_KEY]) ? res[STYLE_SAMPLES_KEY] : [],
+    profile: res[STYLE_PROFILE_KEY] || null
+  }));
+}
+
+// Add new outgoing messages; ignored unless the user opted in. Rebuilds the summary unless the
+// user has edited it by hand.
+async function addStyleSamples(samples) {
+  const state = await readStyleState();
+  if (!state.enabled) return state;
+
+  const fresh = (Array.isArray(samples) ? samples : [])
+    .map(s => String(s || '').trim().slice(0, MAX_STYLE_SAMPLE_CHARS))
+    .filter(s => s.length > 1 && !state.samples.includes(s));
+  if (!fresh.length) return state;
+
+  const all = state.samples.concat(fresh).slice(-MAX_STYLE_SAMPLES);
+  const update = { [STYLE_SAMPLES_KEY]: all };
+  if (!state.profile || !state.profile.edited) {
+    update[STYLE_PROFILE_KEY] = { summary: buildStyleSummary(all), edited: false, sampleCount: all.length, updatedAt: Date.now() };
+  } else {
+    update[STYLE_PROFILE_KEY] = Object.assign({}, state.profile, { sampleCount: all.length });
+  }
+  await storageSet(update);
+  return readStyleState();
+}
+
+// Describe vocabulary, emoji use, length and capitalization in a few plain sentences
+function buildStyleSummary(samples) {
+  if (samples.length < MIN_STYLE_SAMPLES) return '';
+  const n = samples.length;
+  const pct = count => Math.round((count / n) * 100);
+  const parts = [];
+
+  const wordCounts = samples.map(s => s.split(/\s+/).filter(Boolean).length);
+  const avgWords = Math.round(wordCounts.reduce((a, b) => a + b, 0) / n);
+  parts.push(avgWords <= 8 ? `Writes very short messages (about ${avgWords} words).`
+    : avgWords <= 25 ? `Writes medium-length messages (about ${avgWords} words).`
+      : `Writes long, detailed messages (about ${avgWords} words).`);
+
+  const lowerStarts = samples.filter(s => /^[a-z]/.test(s)).length;
+  const upperStarts = samples.filter(s => /^[A-Z]/.test(s)).length;
+  if (pct(lowerStarts) >= 60) parts.push('Usually starts messages in lowercase.');
+  else if (pct(upperStarts) >= 80) parts.push('Capitalizes the start of messages.');
+  const shouty = samples.filter(s => /\b[A-Z]{3,}\b/.test(s)).length;
+  if (pct(shouty) >= 20) parts.push('Sometimes uses ALL CAPS for emphasis.');
+
+  const emojiRe = /\p{Extended_Pictographic}/gu;
+  const withEmoji = samples.filter(s => /\p{Extended_Pictographic}/u.test(s)).length;
+  if (pct(withEmoji) >= 30) {
+    const counts = {};
+    samples.forEach(s => (s.match(emojiRe) || []).forEach(e => { counts[e] = (counts[e] || 0) + 1; }));
+    const top = Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, 3).join(' ');
+    parts.push(`Uses emoji often (favourites: ${top}).`);
+  } else if (withEmoji > 0) {
+    parts.push('Uses emoji occasionally.');
+  } else {
+    parts.push('Does not use emoji.');
+  }
+
+  const endsPeriod = samples.filter(s => /\.$/.test(s)).length;
+  const endsBang = samples.filter(s => /!$/.test(s)).length;
+  if (pct(endsPeriod) <= 20) parts.push('Rarely ends messages with a period.');
+  if (pct(endsBang) >= 25) parts.push('Often ends with an exclamation mark.');
+
+  // words that show up in several different messages are the user's habits
+  const docFreq = {};
+  samples.forEach(s => {
+    new Set((s.toLowerCase().match(/[a-z']{2,}/g) || []).map(w => w.replace(/'/g, '')))
+      .forEach(w => { if (!STYLE_STOPWORDS.has(w)) docFreq[w] = (docFreq[w] || 0) + 1; });
+  });
+  const habits = Object.keys(docFreq)
+    .filter(w => docFreq[w] >= Math.max(2, Math.ceil(n * 0.1)))
+    .sort((a, b) => docFreq[b] - docFreq[a])
+    .slice(0, 8);
+  if (habits.length) parts.push(`Frequently uses: ${habits.map(w => `"${w}"`).join(', ')}.`);
+
+  return parts.join(' ');
+}
+
+// Prompt line for generate / refine; empty when the profile is off or not built yet
+async function getStyleInstruction() {
+  const { enabled, profile } = await readStyleState();
+  if (!enabled || !profile || !profile.summary) return '';
+  return `Match the user's personal writing style: ${profile.summary}`;
+}
+
+async function setStyleProfile({ enabled, summary }) {
+  const state = await readStyleState();
+  const update = {};
+  if (typeof enabled === 'boolean') update[STYLE_ENABLED_KEY] = enabled;
+  if (typeof summary === 'string') {
+    const clean = summary.trim();
+    // clearing the text hands the summary back to the automatic builder
+    update[STYLE_PROFILE_KEY] = clean
+      ? Object.assign({}, state.profile, { summary: clean, edited: true, sampleCount: state.samples.length, updatedAt: Date.now() })
+      : { summary: buildStyleSummary(state.samples), edited: false, sampleCount: state.samples.length, updatedAt: Date.now() };
+  }
+  await storageSet(update);
+  return readStyleState();
+}
+
+async function resetStyleProfile() {
+  await new Promise(resolve => chrome.storage.local.remove([STYLE_SAMPLES_KEY, STYLE_PROFILE_KEY], resolve));
+  return readStyleState();
+}
@@ -0,0 +1,97 @@
+// thread.js
+// Conversation thread extraction for the content script (loaded after site-adapters.js and before
+// content.js, shares their scope). Given the DOM position of a selection, finds the surrounding
+// message list and returns the last messages up to the selected one, oldest first, as
+// [{ author: 'me' | 'them', name, text }]. Per-site selectors live in site-adapters.js.
+
+const THREAD_MAX_MESSAGES = 10;
+const THREAD_MAX_CHARS = 500; // per message, keeps prompts small
+
+// Extract the conversation around `anchor` (a node inside the selected message).
+// Returns [] when no message list can be found.
+function extractThread(anchor, limit = THREAD_MAX_MESSAGES) {
+  const start = anchor && anchor.nodeType === Node.TEXT_NODE ? anchor.parentElement : anchor;
+  if (!start) return [];
+  try {
+    const adapter = getSiteAdapter();
+    return (adapter && adapter.message) ? extractWithAdapter(adapter, start, limit) : extractGeneric(start, limit);
+  } catch (err) {
+    console.warn('thread extraction failed', err);
+    return [];
+  }
+}
+
+function extractWithAdapter(adapter, start, limit) {
+  const container = (adapter.container && (start.closest(adapter.container) || document.querySelector(adapter.container))) || document;
+  const bubbles = Array.from(container.querySelectorAll(adapter.message));
+  if (!bubbles.length) return extractGeneric(start, limit);
+
+  const anchorBubble = start.closest(adapter.message);
+  const end = anchorBubble ? bubbles.indexOf(anchorBubble) : bubbles.length - 1;
+  const slice = bubbles.slice(0, end + 1);
+
+  // Discord / LinkedIn only show the sender on the first message of a group; carry it forward
+  let lastName = '';
+  const messages = slice.map(el => {
+    const name = readBubbleName(el, adapter) || lastName;
+    lastName = name;
+    return {
+      author: detectAuthor(el, adapter, container === document ? null : container, name),
+      name,
+      text: cleanMessageText(readBubbleText(el, adapter))
+    };
+  }).filter(m => m.text);
+
+  return messages.slice(-limit);
+}
+
+// Generic fallback: climb from the selection until we reach an element whose parent holds a run
+// of similar siblings (same tag + class) — that run is treated as the message list.
+function extractGeneric(start, limit) {
+  let node = start;
+  while (node && node.parentElement && node.parentElement !== document.body) {
+    const parent = node.parentElement;
+    const similar = Array.from(parent.children).filter(c => c.tagName === node.tagName && c.className === node.className);
+    if (similar.length >= 3) {
+      const end = similar.indexOf(node);
+      return similar.slice(0, end + 1)
+        .map(el => ({ author: authorByAlignment(el, parent), name: '', text: cleanMessageText(el.innerText) }))
+        .filter(m => m.text)
+        .slice(-limit);
+    }
+    node = parent;
+  }
+  return [];
+}
+
+function cleanMessageText(text) {
+  const clean = String(text || '').replace(/\s+\n/g, '\n').trim();
+  return clean.length > THREAD_MAX_CHARS ? `${clean.slice(0, THREAD_MAX_CHARS)}…` : clean;
+}
+
+// The newest messages of the open conversation, for callers without a selection (e.g. snippet
+// keyword expansion in the composer). Needs a site adapter with a container selector.
+function extractLatestThread(limit = THREAD_MAX_MESSAGES) {
+  const adapter = getSiteAdapter();
+  const container = adapter && adapter.container ? document.querySelector(adapter.container) : null;
+  return container ? extractThread(container, limit) : [];
+}
+
+// Key of the open conversation, so the on-device model keeps one session per chat (ai-bridge.js).
+// The page path tells chats apart on most sites; adapters for sites whose URL stays the same
+// between chats add the id their conversation spec reads (site-adapters.js). When that finds
+// nothing, the conversation pane element stands in, since such apps replace it for another chat.
+const conversationPaneIds = new WeakMap(); // pane element -> number
+let conversationPaneCount = 0;
+
+function conversationKey() {
+  const path = `${location.pathname}${location.search}${location.hash}`;
+  const adapter = getSiteAdapter();
+  if (!adapter || !adapter.conversation) return path;
+  const id = readConversationId(adapter);
+  if (id) return `${path}|${id}`;
+  const pane = adapter.container ? document.querySelector(adapter.container) : null;
+  if (!pane) return path;
+  if (!conversationPaneIds.has(pane)) conversationPaneIds.set(pane, ++conversationPaneCount);
+  return `${path}|pane-${conversationPaneIds.get(pane)}`;
+}
@@ -0,0 +1,82 @@
+// tone-presets.js
+// Tone presets for the refine action. Shared by background.js (importScripts), the content scripts
+// and the options page. The four built-in tones are always there; user presets are synced through
+// chrome.storage.sync and may override a built-in one by reusing its id.
+//
+// Preset shape: { id, name, instruction, examples: [string], temperature }
+
+const TONE_PRESETS_KEY = 'tonePresets';
+const DEFAULT_TONE_TEMPERATURE = 0.4;
+const MAX_TONE_EXAMPLES = 5;
+
+const BUILTIN_TONE_PRESETS = [
+  { id: 'formal', name: 'Formal', instruction: 'Rewrite the following message to be more formal and professional.', examples: [], temperature: DEFAULT_TONE_TEMPERATURE, builtin: true },
+  { id: 'friendly', name: 'Friendly', instruction: 'Rewrite the following message to be more friendly and casual.', examples: [], temperature: DEFAULT_TONE_TEMPERATURE, builtin: true },
+  { id: 'concise', name: 'Concise', instruction: 'Rewrite the following message to be more concise and to the point.', examples: [], temperature: DEFAULT_TONE_TEMPERATURE, builtin: true },
+  { id: 'sarcastic', name: 'Sarcastic', instruction: 'Rewrite the following message to be slightly sarcastic while remaining appropriate.', examples: [], temperature: DEFAULT_TONE_TEMPERATURE, builtin: true }
+];
+
+// Clean up a preset coming from storage or the editor; returns null when it is unusable
+function normalizeTonePreset(preset) {
+  if (!preset || typeof preset !== 'object') return null;
+  const name = String(preset.name || '').trim();
+  const instruction = String(preset.instruction || '').trim();
+  if (!name || !instruction) return null;
+  const id = String(preset.id || '').trim() || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const temperature = Number(preset.temperature);
+  return {
+    id,
+    name,
+    instruction,
+    examples: (Array.isArray(preset.examples) ? preset.examples : [])
+      .map(e => String(e).trim())
+      .filter(Boolean)
+      .slice(0, MAX_TONE_EXAMPLES),
+    temperature: Number.isFinite(temperature) ? Math.min(2, Math.max(0, temperature)) : DEFAULT_TONE_TEMPERATURE
+  };
+}
+
+// Built-ins merged with the user's presets (custom wins on the same id), built-in order first
+function mergeTonePresets(custom) {
+  const mine = (Array.isArray(custom) ? custom : []).map(normalizeTonePreset).filter(Boolean);
+  const merged = BUILTIN_TONE_PRESETS.map(b => mine.find(p => p.id === b.id) || b);
+  return merged.concat(mine.filter(p => !BUILTIN_TONE_PRESETS.some(b => b.id === p.id)));
+}
+
+// Only the user's own presets, as stored
+function loadCustomTonePresets() {
+  return new Promise(resolve => {
+    chrome.storage.sync.get([TONE_PRESETS_KEY], (res) => {
+      resolve((res && Array.isArray(res[TONE_PRESETS_KEY])) ? res[TONE_PRESETS_KEY] : []);
+    });
+  });
+}
+
+function saveCustomTonePresets(presets) {
+  const clean = presets.map(normalizeTonePreset).filter(Boolean);
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set({ [TONE_PRESETS_KEY]: clean }, () => {
+      // sync storage has small per-item quotas; surface them to the editor
+      if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
+      else resolve(clean);
+    });
+  });
+}
+
+async function loadTonePresets() {
+  return mergeTonePresets(await loadCustomTonePresets());
+}
+
+// Resolve a tone id (or a free-form tone word) to a preset
+async function resolveTonePreset(tone) {
+  const presets = await loadTonePresets();
+  const found = presets.find(p => p.id === tone);
+  if (found) return found;
+  return {
+    id: String(tone || 'custom'),
+    name: String(tone || 'Custom'),
+    instruction: tone ? `Rewrite the following message with a ${tone} tone.` : 'Rewrite with a different tone.',
+    examples: [],
+    temperature: DEFAULT_TONE_TEMPERATURE
+  };
+}
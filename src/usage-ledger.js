@@ -0,0 +1,174 @@
+// usage-ledger.js
+// Token accounting and hard limits, loaded by background.js via importScripts and by the options
+// page (limits editor). Every model call made by the provider router is recorded per local day,
+// provider and action with the input / output tokens the provider reported (Gemini usageMetadata,
+// OpenAI-style usage) or, where it reports none (on-device, plain-text proxies), an estimate.
+//
+// Ledger (chrome.storage.local `usageLedger`): { 'YYYY-MM-DD': { 'provider|action': { calls,
+//   inputTokens, outputTokens, estimated } } } — estimated counts the calls whose tokens are guesses
+// Limits (chrome.storage.local `usageLimits`): { dailyTokens, monthlyTokens, providers: { id:
+//   { dailyTokens, monthlyTokens } } } — input + output tokens, 0 = no limit. The overall limits
+//   cap what goes to the cloud: they count and block only cloud calls, never on-device ones.
+
+const USAGE_LEDGER_KEY = 'usageLedger';
+const USAGE_LIMITS_KEY = 'usageLimits';
+const USAGE_LEDGER_DAYS = 90; // older days are dropped
+const DEFAULT_USAGE_LIMITS = { dailyTokens: 0, monthlyTokens: 0, providers: {} };
+const CHARS_PER_TOKEN = 4; // rough average for estimates
+
+let usageLedgerQueue = Promise.resolve(); // serializes ledger writes (parallel calls finish together)
+
+// 'YYYY-MM-DD' in local time; limits and the chart follow the user's calendar
+function localDay(date = new Date()) {
+  return date.toLocaleDateString('en-CA');
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+function readLedger() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([USAGE_LEDGER_KEY], (res) => resolve(Object.assign({}, res && res[USAGE_LEDGER_KEY])));
+  });
+}
+
+function normalizeLimit(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function normalizeUsageLimits(limits) {
+  const stored = limits || {};
+  const providers = {};
+  Object.keys(stored.providers || {}).forEach(id => {
+    const p = stored.providers[id] || {};
+    const daily = normalizeLimit(p.dailyTokens);
+    const monthly = normalizeLimit(p.monthlyTokens);
+    if (daily || monthly) providers[id] = { dailyTokens: daily, monthlyTokens: monthly };
+  });
+  return { dailyTokens: normalizeLimit(stored.dailyTokens), monthlyTokens: normalizeLimit(stored.monthlyTokens), providers };
+}
+
+function loadUsageLimits() {
+  return new Promise(resolve => {
+    chrome.storage.local.get([USAGE_LIMITS_KEY], (res) => resolve(normalizeUsageLimits(res && res[USAGE_LIMITS_KEY])));
+  });
+}
+
+function saveUsageLimits(limits) {
+  const clean = normalizeUsageLimits(limits);
+  return new Promise(resolve => chrome.storage.local.set({ [USAGE_LIMITS_KEY]: clean }, () => resolve(clean)));
+}
+
+// Add one call to today's ledger. usage: { inputTokens, outputTokens, estimated }
+function recordUsage(provider, action, usage) {
+  usageLedgerQueue = usageLedgerQueue.then(async () => {
+    const ledger = await readLedger();
+    const today = localDay();
+    const day = ledger[today] || (ledger[today] = {});
+    const key = `${provider}|${action}`;
+    const row = day[key] || (day[key] = { calls: 0, inputTokens: 0, outputTokens: 0, estimated: 0 });
+    row.calls++;
+    row.inputTokens += Math.max(0, Math.round(usage.inputTokens || 0));
+    row.outputTokens += Math.max(0, Math.round(usage.outputTokens || 0));
+    if (usage.estimated) row.estimated++;
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - USAGE_LEDGER_DAYS);
+    Object.keys(ledger).forEach(d => { if (d < localDay(cutoff)) delete ledger[d]; });
+    await new Promise(resolve => chrome.storage.local.set({ [USAGE_LEDGER_KEY]: ledger }, resolve));
+  }).catch(err => console.warn('usage ledger write failed', err));
+  return usageLedgerQueue;
+}
+
+// input + output tokens of the days in [from, to] (inclusive 'YYYY-MM-DD'), optionally only of
+// the given providers
+function sumTokens(ledger, from, to, providers = null) {
+  let total = 0;
+  Object.keys(ledger).forEach(d => {
+    if (d < from || d > to) return;
+    Object.keys(ledger[d]).forEach(key => {
+      if (providers && !providers.includes(key.split('|')[0])) return;
+      total += ledger[d][key].inputTokens + ledger[d][key].outputTokens;
+    });
+  });
+  return total;
+}
+
+// null when provider may be called, otherwise the reason it may not (a limit that is used up).
+// cloudProviders: the ids whose tokens count toward the overall limits, or null for an on-device
+// provider, which only its own limits apply to.
+async function checkUsageLimit(provider, label = provider, cloudProviders = null) {
+  const limits = await loadUsageLimits();
+  const own = limits.providers[provider] || {};
+  const overall = cloudProviders ? limits : { dailyTokens: 0, monthlyTokens: 0 };
+  if (!overall.dailyTokens && !overall.monthlyTokens && !own.dailyTokens && !own.monthlyTokens) return null;
+  const ledger = await readLedger();
+  const today = localDay();
+  const monthStart = `${today.slice(0, 8)}01`;
+  const checks = [
+    [overall.dailyTokens, overall.dailyTokens && sumTokens(ledger, today, today, cloudProviders), 'Daily token limit'],
+    [overall.monthlyTokens, overall.monthlyTokens && sumTokens(ledger, monthStart, today, cloudProviders), 'Monthly token limit'],
+    [own.dailyTokens, sumTokens(ledger, today, today, [provider]), `Daily token limit for ${label}`],
+    [own.monthlyTokens, sumTokens(ledger, monthStart, today, [provider]), `Monthly token limit for ${label}`]
+  ];
+  const hit = checks.find(([limit, used]) => limit && used >= limit);
+  return hit ? `${hit[2]} reached (${hit[1].toLocaleString('en-US')} of ${hit[0].toLocaleString('en-US')} tokens). Raise it in the extension settings.` : null;
+}
+
+// { days: [{ date, inputTokens, outputTokens, calls }] for the last `days` days (oldest first),
+//   today, month: { inputTokens, outputTokens, calls, byProvider: { id: tokens } }, limits }
+async function getUsageSummary(days = 30) {
+  const ledger = await readLedger();
+  const limits = await loadUsageLimits();
+  const total = (from, to) => {
+    const out = { inputTokens: 0, outputTokens: 0, calls: 0, estimated: 0, byProvider: {} };
+    Object.keys(ledger).filter(d => d >= from && d <= to).forEach(d => {
+      Object.keys(ledger[d]).forEach(key => {
+        const row = ledger[d][key];
+        const provider = key.split('|')[0];
+        out.inputTokens += row.inputTokens;
+        out.outputTokens += row.outputTokens;
+        out.calls += row.calls;
+        out.estimated += row.estimated;
+        out.byProvider[provider] = (out.byProvider[provider] || 0) + row.inputTokens + row.outputTokens;
+      });
+    });
+    return out;
+  };
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = new Date();
+    d.setDate(d.getDate() - i);
+    const date = localDay(d);
+    const t = total(date, date);
+    series.push({ date, inputTokens: t.inputTokens, outputTokens: t.outputTokens, calls: t.calls });
+  }
+  const today = localDay();
+  return { days: series, today: total(today, today), month: total(`${today.slice(0, 8)}01`, today), limits };
+}
+
+// the whole ledger as CSV, one row per day, provider and action
+async function usageLedgerCsv() {
+  const ledger = await readLedger();
+  const rows = [['date', 'provider', 'action', 'calls', 'input_tokens', 'output_tokens', 'estimated_calls']];
+  Object.keys(ledger).sort().forEach(d => {
+    Object.keys(ledger[d]).sort().forEach(key => {
+      const [provider, action] = key.split('|');
+      const row = ledger[d][key];
+      rows.push([d, provider, action, row.calls, row.inputTokens, row.outputTokens, row.estimated]);
+    });
+  });
+  return rows.map(r => r.join(',')).join('\n') + '\n';
+}
+
+// the whole ledger, or only the given days ('YYYY-MM-DD')
+function clearUsageLedger(days = null) {
+  usageLedgerQueue = usageLedgerQueue.then(async () => {
+    if (!days) return new Promise(resolve => chrome.storage.local.remove([USAGE_LEDGER_KEY], resolve));
+    const ledger = await readLedger();
+    days.forEach(d => delete ledger[d]);
+    await new Promise(resolve => chrome.storage.local.set({ [USAGE_LEDGER_KEY]: ledger }, resolve));
+  });
+  return usageLedgerQueue;
+}